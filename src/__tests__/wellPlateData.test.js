@@ -3,6 +3,8 @@ import { join } from 'path';
 
 import { parse } from 'papaparse';
 
+import { PlateSample } from '../plateSample';
+import { Well } from '../well/well';
 import { WellPlateData } from '../wellPlateData';
 
 describe('Plate of 96 wells (H x 12)', () => {
@@ -269,3 +271,1314 @@ describe('Add analysis to the plates', () => {
     expect(plate96Wells.wells[95].analysis.raw).toStrictEqual({ IC50: 55 });
   });
 });
+
+describe('Read kinetic exports', () => {
+  const file = readFileSync(
+    join(__dirname, '../testFiles/growth_curves_example.csv'),
+    'utf8',
+  );
+
+  it('Fill 10 x 10 well plate and report unmatched columns', () => {
+    const { wellPlateData, report } = WellPlateData.readKineticExport(file, {
+      nbRows: 10,
+      nbColumns: 10,
+    });
+    expect(wellPlateData.wells[0].growthCurve.data.x).toHaveLength(73);
+    expect(wellPlateData.wells[0].growthCurve.data.y[1]).toBe(1.001);
+    expect(wellPlateData.wells[99].growthCurve.data.y[1]).toBe(1.1);
+    expect(report.unmatchedColumns).toStrictEqual(['Blank']);
+    expect(report.matchedColumns).toHaveLength(100);
+    expect(report.wellsWithoutData).toStrictEqual([]);
+  });
+
+  it('Zero padded headers on a H x 12 well plate', () => {
+    const text = 'Time,A01,A02,Z99\n00:00:00,0.1,0.2,0.3\n00:30:00,0.2,0.4,0.6';
+    const plate96Wells = new WellPlateData();
+    const report = plate96Wells.addGrowthCurvesFromKineticExport(text);
+    expect(plate96Wells.wells[1].growthCurve.data).toStrictEqual({
+      x: [0, 1800],
+      y: [0.2, 0.4],
+    });
+    expect(report.unmatchedColumns).toStrictEqual(['Z99']);
+    expect(report.wellsWithoutData).toHaveLength(94);
+  });
+
+  it('Plate given as a number', () => {
+    const text = 'Time,A1\n00:00:00,0.1\n00:30:00,0.2';
+    const plates = new WellPlateData({
+      nbRows: 'B',
+      nbColumns: 2,
+      nbPlates: 2,
+    });
+    const report = plates.addGrowthCurvesFromKineticExport(text, { plate: 2 });
+    expect(report.matchedColumns).toStrictEqual([{ header: 'A1', id: '2-A1' }]);
+    expect(plates.getWell({ id: '2-A1' }).growthCurve.data.y).toStrictEqual([
+      0.1, 0.2,
+    ]);
+    expect(plates.undo()).toBe('addGrowthCurvesFromKineticExport');
+    expect(plates.getWell({ id: '2-A1' }).growthCurve.data.y).toStrictEqual([]);
+  });
+});
+
+describe('Analyze growth curves', () => {
+  const x = new Array(49).fill().map((item, index) => index * 1800);
+  const curves = [
+    { label: 'A1', rate: 2e-4 },
+    { label: 'A2', rate: 2.1e-4 },
+    { label: 'A3', rate: 1.9e-4 },
+  ].map(({ label, rate }) => ({
+    label,
+    array: {
+      x,
+      y: x.map((t) => 0.05 * Math.exp(3 / (1 + Math.exp(-rate * (t - 3e4))))),
+    },
+  }));
+  const plate96Wells = new WellPlateData();
+  plate96Wells.addGrowthCurvesFromArray(curves);
+  const results = plate96Wells.analyzeGrowthCurves({ model: 'logistic' });
+
+  it('Parameters added to the analysis of the wells', () => {
+    expect(results).toHaveLength(3);
+    expect(Object.keys(plate96Wells.wells[0].analysis.processed)).toStrictEqual(
+      [
+        'lagTime',
+        'maxGrowthRate',
+        'doublingTime',
+        'carryingCapacity',
+        'maxOD',
+        'auc',
+      ],
+    );
+    expect(plate96Wells.wells[1].analysis.processed.maxGrowthRate).toBeCloseTo(
+      (2.1e-4 * 3) / 4,
+      6,
+    );
+    expect(plate96Wells.wells[3].analysis.processed).toStrictEqual({});
+  });
+
+  it('Flat replicate left out of the averages', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 3 });
+    plate.addGrowthCurvesFromArray([
+      ...curves.slice(0, 2),
+      { label: 'A3', array: { x, y: x.map(() => 0.05) } },
+    ]);
+    plate.analyzeGrowthCurves({ model: 'slidingWindow' });
+    expect(plate.wells[2].analysis.processed.maxGrowthRate).toBeNull();
+    const { raw } = plate.samples[0].analysis;
+    expect(raw.maxGrowthRate).toBeCloseTo(
+      (plate.wells[0].analysis.processed.maxGrowthRate +
+        plate.wells[1].analysis.processed.maxGrowthRate) /
+        2,
+      10,
+    );
+    expect(Number.isFinite(raw.lagTime)).toBe(true);
+  });
+});
+
+describe('Serialize to JSON', () => {
+  const plate = new WellPlateData({ nbPlates: 2 });
+  const reagents = plate.wells.map((well, index) => [
+    { label: 'reagent1', unit: 'mM', concentration: index % 4 },
+  ]);
+  plate.addReagentsFromArray(reagents);
+  plate.addGrowthCurvesFromArray([
+    { label: 'A1', array: { x: [0, 1, 2], y: [0.1, NaN, 0.3] } },
+  ]);
+  plate.addAnalysisFromArray(
+    plate.wells.map((well, index) => ({ name: 'IC50', value: index })),
+  );
+  plate.samples[0].wells[1].inAverage = false;
+  plate.updateSamples();
+  plate.metadata.experiment = 'test';
+  plate.wells[5].selected = true;
+
+  it('Round trip', () => {
+    const json = JSON.stringify(plate);
+    const restored = WellPlateData.fromJSON(json);
+    expect(JSON.parse(json).schemaVersion).toBe(1);
+    expect(restored.wells[0]).toBeInstanceOf(Well);
+    expect(restored.samples[0]).toBeInstanceOf(PlateSample);
+    expect(restored.options).toStrictEqual(plate.options);
+    expect(restored.wells[0].growthCurve.data.y[1]).toBeNaN();
+    expect(restored.samples[0].wells[1].inAverage).toBe(false);
+    expect(JSON.stringify(restored)).toBe(json);
+    expect(JSON.stringify(WellPlateData.fromJSON(plate.toJSON()))).toBe(json);
+  });
+
+  it('Null values stay null', () => {
+    const copy = WellPlateData.fromJSON(JSON.stringify(plate));
+    copy.wells[1].addAnalysis({ name: 'IC50', value: null });
+    copy.wells[1].growthCurve.data = { x: [0, 1], y: [null, 0.2] };
+    const restored = WellPlateData.fromJSON(JSON.stringify(copy));
+    expect(restored.wells[1].analysis.raw.IC50).toBeNull();
+    expect(restored.wells[1].growthCurve.data.y[0]).toBeNull();
+    expect(restored.wells[0].growthCurve.data.y[1]).toBeNaN();
+  });
+});
+
+describe('Add dilution layout', () => {
+  const plate96Wells = new WellPlateData();
+  plate96Wells.addDilutionLayout({
+    reagents: [{ label: 'drug1', unit: 'uM' }],
+    topConcentration: 64,
+    nbPoints: 7,
+    nbReplicates: 3,
+    orientation: 'columns',
+    controls: [{ category: 'blank' }],
+  });
+
+  it('Reagents, categories and samples', () => {
+    expect(plate96Wells.wells[12].reagents).toStrictEqual([
+      { label: 'drug1', unit: 'uM', concentration: 32 },
+    ]);
+    expect(plate96Wells.wells[84].metadata.category).toBe('blank');
+    expect(plate96Wells.wells[0].metadata.category).toBeNull();
+    expect(plate96Wells.samples).toHaveLength(9);
+  });
+});
+
+describe('Subtract blanks', () => {
+  const plate96Wells = new WellPlateData();
+  for (let id of ['1-A1', '1-A12', '1-H1', '1-H12']) {
+    plate96Wells.getWell({ id }).metadata.category = 'blank';
+  }
+  plate96Wells.addAnalysisFromArray(
+    plate96Wells.wells.map((well) => ({
+      name: 'OD',
+      value: well.position.row === 0 ? 1.1 : 1.3,
+    })),
+  );
+  plate96Wells.addGrowthCurvesFromArray(
+    plate96Wells.wells.map((well) => ({
+      label: well.label,
+      array: { x: [0, 1], y: [0.1 + well.position.row / 100, 0.5] },
+    })),
+  );
+
+  it('Blanks of the plate', () => {
+    const report = plate96Wells.subtractBlanks();
+    expect(report.corrected).toHaveLength(92);
+    expect(report.withoutBlanks).toStrictEqual([]);
+    const well = plate96Wells.getWell({ id: '1-B2' });
+    expect(well.analysis.raw.OD).toBe(1.3);
+    expect(well.analysis.processed.OD).toBeCloseTo(0.1, 10);
+    expect(well.growthCurve.processed.y[0]).toBeCloseTo(-0.025, 10);
+    expect(well.growthCurve.processed.y[1]).toBe(0);
+    expect(well.growthCurve.data.y[0]).toBe(0.11);
+    expect(well.spectrum.processed).toBeUndefined();
+    const blank = plate96Wells.getWell({ id: '1-A1' });
+    expect(blank.analysis.processed.OD).toBe(1.1);
+  });
+
+  it('Blanks of the row', () => {
+    const report = plate96Wells.subtractBlanks({ scope: 'row' });
+    expect(report.corrected).toHaveLength(20);
+    expect(report.withoutBlanks).toHaveLength(72);
+    expect(plate96Wells.getWell({ id: '1-H5' }).analysis.processed.OD).toBe(0);
+    const withoutBlanks = plate96Wells.getWell({ id: '1-B5' });
+    expect(withoutBlanks.analysis.processed.OD).toBe(1.3);
+    expect(withoutBlanks.growthCurve.processed).toBeUndefined();
+  });
+
+  it('Blanks without value in a second run', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 3 });
+    plate.wells[0].metadata.category = 'blank';
+    plate.addAnalysisFromArray(
+      [0.1, 1, 2].map((value) => ({ name: 'OD', value })),
+    );
+    plate.subtractBlanks();
+    expect(plate.wells[1].analysis.processed.OD).toBeCloseTo(0.9, 10);
+    plate.wells[0].analysis.raw.OD = NaN;
+    const report = plate.subtractBlanks();
+    expect(report.corrected).toStrictEqual(['1-A2', '1-A3']);
+    expect(plate.wells[1].analysis.processed.OD).toBe(1);
+    expect(plate.wells[2].analysis.processed.OD).toBe(2);
+  });
+
+  it('Wells that can not be corrected', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 3 });
+    plate.wells[0].metadata.category = 'blank';
+    plate.addGrowthCurvesFromArray(
+      plate.wells.map((well) => ({
+        label: well.label,
+        array: { x: [0, 1], y: well.label === 'A3' ? [1, 2, 3] : [1, 2] },
+      })),
+    );
+    expect(() => plate.subtractBlanks()).toThrow(
+      'The data of 1-A3 and its blanks have different lengths',
+    );
+    expect(plate.getWell({ id: '1-A2' }).growthCurve.processed).toBeUndefined();
+  });
+});
+
+describe('Fit dose-response curves', () => {
+  const plate96Wells = new WellPlateData();
+  plate96Wells.addDilutionLayout({
+    reagents: [{ label: 'drug1', unit: 'uM' }],
+    topConcentration: 100,
+    dilutionFactor: 3,
+    nbPoints: 11,
+    nbReplicates: 3,
+    controls: [{ category: 'negative' }],
+  });
+  plate96Wells.addAnalysisFromArray(
+    plate96Wells.wells.map((well, index) => {
+      const { concentration } = well.reagents[0];
+      const value =
+        10 + 80 / (1 + Math.pow(concentration / 2, 1.5)) + (index % 3) - 1;
+      return { name: 'viability', value };
+    }),
+  );
+  plate96Wells.updateSamples();
+
+  it('IC50 and chart', () => {
+    const result = plate96Wells.fitDoseResponse({
+      key: 'viability',
+      reagent: 'drug1',
+      ids: plate96Wells.samples
+        .filter((sample) => sample.reagents[0].concentration !== null)
+        .map((sample) => sample.id),
+    });
+    expect(result.parameters.ec50).toBeCloseTo(2, 1);
+    expect(result.parameters.hillSlope).toBeCloseTo(-1.5, 1);
+    expect(result.goodnessOfFit.n).toBe(36);
+    expect(result.chart.data).toHaveLength(2);
+    expect(result.chart.data[0].x).toHaveLength(36);
+    expect(result.chart.data[1].x).toHaveLength(100);
+    expect(result.chart.data[1].label).toBe('4PL fit');
+  });
+  it('Unused wells of the dilution layout are not fitted', () => {
+    const result = plate96Wells.fitDoseResponse({
+      key: 'viability',
+      reagent: 'drug1',
+    });
+    expect(result.goodnessOfFit.n).toBe(36);
+    expect(result.parameters.ec50).toBeCloseTo(2, 1);
+  });
+});
+
+describe('Plate quality control', () => {
+  const plate = new WellPlateData({ nbPlates: 2 });
+  plate.addAnalysisFromArray(
+    plate.wells.map((well) => {
+      const { row, column } = well.position;
+      if (column === 0) well.metadata.category = 'positive';
+      if (column === 11) well.metadata.category = 'negative';
+      const noise = (row % 2) * (well.plate === '1' ? 2 : 30);
+      let value = 50 + noise;
+      if (column === 0) value = 100 + noise;
+      if (column === 11) value = 10 + noise;
+      return { name: 'signal', value };
+    }),
+  );
+
+  it('Metrics of each plate', () => {
+    const qc = plate.getPlateQC({ key: 'signal' });
+    expect(qc.map((item) => item.plate)).toStrictEqual(['1', '2']);
+    expect(qc[0].positive.n).toBe(8);
+    expect(qc[0].pass).toBe(true);
+    expect(qc[1].pass).toBe(false);
+    expect(qc[1].failures).toContain('zPrime');
+  });
+});
+
+describe('Read templates', () => {
+  it('Template of a 384 well plate', () => {
+    const text = ['row;column;Drug (uM)', 'A;1;10', 'P;24;0.5'].join('\r\n');
+    const plate = WellPlateData.readTemplate(text);
+    expect(plate.typeOfPlate).toBe('Px24');
+    expect(plate.wells).toHaveLength(384);
+    expect(plate.getWell({ id: '1-P24' }).reagents).toStrictEqual([
+      { label: 'Drug', unit: 'uM', concentration: 0.5 },
+    ]);
+  });
+
+  it('Several plates', () => {
+    const text = ['plate,row,column,Drug', '1,A,1,1', '2,B,3,2'].join('\n');
+    const { wellPlateData, errors } = WellPlateData.parseTemplate(text);
+    expect(errors).toStrictEqual([]);
+    expect(wellPlateData.wells).toHaveLength(12);
+    expect(
+      wellPlateData.getWell({ id: '2-B3' }).reagents[0].concentration,
+    ).toBe(2);
+  });
+
+  it('Every problem is reported', () => {
+    const text = 'row,column,Drug\nA,1,x\nB,2,1\nZ,1,2';
+    expect(() =>
+      WellPlateData.readTemplate(text, { nbRows: 'H', nbColumns: 12 }),
+    ).toThrow(
+      'Invalid template:\nline 2 (Drug): Invalid concentration "x"\nline 4: The well is outside of the Hx12 plate',
+    );
+  });
+});
+
+describe('Standard plate formats', () => {
+  it('1536 well plate', () => {
+    const plate = new WellPlateData({ plateFormat: 1536, zeroPad: true });
+    expect(plate.typeOfPlate).toBe('AFx48');
+    expect(plate.wells).toHaveLength(1536);
+    expect(plate.wells[1535].id).toBe('1-AF48');
+    expect(plate.getWell({ id: '1-AA01' }).position).toStrictEqual({
+      row: 26,
+      column: 0,
+    });
+  });
+
+  it('Template of several 384 well plates', () => {
+    const plate = new WellPlateData({ plateFormat: 384, nbPlates: 2 });
+    plate.addReagentsFromArray(
+      plate.wells.map((well, index) => [
+        { label: 'Drug', unit: 'uM', concentration: index },
+      ]),
+    );
+    const template = plate.getTemplate();
+    expect(template.split('\n')[0]).toBe('plate,row,column,Drug(uM)');
+    expect(template.split('\n')[768]).toBe('2,P,24,767');
+    const copy = WellPlateData.readTemplate(template);
+    expect(copy.typeOfPlate).toBe('Px24');
+    expect(copy.getWell({ id: '2-P24' }).reagents[0].concentration).toBe(767);
+  });
+
+  it('Fill from the wells of a 1536 well plate', () => {
+    const wells = new WellPlateData({ plateFormat: 1536, zeroPad: true }).wells
+      .filter((well) => well.label.endsWith('48'))
+      .map((well) => ({ id: well.id, label: well.label }));
+    const plate = WellPlateData.fillPlateFromArray(wells);
+    expect(plate.typeOfPlate).toBe('AFx48');
+    expect(plate.wells[47].id).toBe('1-A48');
+  });
+});
+
+describe('Average replicates read at different times', () => {
+  it('Growth curves of a sample', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 2 });
+    plate.addReagentsFromArray([
+      [{ label: 'Drug', unit: 'uM', concentration: 1 }],
+      [{ label: 'Drug', unit: 'uM', concentration: 1 }],
+    ]);
+    plate.addGrowthCurvesFromArray([
+      { label: 'A1', array: { x: [0, 10, 20], y: [0.1, 0.2, 0.3] } },
+      { label: 'A2', array: { x: [5, 15, 25], y: [0.2, 0.3, 0.4] } },
+    ]);
+    const { averagedGrowthCurves } = plate.samples[0];
+    expect(averagedGrowthCurves.x).toStrictEqual([0, 10, 20]);
+    expect(averagedGrowthCurves.counts).toStrictEqual([1, 2, 2]);
+    expect(averagedGrowthCurves.y[1]).toBeCloseTo(0.225, 10);
+    plate.updateSamples({ averaging: { from: 5, to: 20, nbPoints: 2 } });
+    expect(plate.samples[0].averagedGrowthCurves.x).toStrictEqual([5, 20]);
+    plate.setInAverage({ ids: ['1-A1'], inAverage: true });
+    expect(plate.samples[0].averagedGrowthCurves.x).toStrictEqual([5, 20]);
+    const restored = WellPlateData.fromJSON(JSON.stringify(plate));
+    restored.updateSamples();
+    expect(restored.averaging).toStrictEqual({ from: 5, to: 20, nbPoints: 2 });
+    expect(restored.samples[0].averagedGrowthCurves.x).toStrictEqual([5, 20]);
+  });
+});
+
+describe('Sample grouping', () => {
+  it('Regenerated samples keep the excluded wells', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 4 });
+    plate.addReagentsFromArray(
+      [1, 1, 2, 2].map((concentration, index) => [
+        { label: 'Drug', unit: 'uM', concentration },
+        { label: 'Vehicle', unit: '%', concentration: index },
+      ]),
+    );
+    expect(plate.samples).toHaveLength(4);
+    plate.addAnalysisFromArray(
+      [1, 2, 3, 4].map((value) => ({ name: 'signal', value })),
+    );
+    plate.samples[3].wells[0].inAverage = false;
+
+    plate.updateSamples({ grouping: { reagents: ['Drug'] } });
+    expect(plate.samples.map((sample) => sample.label)).toStrictEqual([
+      'A1-A2',
+      'A3-A4',
+    ]);
+    expect(plate.samples[1].wells[1].inAverage).toBe(false);
+    expect(plate.samples[1].analysis.averaged[0].value).toBe(3);
+
+    const keptSample = plate.samples[0];
+    plate.updateSamples({ grouping: { reagents: ['Drug'], tolerance: 0.01 } });
+    expect(plate.samples[0]).toBe(keptSample);
+
+    plate.updateSamples({ grouping: {} });
+    expect(plate.samples[3].analysis.averaged).toStrictEqual([]);
+  });
+
+  it('Grouping kept by the next regenerations', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 4 });
+    plate.updateSamples({ grouping: { reagents: ['Drug'] } });
+    plate.addReagentsFromArray(
+      [1, 1, 2, 2].map((concentration, index) => [
+        { label: 'Drug', unit: 'uM', concentration },
+        { label: 'Vehicle', unit: '%', concentration: index },
+      ]),
+    );
+    expect(plate.samples).toHaveLength(2);
+    const restored = WellPlateData.fromJSON(JSON.stringify(plate));
+    restored.updateSamples({ regenerate: true });
+    expect(restored.grouping).toStrictEqual({ reagents: ['Drug'] });
+    expect(restored.samples).toHaveLength(2);
+  });
+
+  it('Grouping with a key function kept across the history', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 4 });
+    const key = (well) => well.position.column < 2;
+    plate.updateSamples({ grouping: { key } });
+    plate.addReagentsFromArray(
+      [1, 2, 3, 4].map((concentration) => [
+        { label: 'Drug', unit: 'uM', concentration },
+      ]),
+    );
+    expect(plate.samples).toHaveLength(2);
+    plate.setCheckpoint('grouped');
+    plate.setMetadata({ name: 'Screen' });
+    plate.undo();
+    expect(plate.grouping.key).toBe(key);
+    plate.updateSamples({ regenerate: true });
+    expect(plate.samples).toHaveLength(2);
+    plate.redo();
+    plate.restoreCheckpoint('grouped');
+    expect(plate.grouping.key).toBe(key);
+    expect(() => JSON.stringify(plate)).toThrow(
+      'The grouping of the samples has a key function that can not be serialized',
+    );
+  });
+});
+
+describe('Outlier detection', () => {
+  const getPlate = () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 6 });
+    plate.addReagentsFromArray(
+      plate.wells.map(() => [{ label: 'Drug', unit: 'uM', concentration: 1 }]),
+    );
+    plate.addAnalysisFromArray(
+      [10.1, 9.9, 10, 10.2, 9.8, 15].map((value) => ({
+        name: 'signal',
+        value,
+      })),
+    );
+    plate.updateSamples();
+    return plate;
+  };
+
+  it('Rejected wells are excluded with their reason', () => {
+    const plate = getPlate();
+    expect(plate.samples[0].wells[5].test[0].pass).toBe(false);
+    expect(plate.samples[0].wells[5].inAverage).toBe(true);
+
+    plate.setOutlierDetection({
+      keys: { signal: { method: 'mad' } },
+      exclude: true,
+    });
+    const [sample] = plate.samples;
+    expect(sample.wells[5].inAverage).toBe(false);
+    expect(sample.wells[5].exclusion).toMatchObject({
+      reason: 'outlier',
+      key: 'signal',
+      method: 'mad',
+      value: 15,
+      criticalValue: 3.5,
+    });
+    expect(sample.analysis.averaged[0].value).toBeCloseTo(10, 10);
+
+    plate.updateSamples();
+    expect(sample.wells.filter((well) => !well.inAverage)).toHaveLength(1);
+
+    const copy = WellPlateData.fromJSON(JSON.stringify(plate));
+    expect(copy.outlierDetection.keys.signal.method).toBe('mad');
+    expect(copy.samples[0].wells[5].exclusion.key).toBe('signal');
+  });
+
+  it('Excluded wells come back when the exclusion is disabled', () => {
+    const plate = getPlate();
+    plate.setOutlierDetection({ method: 'tukey', exclude: true });
+    expect(plate.samples[0].wells[5].inAverage).toBe(false);
+    plate.setOutlierDetection({ method: 'tukey' });
+    expect(plate.samples[0].wells[5].inAverage).toBe(true);
+  });
+});
+
+describe('Compare samples', () => {
+  const plate = new WellPlateData({ nbRows: 'C', nbColumns: 3 });
+  plate.addReagentsFromArray(
+    plate.wells.map((well) => [
+      { label: 'Drug', unit: 'uM', concentration: well.position.column },
+    ]),
+  );
+  plate.addAnalysisFromArray(
+    plate.wells.map((well) => ({
+      name: 'signal',
+      value: 4 + 2 * well.position.column + well.position.row,
+    })),
+  );
+  plate.updateSamples();
+
+  it('Dunnett against the control attached to the samples', () => {
+    const [control, low, high] = plate.samples;
+    const result = plate.compareSamples({
+      key: 'signal',
+      test: 'dunnett',
+      reference: control.id,
+      attach: true,
+    });
+    expect(result.key).toBe('signal');
+    expect(result.groups.map((group) => group.label)).toStrictEqual([
+      'A1-B1-C1',
+      'A2-B2-C2',
+      'A3-B3-C3',
+    ]);
+    expect(result.anova.statistic).toBeCloseTo(12, 10);
+    expect(high.results.signal.comparisons).toHaveLength(1);
+    expect(high.results.signal.comparisons[0].significant).toBe(true);
+    expect(low.results.signal.comparisons[0].significant).toBe(false);
+    expect(control.results.signal.comparisons).toHaveLength(2);
+  });
+});
+
+describe('Spatial normalization', () => {
+  const plate = new WellPlateData({ nbPlates: 2 });
+  plate.addAnalysisFromArray(
+    plate.wells.map((well) => ({
+      name: 'signal',
+      value: 100 + 2 * well.position.row + well.position.column,
+    })),
+  );
+
+  it('Corrected values added to the analysis', () => {
+    const key = plate.normalizeSpatially({ key: 'signal', method: 'loess' });
+    expect(key).toBe('signal_loess');
+    const values = plate.wells.map((well) => well.analysis.processed[key]);
+    expect(Math.max(...values) - Math.min(...values)).toBeLessThan(1e-6);
+    expect(
+      plate.normalizeSpatially({ key: 'signal', outputKey: 'bScore' }),
+    ).toBe('bScore');
+  });
+
+  it('Scores are not corrected by the blanks', () => {
+    const copy = WellPlateData.fromJSON(JSON.stringify(plate));
+    copy.getWell({ id: '1-A1' }).metadata.category = 'blank';
+    const before = copy.getWell({ id: '1-B2' }).analysis.processed.bScore;
+    expect(copy.getWell({ id: '1-B2' }).analysis.raw.bScore).toBeUndefined();
+    copy.subtractBlanks({ growthCurves: false, spectra: false });
+    expect(copy.getWell({ id: '1-B2' }).analysis.processed.bScore).toBe(before);
+  });
+
+  it('Edge effects of each plate', () => {
+    const effects = plate.getEdgeEffects({ key: 'signal' });
+    expect(effects.map((item) => item.plate)).toStrictEqual(['1', '2']);
+    expect(effects[0].edge.n).toBe(36);
+  });
+
+  it('Plates without values', () => {
+    const copy = WellPlateData.fromJSON(JSON.stringify(plate));
+    for (let well of copy.wells) {
+      if (well.plate === '2' || well.id === '1-A1') {
+        delete well.analysis.processed.signal;
+      }
+    }
+    copy.normalizeSpatially({ key: 'signal', outputKey: 'score' });
+    expect(copy.getWell({ id: '1-A1' }).analysis.processed.score).toBeNull();
+    expect(copy.getWell({ id: '2-A1' }).analysis.processed.score).toBeNull();
+    const effects = copy.getEdgeEffects({ key: 'signal' });
+    expect(effects[0].edge.n).toBe(35);
+    expect(effects[1]).toStrictEqual({
+      plate: '2',
+      error: 'At least two edge and two interior wells with signal are needed',
+    });
+  });
+});
+
+describe('Heatmaps', () => {
+  it('Analysis values with the axis labels', () => {
+    const plate = new WellPlateData({ nbRows: 'B', nbColumns: 3, nbPlates: 2 });
+    plate.addAnalysisFromArray(
+      plate.wells.map((well, index) => ({ name: 'signal', value: index })),
+    );
+    const heatmap = plate.getHeatmap({ key: 'signal', plate: 2 });
+    expect(heatmap).toStrictEqual({
+      plate: '2',
+      rows: ['A', 'B'],
+      columns: [1, 2, 3],
+      matrix: [
+        [6, 7, 8],
+        [9, 10, 11],
+      ],
+      ids: [
+        ['2-A1', '2-A2', '2-A3'],
+        ['2-B1', '2-B2', '2-B3'],
+      ],
+      labels: [
+        ['A1', 'A2', 'A3'],
+        ['B1', 'B2', 'B3'],
+      ],
+    });
+  });
+
+  it('Numeric labels in vertical direction', () => {
+    const plate = new WellPlateData({
+      nbRows: 2,
+      nbColumns: 3,
+      direction: 'vertical',
+    });
+    plate.addReagentsFromArray(
+      plate.wells.map((well) => [
+        { label: 'Drug', unit: 'uM', concentration: Number(well.label) },
+      ]),
+    );
+    const heatmap = plate.getHeatmap({ type: 'reagent', key: 'Drug' });
+    expect(heatmap.labels).toStrictEqual([
+      ['1', '3', '5'],
+      ['2', '4', '6'],
+    ]);
+    expect(heatmap.matrix).toStrictEqual([
+      [1, 3, 5],
+      [2, 4, 6],
+    ]);
+  });
+
+  it('Outlier status', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 6 });
+    plate.addReagentsFromArray(
+      plate.wells.map(() => [{ label: 'Drug', unit: 'uM', concentration: 1 }]),
+    );
+    plate.addAnalysisFromArray(
+      [10.1, 9.9, 10, 10.2, 9.8, 15].map((value) => ({
+        name: 'signal',
+        value,
+      })),
+    );
+    plate.updateSamples();
+    plate.samples[0].wells[0].inAverage = false;
+    plate.updateSamples();
+    const { matrix } = plate.getHeatmap({ type: 'outlier', key: 'signal' });
+    expect(matrix).toStrictEqual([
+      ['excluded', 'pass', 'pass', 'pass', 'pass', 'outlier'],
+    ]);
+  });
+});
+
+describe('Edit history', () => {
+  function getPlate() {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 4 });
+    plate.addReagentsFromArray(
+      [1, 1, 2, 2].map((concentration) => [
+        { label: 'Drug', unit: 'uM', concentration },
+      ]),
+    );
+    plate.addAnalysisFromArray(
+      [1, 2, 3, 4].map((value) => ({ name: 'signal', value })),
+    );
+    plate.updateSamples();
+    return plate;
+  }
+
+  it('Undo and redo the edits', () => {
+    const plate = getPlate();
+    plate.setInAverage({ ids: ['1-A1'], inAverage: false });
+    plate.setMetadata({
+      target: 'wells',
+      ids: ['1-A2'],
+      metadata: { category: 'blank' },
+    });
+    expect(plate.getHistory()).toStrictEqual({
+      undo: [
+        'addReagentsFromArray',
+        'addAnalysisFromArray',
+        'setInAverage',
+        'setMetadata',
+      ],
+      redo: [],
+      checkpoints: [],
+    });
+    expect(plate.samples[0].analysis.averaged[0].value).toBe(2);
+
+    expect(plate.undo()).toBe('setMetadata');
+    expect(plate.getWell({ id: '1-A2' }).metadata.category).toBeNull();
+    expect(plate.undo()).toBe('setInAverage');
+    expect(plate.samples[0].wells[0].inAverage).toBe(true);
+    expect(plate.samples[0].analysis.averaged[0].value).toBe(1.5);
+
+    expect(plate.redo()).toBe('setInAverage');
+    expect(plate.samples[0].analysis.averaged[0].value).toBe(2);
+    expect(plate.getHistory().redo).toStrictEqual(['setMetadata']);
+
+    plate.setMetadata({ metadata: { operator: 'me' } });
+    expect(plate.metadata).toStrictEqual({ operator: 'me' });
+    expect(plate.getHistory().redo).toStrictEqual([]);
+    expect(plate.redo()).toBeNull();
+  });
+
+  it('Nested and failed edits are not recorded', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 4 });
+    plate.addDilutionLayout({
+      reagents: [{ label: 'Drug', unit: 'uM' }],
+      topConcentration: 8,
+      nbPoints: 4,
+    });
+    expect(() => plate.addReagentsFromArray([])).toThrow(
+      'Input array must have the same length as wells in the plate',
+    );
+    expect(plate.getHistory().undo).toStrictEqual(['addDilutionLayout']);
+    plate.undo();
+    expect(plate.wells[0].reagents).toStrictEqual([]);
+    expect(plate.undo()).toBeNull();
+  });
+
+  it('Failed edits leave the plate unchanged', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 2 });
+    expect(() =>
+      plate.addReagentsFromArray(
+        [
+          [{ label: 'Drug', unit: 'mM', concentration: 1 }],
+          [{ label: 'Drug', unit: 'cups', concentration: 1 }],
+        ],
+        { normalizeUnits: true },
+      ),
+    ).toThrow('Unknown unit cups of Drug');
+    expect(plate.wells[0].reagents).toStrictEqual([]);
+    expect(plate.getHistory().undo).toStrictEqual([]);
+  });
+
+  it('Size of the history', () => {
+    const plate = new WellPlateData({
+      nbRows: 'A',
+      nbColumns: 4,
+      historyMaxSize:
+        1.5 *
+        JSON.stringify(new WellPlateData({ nbRows: 'A', nbColumns: 4 })).length,
+    });
+    plate.setMetadata({ metadata: { step: 1 } });
+    plate.setMetadata({ metadata: { step: 2 } });
+    expect(plate.getHistory().undo).toHaveLength(1);
+    expect(plate.undo()).toBe('setMetadata');
+    expect(plate.metadata).toStrictEqual({ step: 1 });
+    plate.setMetadata({
+      metadata: { text: 'x'.repeat(plate.history.maxSize) },
+    });
+    plate.undo();
+    expect(plate.getHistory()).toStrictEqual({
+      undo: [],
+      redo: [],
+      checkpoints: [],
+    });
+    const withoutHistory = new WellPlateData({ historyMaxSize: 0 });
+    const stringify = jest.spyOn(JSON, 'stringify');
+    withoutHistory.setMetadata({ metadata: { step: 1 } });
+    expect(stringify).not.toHaveBeenCalled();
+    stringify.mockRestore();
+    expect(withoutHistory.getHistory().undo).toStrictEqual([]);
+  });
+
+  it('Checkpoints and history limit', () => {
+    const plate = new WellPlateData({
+      nbRows: 'A',
+      nbColumns: 4,
+      historyLimit: 2,
+    });
+    plate.setMetadata({ metadata: { step: 1 } });
+    plate.setCheckpoint('first');
+    plate.setMetadata({ metadata: { step: 2 } });
+    plate.setMetadata({ metadata: { step: 3 } });
+    expect(plate.getHistory().undo).toHaveLength(2);
+
+    plate.restoreCheckpoint('first');
+    expect(plate.metadata).toStrictEqual({ step: 1 });
+    plate.undo();
+    expect(plate.metadata).toStrictEqual({ step: 3 });
+    expect(() => plate.restoreCheckpoint('second')).toThrow(
+      'The checkpoint second does not exist',
+    );
+
+    plate.clearHistory();
+    expect(plate.getHistory()).toStrictEqual({
+      undo: [],
+      redo: [],
+      checkpoints: [],
+    });
+  });
+});
+
+describe('Well selection', () => {
+  it('Wells, charts and samples', () => {
+    const plate = new WellPlateData({ nbRows: 'B', nbColumns: 4 });
+    plate.addReagentsFromArray(
+      [1, 1, 2, 2, 3, 3, 4, 4].map((concentration) => [
+        { label: 'Drug', unit: 'uM', concentration },
+      ]),
+    );
+    plate.addSpectrumFromArray(
+      plate.wells.map((well) => ({
+        label: well.label,
+        array: { x: [1, 2], y: [3, 4] },
+      })),
+    );
+    expect(plate.getWells('row B').map((well) => well.id)).toStrictEqual([
+      '1-B1',
+      '1-B2',
+      '1-B3',
+      '1-B4',
+    ]);
+    expect(plate.getSpectraChart('A1:B2').data).toHaveLength(4);
+    expect(plate.getSpectraChart({ ids: ['1-A1'] }).data).toHaveLength(1);
+    const samples = plate.getSamples({
+      reagent: { label: 'Drug', min: 2, max: 3 },
+    });
+    expect(samples.map((sample) => sample.label)).toStrictEqual([
+      'A3-A4',
+      'B1-B2',
+    ]);
+    expect(plate.getChartOfSpectraSamples('column 1').data).toHaveLength(2);
+  });
+});
+
+describe('Plate reformatting', () => {
+  function getPlate(offset) {
+    const plate = new WellPlateData({ plateFormat: 96 });
+    plate.addReagentsFromArray(
+      plate.wells.map((well, index) => [
+        { label: 'Drug', unit: 'uM', concentration: offset + index },
+      ]),
+    );
+    plate.addAnalysisFromArray(
+      plate.wells.map((well, index) => ({
+        name: 'signal',
+        value: offset + index,
+      })),
+    );
+    return plate;
+  }
+
+  it('Four 96 well plates in a 384 well plate and back', () => {
+    const plates = [0, 1000, 2000, 3000].map(getPlate);
+    const merged = WellPlateData.mergePlates(plates);
+    merged.outlierDetection.keys.signal = { method: 'tukey' };
+    expect(plates[0].outlierDetection.keys).toStrictEqual({});
+    expect(merged.typeOfPlate).toBe('Px24');
+    expect(merged.wells).toHaveLength(384);
+    const well = merged.getWell({ id: '1-B2' });
+    expect(well.source).toStrictEqual({
+      index: 3,
+      id: '1-A1',
+      plate: '1',
+      label: 'A1',
+    });
+    expect(well.reagents[0].concentration).toBe(3000);
+    expect(well.analysis.processed.signal).toBe(3000);
+    expect(merged.getWell({ id: '1-P24' }).source.id).toBe('1-H12');
+    expect(merged.samples).toHaveLength(384);
+
+    const split = merged.splitPlates();
+    expect(split).toHaveLength(4);
+    expect(split[2].typeOfPlate).toBe('Hx12');
+    expect(split[2].getWell({ id: '1-C4' }).source).toStrictEqual({
+      id: '1-F7',
+      plate: '1',
+      label: 'F7',
+    });
+    split[0].outlierDetection.alpha = 0.01;
+    expect(split[1].outlierDetection.alpha).toBe(0.05);
+    expect(merged.outlierDetection.alpha).toBe(0.05);
+    expect(
+      split[2].wells.map((item) => item.analysis.processed.signal),
+    ).toStrictEqual(
+      plates[2].wells.map((item) => item.analysis.processed.signal),
+    );
+  });
+
+  it('Samples of the merged and split plates', () => {
+    const plates = [0, 10, 20, 30].map((offset) => {
+      const plate = new WellPlateData({ nbRows: 'B', nbColumns: 2 });
+      plate.metadata = { name: 'Screen' };
+      plate.addReagentsFromArray(
+        [1, 1, 2, 2].map((concentration) => [{ label: 'Drug', concentration }]),
+      );
+      plate.addAnalysisFromArray(
+        plate.wells.map((well, index) => ({
+          name: 'signal',
+          value: offset + index,
+        })),
+      );
+      return plate;
+    });
+    plates[0].setInAverage({ ids: ['1-A1'], inAverage: false });
+    const merged = WellPlateData.mergePlates(plates);
+    expect(merged.metadata).toStrictEqual({ name: 'Screen' });
+    const sample = merged.samples.find(
+      (item) => item.reagents[0].concentration === 1,
+    );
+    expect(sample.wells.filter((item) => !item.inAverage)).toHaveLength(1);
+    expect(sample.analysis.averaged).toStrictEqual([
+      { label: 'signal', value: (1 + 10 + 11 + 20 + 21 + 30 + 31) / 7 },
+    ]);
+    expect(sample.wells[1].test[0].label).toBe('signal');
+    const [split] = merged.splitPlates();
+    expect(split.samples[0].analysis.averaged).toStrictEqual([
+      { label: 'signal', value: 1 },
+    ]);
+  });
+
+  it('Blocks and several merged plates', () => {
+    const merged = WellPlateData.mergePlates(
+      [0, 1000, 2000, 3000, 4000].map(getPlate),
+      { layout: 'block' },
+    );
+    expect(merged.options.nbPlates).toBe(2);
+    expect(merged.getWell({ id: '1-A13' }).source.index).toBe(1);
+    expect(merged.getWell({ id: '2-A1' }).source.index).toBe(4);
+    expect(merged.getWell({ id: '2-A13' }).source).toBeUndefined();
+    expect(() =>
+      WellPlateData.mergePlates([
+        getPlate(0),
+        new WellPlateData({ plateFormat: 24 }),
+      ]),
+    ).toThrow('The plates to merge must have the same format');
+  });
+});
+
+describe('Liquid handler worklists', () => {
+  it('Worklist of a dilution layout', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 4 });
+    plate.addDilutionLayout({
+      reagents: [{ label: 'Drug', unit: 'uM' }],
+      topConcentration: 20,
+      nbPoints: 4,
+    });
+    const stocks = [
+      {
+        label: 'Drug',
+        unit: 'uM',
+        concentration: 1000,
+        plate: 'S',
+        well: 'A1',
+      },
+    ];
+    const { worklist, errors } = plate.getWorklist({
+      stocks,
+      finalVolume: 1000,
+      minVolume: 2.5,
+      resolution: 2.5,
+      wells: 'A1:A3',
+    });
+    expect(errors).toStrictEqual([]);
+    expect(worklist.split('\n').slice(1)).toStrictEqual([
+      'S,A1,1,A1,20',
+      'S,A1,1,A2,10',
+      'S,A1,1,A3,5',
+    ]);
+    expect(
+      plate.getTransferVolumes({ stocks, finalVolume: 1000, minVolume: 5 })
+        .errors,
+    ).toHaveLength(1);
+  });
+});
+
+describe('Concentration units', () => {
+  it('Normalized reagents and samples', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 3 });
+    plate.addReagentsFromArray(
+      [
+        { unit: 'mM', concentration: 1 },
+        { unit: 'µM', concentration: 1000 },
+        { unit: 'nM', concentration: 1000 },
+      ].map((reagent) => [{ label: 'Drug', ...reagent }]),
+    );
+    expect(plate.samples.map((sample) => sample.label)).toStrictEqual([
+      'A1-A2',
+      'A3',
+    ]);
+    plate.addReagentsFromArray(
+      plate.wells.map(() => [{ label: 'Drug', unit: 'mM', concentration: 2 }]),
+      { normalizeUnits: 'µM' },
+    );
+    expect(plate.wells[0].reagents).toStrictEqual([
+      { label: 'Drug', unit: 'µM', concentration: 2000 },
+    ]);
+    plate.wells[2].reagents[0].unit = '%';
+    expect(() =>
+      plate.checkReagents({ checkKeys: false, checkUnits: true }),
+    ).toThrow('Inconsistent units of Drug: µM at 1-A1 and % at 1-A3');
+  });
+
+  it('Templates normalized on import', () => {
+    const { wellPlateData } = WellPlateData.parseTemplate(
+      ['row,column,Drug (mM)', 'A,1,1', 'A,2,0.5'].join('\n'),
+      { normalizeUnits: true },
+    );
+    expect(wellPlateData.wells[1].reagents).toStrictEqual([
+      { label: 'Drug', unit: 'µM', concentration: 500 },
+    ]);
+  });
+});
+
+describe('Spectrum processing', () => {
+  it('Processed spectra of wells, samples and charts', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 2 });
+    const x = [1, 2, 3, 4, 5, 6, 7];
+    plate.addSpectrumFromArray(
+      plate.wells.map((well, index) => ({
+        label: well.label,
+        array: { x, y: [1, 2, 5, 9, 5, 2, 1].map((value) => value + index) },
+      })),
+    );
+    const ids = plate.processSpectra({
+      steps: [
+        { name: 'baseline', method: 'minimum' },
+        { name: 'normalize', method: 'max' },
+      ],
+      peaks: { minHeight: 0.5 },
+    });
+    expect(ids).toStrictEqual(['1-A1', '1-A2']);
+    const [well] = plate.wells;
+    expect(well.spectrum.data.y[3]).toBe(9);
+    expect(well.spectrum.processed.y[3]).toBe(1);
+    expect(well.spectrum.peaks).toStrictEqual([{ index: 3, x: 4, y: 1 }]);
+    expect(plate.samples[0].averagedSpectra.y[3]).toBe(1);
+    expect(plate.getSpectraChart().data[1].y[3]).toBe(10);
+    expect(plate.getSpectraChart({ processed: true }).data[1].y[3]).toBe(1);
+    expect(plate.getHistory().undo).toStrictEqual(['processSpectra']);
+    plate.undo();
+    expect(plate.wells[0].spectrum.processed).toBeUndefined();
+  });
+});
+
+describe('Spectral features', () => {
+  it('Features in the analysis of the wells and samples', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 4 });
+    plate.addSpectrumFromArray(
+      plate.wells.map((well, index) => ({
+        label: well.label,
+        array: {
+          x: [250, 260, 270, 280],
+          y: [1, 2, 1.5, index === 3 ? 4 : 1],
+        },
+      })),
+    );
+    const results = plate.extractSpectralFeatures({
+      features: [
+        { name: 'A260/A280', type: 'ratio', numerator: 260, denominator: 280 },
+      ],
+    });
+    expect(results[3]).toStrictEqual({ id: '1-A4', 'A260/A280': 0.5 });
+    expect(plate.wells[0].analysis.raw['A260/A280']).toBe(2);
+    expect(plate.samples[0].analysis.averaged).toStrictEqual([
+      { label: 'A260/A280', value: 1.625 },
+    ]);
+    expect(plate.samples[0].wells[3].test[0].label).toBe('A260/A280');
+    expect(plate.getHistory().undo).toStrictEqual(['extractSpectralFeatures']);
+  });
+  it('Missing features of the wells without spectrum', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 3 });
+    plate.addSpectrumFromArray(
+      plate.wells.slice(1).map((well, index) => ({
+        label: well.label,
+        array: { x: [260, 280], y: [2 + index, 1] },
+      })),
+    );
+    const results = plate.extractSpectralFeatures({
+      features: [
+        { name: 'A260/A280', type: 'ratio', numerator: 260, denominator: 280 },
+        { name: 'A600', type: 'value', x: 600 },
+      ],
+    });
+    expect(results[0]).toStrictEqual({
+      id: '1-A1',
+      'A260/A280': null,
+      A600: null,
+    });
+    expect(plate.wells[0].analysis.raw['A260/A280']).toBeNull();
+    expect(plate.samples[0].analysis.averaged).toStrictEqual([
+      { label: 'A260/A280', value: 2.5 },
+      { label: 'A600', value: null },
+    ]);
+  });
+});
+
+describe('Standard curve calibration', () => {
+  it('Concentrations of the wells and samples of each plate', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 6 });
+    const concentrations = [0, 1, 2, 4, null, null];
+    const responses = [1, 3, 5, 9, 6, 12];
+    plate.addReagentsFromArray(
+      concentrations.map((concentration) =>
+        concentration === null ? [] : [{ label: 'Protein', concentration }],
+      ),
+    );
+    plate.wells.forEach((well, index) => {
+      if (index < 4) well.metadata.category = 'standard';
+      well.addAnalysis({ name: 'signal', value: responses[index] });
+    });
+    const [report] = plate.calibrate({
+      key: 'signal',
+      reagent: 'Protein',
+      outputKey: 'concentration',
+    });
+    expect(report.plate).toBe('1');
+    expect(report.curve.parameters.slope).toBeCloseTo(2, 10);
+    expect(report.wells.map((item) => [item.id, item.flag])).toStrictEqual([
+      ['1-A5', null],
+      ['1-A6', 'above'],
+    ]);
+    const well = plate.getWell({ id: '1-A5' });
+    expect(well.analysis.processed.concentration).toBeCloseTo(2.5, 10);
+    expect(plate.getWell({ id: '1-A6' }).flags).toStrictEqual({
+      concentration: 'above',
+    });
+    expect(plate.getWell({ id: '1-A1' }).flags).toBeUndefined();
+    const sample = plate.samples.find((item) =>
+      item.wells.some((entry) => entry.id === '1-A5'),
+    );
+    expect(
+      sample.analysis.averaged.find((item) => item.label === 'concentration')
+        .value,
+    ).toBeCloseTo((2.5 + 5.5) / 2, 10);
+    expect(sample.results.concentration).toBeUndefined();
+    expect(sample.flags).toStrictEqual({ concentration: 'above' });
+    expect(well.analysis.raw.concentration).toBeUndefined();
+    expect(
+      WellPlateData.fromJSON(JSON.stringify(plate)).getWell({ id: '1-A6' })
+        .flags,
+    ).toStrictEqual({ concentration: 'above' });
+    expect(plate.getHistory().undo).toContain('calibrate');
+    expect(() => plate.calibrate({ key: 'signal', reagent: 'Dye' })).toThrow(
+      'The plate 1 has no standards of Dye',
+    );
+  });
+  it('Concentrations that can not be computed', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 4 });
+    plate.addReagentsFromArray(
+      [0, 1, null, null].map((concentration) =>
+        concentration === null ? [] : [{ label: 'Protein', concentration }],
+      ),
+    );
+    [1, 3, null, 5].forEach((value, index) => {
+      if (index < 2) plate.wells[index].metadata.category = 'standard';
+      plate.wells[index].addAnalysis({ name: 'signal', value });
+    });
+    const [report] = plate.calibrate({ key: 'signal', reagent: 'Protein' });
+    expect(report.wells.map((item) => item.flag)).toStrictEqual([
+      'undetermined',
+      'above',
+    ]);
+    expect(plate.wells[2].analysis.processed.signal_concentration).toBeNull();
+    const sample = plate.samples.find((item) => item.label === 'A3-A4');
+    expect(sample.analysis.raw.signal_concentration).toBeCloseTo(2, 10);
+    expect(Object.keys(sample.flags)).toStrictEqual(['signal_concentration']);
+    expect(sample.flags.signal_concentration).toBe('undetermined');
+  });
+
+  it('No well changed when a plate has no standards', () => {
+    const plate = new WellPlateData({ nbRows: 'A', nbColumns: 3, nbPlates: 2 });
+    plate.addReagentsFromArray(
+      plate.wells.map((well, index) =>
+        index < 2 ? [{ label: 'Protein', concentration: index }] : [],
+      ),
+    );
+    plate.wells.forEach((well, index) => {
+      if (index < 2) well.metadata.category = 'standard';
+      well.addAnalysis({ name: 'signal', value: index + 1 });
+    });
+    expect(() =>
+      plate.calibrate({ key: 'signal', reagent: 'Protein' }),
+    ).toThrow('The plate 2 has no standards of Protein');
+    const well = plate.getWell({ id: '1-A3' });
+    expect(well.analysis.processed.signal_concentration).toBeUndefined();
+    expect(well.flags).toBeUndefined();
+  });
+});
+
+describe('Design of experiments layout', () => {
+  it('Replicates blocked by plate away from the edges', () => {
+    const plate = new WellPlateData({ nbRows: 'D', nbColumns: 4, nbPlates: 2 });
+    const layout = plate.addDesignLayout({
+      factors: [
+        { label: 'Salt', unit: 'mM', min: 0, max: 100 },
+        { label: 'Sugar', unit: 'mM', min: 10, max: 20 },
+      ],
+      nbReplicates: 2,
+      avoidEdges: true,
+    });
+    expect(layout.runs).toHaveLength(4);
+    expect(layout.design.map((item) => item.id)).toStrictEqual([
+      '1-B2',
+      '1-B3',
+      '1-C2',
+      '1-C3',
+      '2-B2',
+      '2-B3',
+      '2-C2',
+      '2-C3',
+    ]);
+    expect(layout.design[5]).toMatchObject({
+      block: '2',
+      run: 2,
+      replicate: 2,
+      concentrations: { Salt: 100, Sugar: 10 },
+    });
+    expect(plate.getWell({ id: '2-B3' }).reagents).toStrictEqual([
+      { label: 'Salt', unit: 'mM', concentration: 100 },
+      { label: 'Sugar', unit: 'mM', concentration: 10 },
+    ]);
+    expect(plate.getWell({ id: '1-A1' }).reagents[0].concentration).toBeNull();
+    expect(plate.getHistory().undo).toStrictEqual(['addDesignLayout']);
+    expect(() =>
+      plate.addDesignLayout({
+        factors: [{ label: 'Salt', min: 0, max: 1 }],
+        nbLevels: 5,
+        avoidEdges: true,
+      }),
+    ).toThrow('The plate 1 needs 5 wells but has 4 available');
+  });
+});
+
+describe('Randomized layout', () => {
+  it('Physical and design layouts', () => {
+    const plate = new WellPlateData({ nbRows: 'B', nbColumns: 3 });
+    plate.addReagentsFromArray(
+      plate.wells.map((well, index) => [
+        { label: 'Drug', concentration: index },
+      ]),
+    );
+    const { map } = plate.randomizeLayout({ seed: 5, restriction: 'row' });
+    expect(map.map((item) => item.design)).toStrictEqual(
+      plate.wells.map((well) => well.id),
+    );
+    for (let { design, physical } of map) {
+      const well = plate.getWell({ id: physical });
+      expect(well.design.id).toBe(design);
+      expect(well.reagents[0].concentration).toBe(
+        plate.wells.findIndex((item) => item.id === design),
+      );
+      expect(physical.slice(0, 3)).toBe(design.slice(0, 3));
+    }
+    expect(
+      plate.getHeatmap({ type: 'reagent', key: 'Drug', layout: 'design' })
+        .matrix,
+    ).toStrictEqual([
+      [0, 1, 2],
+      [3, 4, 5],
+    ]);
+    expect(
+      plate.getHeatmap({ type: 'reagent', key: 'Drug' }).matrix,
+    ).not.toStrictEqual([
+      [0, 1, 2],
+      [3, 4, 5],
+    ]);
+    const again = WellPlateData.fromJSON(JSON.stringify(plate));
+    expect(again.getRandomizationMap()).toStrictEqual(map);
+    again.randomizeLayout({ seed: 6 });
+    expect(
+      again.getHeatmap({ type: 'reagent', key: 'Drug', layout: 'design' })
+        .matrix,
+    ).toStrictEqual([
+      [0, 1, 2],
+      [3, 4, 5],
+    ]);
+    expect(plate.getHistory().undo).toStrictEqual([
+      'addReagentsFromArray',
+      'randomizeLayout',
+    ]);
+  });
+});
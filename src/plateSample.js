@@ -6,6 +6,8 @@ export class PlateSample {
    * @param {String} label - Sample label
    * @param {Array}  [wells=[]] - Wells that corresponds to the sample
    * @param {Object} [metadata={}] - Metadata relate to the well
+   * @param {Object} [criticalValues={}] - Critical value of the outlier test of each key of the analysis
+   * @param {Object} [flags] - First flag of the wells in the average for each key of the analysis, e.g. { concentration: 'above' }
    */
   constructor(options = {}) {
     let {
@@ -18,8 +20,8 @@ export class PlateSample {
         category: null,
         group: null,
       },
-      averagedSpectra = { x: [], y: [] },
-      averagedGrowthCurves = { x: [], y: [] },
+      averagedSpectra = { x: [], y: [], counts: [] },
+      averagedGrowthCurves = { x: [], y: [], counts: [] },
       _highlight = getRandomId(),
       analysis = {
         raw: {},
@@ -28,6 +30,9 @@ export class PlateSample {
       },
       results = {},
       reagents = [],
+      criticalValues = {},
+      grubbsCriticalValue = undefined,
+      flags = undefined,
     } = options;
     this.id = id;
     this.label = label;
@@ -36,8 +41,13 @@ export class PlateSample {
     this.results = results;
     this.analysis = analysis;
     this.reagents = reagents;
+    this.criticalValues = criticalValues;
     this.averagedSpectra = averagedSpectra;
     this.averagedGrowthCurves = averagedGrowthCurves;
     this._highlight = _highlight;
+    if (grubbsCriticalValue !== undefined) {
+      this.grubbsCriticalValue = grubbsCriticalValue;
+    }
+    if (flags !== undefined) this.flags = flags;
   }
 }
@@ -0,0 +1,28 @@
+import { adjustPValues } from '../adjustPValues';
+
+describe('Adjust p-values', () => {
+  const pValues = [0.01, 0.04, 0.03, 0.005];
+
+  it('Bonferroni', () => {
+    const adjusted = adjustPValues(pValues, 'bonferroni');
+    [0.04, 0.16, 0.12, 0.02].forEach((value, index) => {
+      expect(adjusted[index]).toBeCloseTo(value, 10);
+    });
+    expect(adjustPValues([0.5, 0.6], 'bonferroni')).toStrictEqual([1, 1]);
+  });
+
+  it('Benjamini-Hochberg', () => {
+    const adjusted = adjustPValues(pValues.concat(NaN), 'bh');
+    [0.02, 0.04, 0.04, 0.02].forEach((value, index) => {
+      expect(adjusted[index]).toBeCloseTo(value, 10);
+    });
+    expect(adjusted[4]).toBeNaN();
+  });
+
+  it('Unknown method', () => {
+    expect(adjustPValues(pValues)).toStrictEqual(pValues);
+    expect(() => adjustPValues(pValues, 'holm')).toThrow(
+      'Unknown p-value adjustment holm',
+    );
+  });
+});
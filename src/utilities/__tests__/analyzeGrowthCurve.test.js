@@ -0,0 +1,47 @@
+import { analyzeGrowthCurve } from '../analyzeGrowthCurve';
+import { growthModels } from '../growthModels';
+
+function simulate(model, parameters, od0 = 0.05) {
+  const x = new Array(49).fill().map((item, index) => index * 1800);
+  const curve = growthModels[model].fn(parameters);
+  return { x, y: x.map((t) => od0 * Math.exp(curve(t))) };
+}
+
+describe('Growth curve parameters', () => {
+  const parameters = [3, 2e-4, 14400, 1.5];
+
+  it.each(['logistic', 'gompertz', 'richards'])('%s model', (model) => {
+    const data = simulate(model, parameters);
+    const result = analyzeGrowthCurve(data, { model });
+    expect(result.maxGrowthRate / 2e-4).toBeCloseTo(1, 2);
+    expect(result.lagTime / 14400).toBeCloseTo(1, 1);
+    expect(result.doublingTime / (Math.LN2 / 2e-4)).toBeCloseTo(1, 2);
+    expect(result.carryingCapacity).toBeCloseTo(0.05 * Math.exp(3), 2);
+    expect(result.r2).toBeGreaterThan(0.999);
+  });
+
+  it('model free sliding window', () => {
+    const data = simulate('gompertz', parameters);
+    const result = analyzeGrowthCurve(data, { model: 'slidingWindow' });
+    expect(result.maxGrowthRate / 2e-4).toBeGreaterThan(0.9);
+    expect(result.maxGrowthRate / 2e-4).toBeLessThanOrEqual(1);
+    expect(result.lagTime / 14400).toBeCloseTo(1, 0);
+    expect(result.carryingCapacity).toBe(result.maxOD);
+  });
+
+  it('max OD and area under the curve', () => {
+    const result = analyzeGrowthCurve({
+      x: [0, 1, 2, 3],
+      y: [1, 2, NaN, 4],
+    });
+    expect(result.maxOD).toBe(4);
+    expect(result.auc).toBe(7.5);
+    expect(result.lagTime).toBeNaN();
+  });
+
+  it('unknown model', () => {
+    expect(() => analyzeGrowthCurve({ x: [], y: [] }, { model: 'x' })).toThrow(
+      'Unknown model x, expected one of: logistic, gompertz, richards, slidingWindow',
+    );
+  });
+});
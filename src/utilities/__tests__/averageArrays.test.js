@@ -18,6 +18,54 @@ describe('test average of arrays', () => {
     expect(averagedArray).toStrictEqual({
       x: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
       y: [2, 2, 2, 2, 2, 2, 2, 2, 2, 2],
+      counts: [3, 3, 3, 3, 3, 3, 3, 3, 3, 3],
     });
   });
 });
+
+describe('Average of arrays with different axes', () => {
+  it('Resampled on the union of the axes', () => {
+    const averagedArray = averageArrays([
+      { x: [0, 1, 2], y: [0, 10, 20] },
+      { x: [0.5, 1.5, 2.5, 3], y: [10, 20, 30, 40] },
+    ]);
+    expect(averagedArray.x).toStrictEqual([0, 1, 2, 3]);
+    expect(averagedArray.y).toStrictEqual([0, 12.5, 22.5, 40]);
+    expect(averagedArray.counts).toStrictEqual([1, 2, 2, 1]);
+  });
+
+  it('NaN values are skipped', () => {
+    const averagedArray = averageArrays([
+      { x: [0, 1, 2], y: [1, NaN, 3] },
+      { x: [0, 1, 2], y: [3, NaN, 5] },
+      { x: [0, 1, 2], y: [5, 4, NaN] },
+    ]);
+    expect(averagedArray.y).toStrictEqual([3, 4, 4]);
+    expect(averagedArray.counts).toStrictEqual([3, 1, 2]);
+  });
+
+  it('Range and step', () => {
+    const averagedArray = averageArrays(
+      [
+        { x: [0, 2, 4], y: [0, 2, 4] },
+        { x: [1, 3, 5], y: [2, 4, 6] },
+      ],
+      { from: 1, to: 4, step: 1 },
+    );
+    expect(averagedArray.x).toStrictEqual([1, 2, 3, 4]);
+    expect(averagedArray.y).toStrictEqual([1.5, 2.5, 3.5, 4.5]);
+    expect(averagedArray.counts).toStrictEqual([2, 2, 2, 2]);
+  });
+
+  it('Slightly shifted axes within the tolerance', () => {
+    const averagedArray = averageArrays(
+      [
+        { x: [0, 60, 120], y: [1, 2, 3] },
+        { x: [0, 61, 119], y: [3, 4, 5] },
+      ],
+      { tolerance: 2 },
+    );
+    expect(averagedArray.x).toStrictEqual([0, 60, 120]);
+    expect(averagedArray.y).toStrictEqual([2, 3, 4]);
+  });
+});
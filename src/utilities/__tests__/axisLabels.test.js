@@ -0,0 +1,44 @@
+import {
+  axisLabelToIndex,
+  indexToLetters,
+  normalizeWellLabel,
+  parseWellLabel,
+} from '../axisLabels';
+
+describe('Row and column labels', () => {
+  it('Label to index', () => {
+    expect(axisLabelToIndex('A')).toBe(0);
+    expect(axisLabelToIndex('h')).toBe(7);
+    expect(axisLabelToIndex('Z')).toBe(25);
+    expect(axisLabelToIndex('AA')).toBe(26);
+    expect(axisLabelToIndex('AF')).toBe(31);
+    expect(axisLabelToIndex('12')).toBe(11);
+    expect(axisLabelToIndex(3)).toBe(2);
+    expect(axisLabelToIndex('0')).toBeNaN();
+    expect(axisLabelToIndex('A1')).toBeNaN();
+  });
+
+  it('Index to letters', () => {
+    expect(indexToLetters(0)).toBe('A');
+    expect(indexToLetters(25)).toBe('Z');
+    expect(indexToLetters(26)).toBe('AA');
+    expect(indexToLetters(31)).toBe('AF');
+    expect(indexToLetters(701)).toBe('ZZ');
+    expect(indexToLetters(702)).toBe('AAA');
+  });
+
+  it('Well labels', () => {
+    expect(parseWellLabel('A1')).toStrictEqual({ row: 0, column: 0 });
+    expect(parseWellLabel('af048')).toStrictEqual({ row: 31, column: 47 });
+    expect(parseWellLabel('12')).toBeNull();
+    expect(parseWellLabel('A0')).toBeNull();
+  });
+
+  it('Normalized well labels', () => {
+    expect(normalizeWellLabel('A01')).toBe('A1');
+    expect(normalizeWellLabel(' af048 ')).toBe('AF48');
+    expect(normalizeWellLabel('007')).toBe('7');
+    expect(normalizeWellLabel('Time')).toBeNull();
+    expect(normalizeWellLabel('0')).toBeNull();
+  });
+});
@@ -1,5 +1,5 @@
 import { Well } from '../../well/well';
-import { checkReagents } from '../checkReagents';
+import { checkReagents, checkReagentsUnits } from '../checkReagents';
 
 describe('test get random id function', () => {
   const well = new Well({
@@ -100,4 +100,24 @@ describe('test get random id function', () => {
       );
     }
   });
+
+  it('Unknown and inconsistent units', () => {
+    const options = { checkKeys: false, checkUnits: true };
+    const wells = ['mM', 'µg/mL', 'cells'].map(
+      (unit, index) =>
+        new Well({
+          id: `1-B${index + 1}`,
+          reagents: [{ label: 'reagent1', unit, concentration: 1 }],
+        }),
+    );
+    expect(() => checkReagents(wells[0], options)).not.toThrow();
+    expect(() => checkReagents(wells[2], options)).toThrow(
+      'Unknown unit cells for reagent1 at 1-B3',
+    );
+    expect(() => checkReagentsUnits(wells.slice(0, 2))).toThrow(
+      'Inconsistent units of reagent1: mM at 1-B1 and µg/mL at 1-B2',
+    );
+    wells[1].reagents[0].molarMass = 180;
+    expect(() => checkReagentsUnits(wells.slice(0, 2))).not.toThrow();
+  });
 });
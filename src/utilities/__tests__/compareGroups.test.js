@@ -0,0 +1,90 @@
+import { compareGroups } from '../compareGroups';
+
+describe('Compare groups', () => {
+  const groups = [
+    { id: 'a', values: [4, 5, 6] },
+    { id: 'b', values: [6, 7, 8, NaN] },
+    { id: 'c', values: [8, 9, 10] },
+  ];
+
+  it('Welch t-test', () => {
+    const { comparisons } = compareGroups(
+      [
+        { id: 'a', values: [1, 2, 3] },
+        { id: 'b', values: [4, 5, 6] },
+      ],
+      { test: 'welch' },
+    );
+    expect(comparisons).toHaveLength(1);
+    expect(comparisons[0].statistic).toBeCloseTo(3 / Math.sqrt(2 / 3), 10);
+    expect(comparisons[0].df).toBeCloseTo(4, 10);
+    expect(comparisons[0].pValue).toBeGreaterThan(0.02);
+    expect(comparisons[0].pValue).toBeLessThan(0.025);
+    expect(comparisons[0].significant).toBe(true);
+  });
+
+  it('Welch t-tests against a reference with adjustment', () => {
+    const { comparisons } = compareGroups(groups, {
+      test: 'welch',
+      reference: 'a',
+      adjustment: 'bonferroni',
+    });
+    expect(comparisons.map((item) => item.groups)).toStrictEqual([
+      ['a', 'b'],
+      ['a', 'c'],
+    ]);
+    expect(comparisons[0].adjustedPValue).toBeCloseTo(
+      2 * comparisons[0].pValue,
+      10,
+    );
+  });
+
+  it('One-way ANOVA', () => {
+    const { anova, comparisons, groups: summaries } = compareGroups(groups);
+    expect(summaries[1]).toMatchObject({ n: 3, mean: 7, sd: 1 });
+    expect(anova).toMatchObject({ dfBetween: 2, dfWithin: 6 });
+    expect(anova.statistic).toBeCloseTo(12, 10);
+    expect(anova.pValue).toBeCloseTo(1 / 125, 8);
+    expect(comparisons).toStrictEqual([]);
+  });
+
+  it('Tukey HSD', () => {
+    const { comparisons } = compareGroups(groups, { test: 'tukey' });
+    expect(comparisons.map((item) => item.groups)).toStrictEqual([
+      ['a', 'b'],
+      ['a', 'c'],
+      ['b', 'c'],
+    ]);
+    expect(comparisons[1].statistic).toBeCloseTo(4 * Math.sqrt(3), 10);
+    expect(comparisons[0].pValue).toBeGreaterThan(0.05);
+    expect(comparisons[1].pValue).toBeLessThan(0.01);
+    expect(comparisons[1].significant).toBe(true);
+  });
+
+  it('Dunnett', () => {
+    const { comparisons } = compareGroups(groups, {
+      test: 'dunnett',
+      reference: 'a',
+    });
+    expect(comparisons[0].difference).toBe(2);
+    expect(comparisons[0].pValue).toBeGreaterThan(0.05);
+    expect(comparisons[1].pValue).toBeLessThan(0.01);
+    expect(() => compareGroups(groups, { test: 'dunnett' })).toThrow(
+      'The Dunnett test needs a reference group',
+    );
+  });
+
+  it('Many groups in a bounded time', () => {
+    const many = new Array(40).fill().map((item, index) => ({
+      id: `${index}`,
+      values: [index, index + 1, index + 3],
+    }));
+    const start = Date.now();
+    const tukey = compareGroups(many, { test: 'tukey' });
+    const dunnett = compareGroups(many, { test: 'dunnett', reference: '0' });
+    expect(Date.now() - start).toBeLessThan(3000);
+    expect(tukey.comparisons).toHaveLength(780);
+    expect(dunnett.comparisons).toHaveLength(39);
+    expect(dunnett.comparisons[38].significant).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { detectOutliers } from '../detectOutliers';
+
+describe('Outlier detection strategies', () => {
+  const values = [10.1, 9.9, 10, 10.2, 9.8, 15];
+
+  it('Grubbs', () => {
+    const { criticalValue, test } = detectOutliers(values);
+    expect(criticalValue).toBe(1.82);
+    expect(test.map((item) => item.pass)).toStrictEqual([
+      true,
+      true,
+      true,
+      true,
+      true,
+      false,
+    ]);
+  });
+
+  it('Iterative Grubbs rejects the values one at a time', () => {
+    const { test } = detectOutliers([10, 10.1, 9.9, 10, 10.05, 9.95, 13, 16], {
+      method: 'iterativeGrubbs',
+    });
+    expect(test.filter((item) => item.pass === false)).toHaveLength(2);
+    expect(
+      detectOutliers([10, 10.1, 9.9, 10, 10.05, 9.95, 13, 16]).test[6].pass,
+    ).toBe(true);
+  });
+
+  it('Dixon', () => {
+    const { criticalValue, test } = detectOutliers(values, { method: 'dixon' });
+    expect(criticalValue).toBe(0.625);
+    expect(test[5].score).toBeCloseTo(4.8 / 5.2, 10);
+    expect(test[5].pass).toBe(false);
+    expect(test[4].pass).toBe(true);
+    expect(() =>
+      detectOutliers(values, { method: 'dixon', alpha: 0.025 }),
+    ).toThrow('The significance level of the Dixon test must be one of');
+  });
+
+  it('Tukey fences', () => {
+    const { test } = detectOutliers(values, { method: 'tukey' });
+    expect(test[5].pass).toBe(false);
+    expect(test[0].score).toBe(0);
+  });
+
+  it('Median absolute deviation', () => {
+    const { criticalValue, test } = detectOutliers(values, { method: 'mad' });
+    expect(criticalValue).toBe(3.5);
+    expect(test[5].pass).toBe(false);
+    expect(test[3].score).toBeCloseTo(0.6745, 10);
+  });
+
+  it('NaN values and small samples are not tested', () => {
+    const { test } = detectOutliers([1, NaN, 2]);
+    expect(test.map((item) => item.pass)).toStrictEqual([
+      undefined,
+      undefined,
+      undefined,
+    ]);
+    expect(() => detectOutliers(values, { method: 'chauvenet' })).toThrow(
+      'Unknown outlier detection method chauvenet',
+    );
+  });
+});
@@ -0,0 +1,48 @@
+import {
+  dunnettCdf,
+  fCdf,
+  incompleteBeta,
+  logGamma,
+  normalCdf,
+  studentizedRangeCdf,
+  tCdf,
+  tQuantile,
+} from '../distributions';
+
+describe('Probability distributions', () => {
+  it('Gamma and incomplete beta functions', () => {
+    expect(Math.exp(logGamma(5))).toBeCloseTo(24, 10);
+    expect(Math.exp(logGamma(0.5))).toBeCloseTo(Math.sqrt(Math.PI), 10);
+    expect(incompleteBeta(0.5, 2, 2)).toBeCloseTo(0.5, 10);
+    expect(incompleteBeta(0.2, 1, 3)).toBeCloseTo(1 - Math.pow(0.8, 3), 10);
+  });
+
+  it("Student's t distribution", () => {
+    expect(tCdf(0, 5)).toBeCloseTo(0.5, 10);
+    expect(tCdf(2.228138851986, 10)).toBeCloseTo(0.975, 8);
+    expect(tCdf(-1.812461122811, 10)).toBeCloseTo(0.05, 8);
+    expect(tQuantile(0.975, 10)).toBeCloseTo(2.228138851986, 6);
+    expect(tQuantile(0.995, 3)).toBeCloseTo(5.840909309733, 6);
+    expect(tQuantile(0.025, 29)).toBeCloseTo(-2.045229642133, 6);
+  });
+});
+
+describe('Distributions of the comparison tests', () => {
+  it('F and normal distributions', () => {
+    expect(fCdf(3.885293834652, 2, 12)).toBeCloseTo(0.95, 8);
+    expect(fCdf(12, 2, 6)).toBeCloseTo(1 - 1 / 125, 8);
+    expect(normalCdf(1.95996398454)).toBeCloseTo(0.975, 6);
+    expect(normalCdf(-1)).toBeCloseTo(0.158655253931, 6);
+  });
+
+  it('Studentized range and Dunnett distributions', () => {
+    expect(studentizedRangeCdf(3.772929, 3, 12)).toBeCloseTo(0.95, 4);
+    expect(studentizedRangeCdf(2.771808, 2, Infinity)).toBeCloseTo(0.95, 4);
+    expect(
+      dunnettCdf(2.212, [Math.SQRT1_2, Math.SQRT1_2], Infinity),
+    ).toBeCloseTo(0.95, 3);
+    expect(
+      dunnettCdf(2.68, [Math.SQRT1_2, Math.SQRT1_2, Math.SQRT1_2], 12),
+    ).toBeCloseTo(0.95, 3);
+  });
+});
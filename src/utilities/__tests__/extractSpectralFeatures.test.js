@@ -0,0 +1,49 @@
+import { extractSpectralFeatures } from '../extractSpectralFeatures';
+
+describe('Spectral features', () => {
+  const data = {
+    x: [250, 255, 260, 270, 280, 290],
+    y: [1, 1.5, 2, 1.5, 1, 0.5],
+  };
+
+  it('Values, ratios, integrals and maxima', () => {
+    expect(
+      extractSpectralFeatures(data, [
+        { name: 'A260', type: 'value', x: 260 },
+        { name: 'A275', type: 'value', x: 275 },
+        { name: 'A260/A280', type: 'ratio', numerator: 260, denominator: 280 },
+        { name: 'A280/A260', type: 'ratio', numerator: 280, denominator: 260 },
+        { name: 'area', type: 'integral', from: 252.5, to: 280 },
+        { name: 'lambdaMax', type: 'argmax' },
+        { name: 'lambdaMaxAbove', type: 'argmax', from: 270 },
+      ]),
+    ).toStrictEqual({
+      A260: 2,
+      A275: 1.25,
+      'A260/A280': 2,
+      'A280/A260': 0.5,
+      area: 1.375 * 2.5 + 1.75 * 5 + 1.75 * 10 + 1.25 * 10,
+      lambdaMax: 260,
+      lambdaMaxAbove: 270,
+    });
+  });
+
+  it('Features outside of the spectrum', () => {
+    const result = extractSpectralFeatures(data, [
+      { name: 'A600', type: 'value', x: 600 },
+      { name: 'far', type: 'argmax', from: 600 },
+    ]);
+    expect(result.A600).toBeNaN();
+    expect(result.far).toBeNaN();
+    expect(
+      extractSpectralFeatures({ x: [], y: [] }, [
+        { name: 'A260', type: 'value', x: 260 },
+      ]).A260,
+    ).toBeNaN();
+    expect(() =>
+      extractSpectralFeatures(data, [{ name: 'fwhm', type: 'width' }]),
+    ).toThrow(
+      'Unknown feature type width, expected one of: value, ratio, integral, argmax',
+    );
+  });
+});
@@ -0,0 +1,40 @@
+import { WellPlateData } from '../../wellPlateData';
+import { findBlanks } from '../findBlanks';
+
+describe('Find the blanks of a well', () => {
+  const plate = new WellPlateData({ nbPlates: 2 });
+  const blanks = plate.getWells({
+    ids: ['1-A1', '1-A12', '1-H1', '1-H12', '1-D6', '2-A1'],
+  });
+  const well = plate.getWell({ id: '1-A5' });
+  const ids = (wells) => wells.map((item) => item.id);
+
+  it('Blanks of the plate', () => {
+    expect(ids(findBlanks(well, blanks))).toStrictEqual([
+      '1-A1',
+      '1-A12',
+      '1-D6',
+      '1-H1',
+      '1-H12',
+    ]);
+  });
+
+  it('Blanks of the row and of the column', () => {
+    expect(ids(findBlanks(well, blanks, { scope: 'row' }))).toStrictEqual([
+      '1-A1',
+      '1-A12',
+    ]);
+    expect(ids(findBlanks(well, blanks, { scope: 'column' }))).toStrictEqual(
+      [],
+    );
+  });
+
+  it('Closest blanks', () => {
+    expect(
+      ids(findBlanks(well, blanks, { scope: 'neighbours', nbNeighbours: 2 })),
+    ).toStrictEqual(['1-D6', '1-A1']);
+    expect(() => findBlanks(well, blanks, { scope: 'other' })).toThrow(
+      'Unknown scope other, expected one of: plate, row, column, neighbours',
+    );
+  });
+});
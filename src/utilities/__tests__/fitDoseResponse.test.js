@@ -0,0 +1,69 @@
+import { doseResponseModels } from '../doseResponseModels';
+import { fitDoseResponse } from '../fitDoseResponse';
+
+const noise = [0.8, -1.1, 0.3, -0.4, 1.2, -0.9, 0.1, 0.6, -0.7, -0.2];
+
+function simulate(model, parameters) {
+  const curve = doseResponseModels[model].fn(parameters);
+  const data = { x: [], y: [] };
+  for (let replicate = 0; replicate < 3; replicate++) {
+    for (let i = 0; i < 10; i++) {
+      const x = 100 / Math.pow(3, i);
+      data.x.push(x);
+      data.y.push(curve(x) + noise[(i + replicate * 3) % 10]);
+    }
+    data.x.push(0);
+    data.y.push(curve(0) + noise[replicate]);
+  }
+  return data;
+}
+
+describe('Dose-response fitting', () => {
+  it('Four parameters logistic (inhibition)', () => {
+    const data = simulate('4PL', [5, 95, Math.log10(0.5), -1.2]);
+    const result = fitDoseResponse(data);
+    const { parameters, confidenceIntervals, goodnessOfFit } = result;
+    expect(parameters.ec50).toBeCloseTo(0.5, 1);
+    expect(parameters.hillSlope).toBeCloseTo(-1.2, 1);
+    expect(parameters.top).toBeCloseTo(95, 0);
+    expect(parameters.bottom).toBeCloseTo(5, 0);
+    expect(confidenceIntervals.ec50[0]).toBeLessThan(0.5);
+    expect(confidenceIntervals.ec50[1]).toBeGreaterThan(0.5);
+    expect(confidenceIntervals.top[0]).toBeLessThan(parameters.top);
+    expect(goodnessOfFit.df).toBe(29);
+    expect(goodnessOfFit.r2).toBeGreaterThan(0.99);
+  });
+
+  it('Missing concentrations are skipped', () => {
+    const data = simulate('4PL', [5, 95, Math.log10(0.5), -1.2]);
+    const result = fitDoseResponse({
+      x: [...data.x, null, undefined, NaN],
+      y: [...data.y, 500, 500, 500],
+    });
+    expect(result.goodnessOfFit.n).toBe(33);
+    expect(result.parameters.top).toBeCloseTo(95, 0);
+  });
+
+  it('Five parameters logistic (stimulation)', () => {
+    const data = simulate('5PL', [0, 50, Math.log10(2), 1, 2]);
+    const result = fitDoseResponse(data, { model: '5PL' });
+    expect(result.parameters.ec50).toBeCloseTo(2, 0);
+    expect(result.parameters.top / 50).toBeCloseTo(1, 1);
+    expect(Object.keys(result.standardErrors)).toStrictEqual([
+      'bottom',
+      'top',
+      'logEC50',
+      'hillSlope',
+      'asymmetry',
+    ]);
+  });
+
+  it('Wrong inputs', () => {
+    expect(() =>
+      fitDoseResponse({ x: [1, 2], y: [1, 2] }, { model: '3PL' }),
+    ).toThrow('Unknown model 3PL, expected one of: 4PL, 5PL');
+    expect(() => fitDoseResponse({ x: [1, 2], y: [1, 2] })).toThrow(
+      'At least 5 points are needed to fit the 4PL model',
+    );
+  });
+});
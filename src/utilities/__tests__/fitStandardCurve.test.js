@@ -0,0 +1,60 @@
+import {
+  backCalculate,
+  fitStandardCurve,
+  predictResponse,
+} from '../fitStandardCurve';
+
+describe('Standard curves', () => {
+  it('Linear curve', () => {
+    const curve = fitStandardCurve({ x: [0, 1, 2, 4], y: [1, 3, 5, 9] });
+    expect(curve.model).toBe('linear');
+    expect(curve.parameters.intercept).toBeCloseTo(1, 10);
+    expect(curve.parameters.slope).toBeCloseTo(2, 10);
+    expect(curve.range).toStrictEqual({ min: 0, max: 4 });
+    expect(curve.goodnessOfFit.n).toBe(4);
+    expect(curve.goodnessOfFit.r2).toBeCloseTo(1, 10);
+    const { concentration, flag } = backCalculate(curve, 6);
+    expect(concentration).toBeCloseTo(2.5, 10);
+    expect(flag).toBeNull();
+    expect(backCalculate(curve, 11).flag).toBe('above');
+    expect(backCalculate(curve, -1).flag).toBe('below');
+    expect(backCalculate(curve, NaN).flag).toBe('undetermined');
+  });
+
+  it('Quadratic curve', () => {
+    const x = [1, 2, 3, 4, 5];
+    const curve = fitStandardCurve(
+      { x, y: x.map((value) => 2 + value + 0.5 * value * value) },
+      { model: 'quadratic' },
+    );
+    expect(curve.parameters.curvature).toBeCloseTo(0.5, 8);
+    expect(predictResponse(curve, 3)).toBeCloseTo(9.5, 8);
+    expect(backCalculate(curve, 9.5).concentration).toBeCloseTo(3, 8);
+    expect(backCalculate(curve, -10).flag).toBe('undetermined');
+  });
+
+  it('4PL curve', () => {
+    const x = [0.01, 0.1, 0.3, 1, 3, 10, 100];
+    const curve = {
+      model: '4PL',
+      parameters: { bottom: 0, top: 100, logEC50: 0, hillSlope: 1 },
+      range: { min: 0.01, max: 100 },
+    };
+    const fitted = fitStandardCurve(
+      { x, y: x.map((value) => predictResponse(curve, value)) },
+      { model: '4PL' },
+    );
+    expect(fitted.parameters.logEC50).toBeCloseTo(0, 3);
+    expect(backCalculate(fitted, 50).concentration).toBeCloseTo(1, 2);
+    expect(backCalculate(curve, 150).flag).toBe('undetermined');
+  });
+
+  it('Errors', () => {
+    expect(() =>
+      fitStandardCurve({ x: [1], y: [1] }, { model: 'cubic' }),
+    ).toThrow('Unknown model cubic, expected one of: linear, quadratic, 4PL');
+    expect(() => fitStandardCurve({ x: [1, 1], y: [1, 2] })).toThrow(
+      'At least 2 concentrations are needed to fit the linear model',
+    );
+  });
+});
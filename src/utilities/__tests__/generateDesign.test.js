@@ -0,0 +1,87 @@
+import { generateDesign } from '../generateDesign';
+
+describe('Designs of experiments', () => {
+  const factors = [
+    { label: 'A', min: 0, max: 10 },
+    { label: 'B', levels: [1, 2, 4] },
+  ];
+
+  it('Full factorial', () => {
+    const runs = generateDesign(factors);
+    expect(runs).toHaveLength(6);
+    expect(runs.map((run) => run.concentrations)).toStrictEqual([
+      { A: 0, B: 1 },
+      { A: 10, B: 1 },
+      { A: 0, B: 2 },
+      { A: 10, B: 2 },
+      { A: 0, B: 4 },
+      { A: 10, B: 4 },
+    ]);
+    expect(runs[2]).toMatchObject({ run: 3, coded: { A: -1 } });
+    expect(runs[2].coded.B).toBeCloseTo(-1 / 3, 10);
+    expect(generateDesign(factors, { nbLevels: 3 })).toHaveLength(9);
+  });
+
+  it('Fractional factorial', () => {
+    const runs = generateDesign(
+      ['A', 'B', 'C', 'D'].map((label) => ({ label, min: 1, max: 3 })),
+      { type: 'fractionalFactorial', generators: { D: ['A', 'B', 'C'] } },
+    );
+    expect(runs).toHaveLength(8);
+    for (let { coded } of runs) {
+      expect(coded.D).toBe(coded.A * coded.B * coded.C);
+    }
+    expect(runs[0].concentrations).toStrictEqual({ A: 1, B: 1, C: 1, D: 1 });
+    expect(() =>
+      generateDesign(factors, {
+        type: 'fractionalFactorial',
+        generators: { B: ['C'] },
+      }),
+    ).toThrow(
+      'The generator of B must contain factors that are not generated, received C',
+    );
+  });
+
+  it('Latin hypercube', () => {
+    const runs = generateDesign(factors, {
+      type: 'latinHypercube',
+      nbRuns: 5,
+      seed: 7,
+    });
+    expect(runs).toHaveLength(5);
+    expect(
+      generateDesign(factors, { type: 'latinHypercube', nbRuns: 5, seed: 7 }),
+    ).toStrictEqual(runs);
+    const strata = runs
+      .map((run) => Math.floor(run.concentrations.A / 2))
+      .sort();
+    expect(strata).toStrictEqual([0, 1, 2, 3, 4]);
+    expect(() => generateDesign(factors, { type: 'latinHypercube' })).toThrow(
+      'The number of runs must be a positive integer',
+    );
+  });
+
+  it('Central composite', () => {
+    const runs = generateDesign(factors, {
+      type: 'centralComposite',
+      nbCenterPoints: 2,
+    });
+    expect(runs).toHaveLength(4 + 4 + 2);
+    expect(runs[4].concentrations).toStrictEqual({ A: 0, B: 2.5 });
+    expect(runs[9].coded).toStrictEqual({ A: 0, B: 0 });
+    expect(() =>
+      generateDesign(factors, { type: 'centralComposite', alpha: 2 }),
+    ).toThrow(
+      'The axial points of A have negative concentrations, use a smaller alpha',
+    );
+  });
+
+  it('Errors', () => {
+    expect(() => generateDesign(factors, { type: 'taguchi' })).toThrow(
+      'Unknown design taguchi, expected one of: fullFactorial, fractionalFactorial, latinHypercube, centralComposite',
+    );
+    expect(() => generateDesign([{ label: 'A' }])).toThrow(
+      'The range of concentrations of A is not defined',
+    );
+  });
+});
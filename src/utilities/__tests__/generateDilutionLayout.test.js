@@ -0,0 +1,93 @@
+import { WellPlateData } from '../../wellPlateData';
+import { generateDilutionLayout } from '../generateDilutionLayout';
+
+describe('Serial dilution layouts', () => {
+  it('Series along the rows of a H x 12 plate with controls', () => {
+    const plate = new WellPlateData();
+    const layout = generateDilutionLayout(plate.wells, {
+      reagents: [
+        { label: 'drug1', unit: 'uM' },
+        { label: 'drug2', unit: 'uM', topConcentration: 50 },
+      ],
+      topConcentration: 100,
+      dilutionFactor: 2,
+      nbPoints: 10,
+      nbReplicates: 3,
+      controls: [
+        { category: 'negative' },
+        { category: 'positive', concentrations: { drug1: 1000 } },
+      ],
+    });
+    expect(layout.reagents).toHaveLength(96);
+    expect(layout.reagents[0]).toStrictEqual([
+      { label: 'drug1', unit: 'uM', concentration: 100 },
+      { label: 'drug2', unit: 'uM', concentration: 0 },
+    ]);
+    expect(layout.reagents[9][0].concentration).toBeCloseTo(100 / 512, 10);
+    expect(layout.categories.slice(9, 12)).toStrictEqual([
+      null,
+      'negative',
+      'positive',
+    ]);
+    expect(layout.reagents[11][0].concentration).toBe(1000);
+    expect(layout.reagents[36]).toStrictEqual([
+      { label: 'drug1', unit: 'uM', concentration: 0 },
+      { label: 'drug2', unit: 'uM', concentration: 50 },
+    ]);
+    expect(layout.reagents[72]).toStrictEqual([
+      { label: 'drug1', unit: 'uM', concentration: null },
+      { label: 'drug2', unit: 'uM', concentration: null },
+    ]);
+  });
+
+  it('Series along the columns of numeric labelled plates', () => {
+    const plate = new WellPlateData({
+      nbRows: 10,
+      nbColumns: 10,
+      nbPlates: 2,
+      direction: 'vertical',
+    });
+    const layout = generateDilutionLayout(plate.wells, {
+      reagents: [{ label: 'drug1' }],
+      topConcentration: 81,
+      dilutionFactor: 3,
+      nbPoints: 5,
+      nbReplicates: 12,
+      orientation: ['columns', 'rows'],
+      controls: [{ category: 'blank' }],
+    });
+    const concentrations = layout.reagents.map((item) => item[0].concentration);
+    expect(plate.wells[10].label).toBe('2');
+    expect(concentrations.slice(0, 3)).toStrictEqual([81, 81, 81]);
+    expect(concentrations[10]).toBe(27);
+    expect(concentrations[40]).toBe(1);
+    expect(layout.categories[50]).toBe('blank');
+    expect(concentrations[60]).toBeNull();
+    expect(concentrations.slice(100, 106)).toStrictEqual([81, 27, 9, 3, 1, 0]);
+    expect(layout.categories[105]).toBe('blank');
+    expect(concentrations[110]).toBe(81);
+    expect(concentrations[120]).toBeNull();
+  });
+
+  it('Layouts that do not fit', () => {
+    const plate = new WellPlateData();
+    expect(() =>
+      generateDilutionLayout(plate.wells, {
+        reagents: [{ label: 'drug1' }],
+        topConcentration: 1,
+        nbPoints: 12,
+        controls: [{ category: 'blank' }],
+      }),
+    ).toThrow('Each series needs 13 wells but the line of 1-A1 has 12');
+    expect(() =>
+      generateDilutionLayout(plate.wells, {
+        reagents: [{ label: 'drug1' }],
+        topConcentration: 1,
+        nbReplicates: 9,
+      }),
+    ).toThrow('The layout needs 9 lines but the plates have 8');
+    expect(() =>
+      generateDilutionLayout(plate.wells, { reagents: [{ label: 'drug1' }] }),
+    ).toThrow('Top concentration not defined for drug1');
+  });
+});
@@ -268,3 +268,38 @@ describe('1 Plate of 100 wells (10 x 10) vertical direction', () => {
     expect(plate10x10Wells.labelsList[90]).toBe('1-10');
   });
 });
+
+describe('1 Plate of 1536 wells (AF x 48)', () => {
+  const plate1536Wells = generatePlateLabels({ plateFormat: 1536 });
+
+  it('check labelsList length', () => {
+    expect(plate1536Wells.labelsList).toHaveLength(1536);
+  });
+
+  it('Well positions', () => {
+    expect(plate1536Wells.axis[0][1][26]).toBe('AA');
+    expect(plate1536Wells.labelsList[26 * 48]).toBe('1-AA1');
+    expect(plate1536Wells.labelsList[1535]).toBe('1-AF48');
+    expect(plate1536Wells.positions[1535]).toStrictEqual({
+      row: 31,
+      column: 47,
+    });
+  });
+});
+
+describe('Zero padded labels', () => {
+  it('96 wells', () => {
+    const { labelsList } = generatePlateLabels({ zeroPad: true });
+    expect(labelsList[0]).toBe('1-A01');
+    expect(labelsList[11]).toBe('1-A12');
+  });
+
+  it('Numeric labels are not padded', () => {
+    const { labelsList } = generatePlateLabels({
+      nbRows: 10,
+      nbColumns: 10,
+      zeroPad: true,
+    });
+    expect(labelsList[0]).toBe('1-1');
+  });
+});
@@ -0,0 +1,30 @@
+import { getEdgeEffect } from '../getEdgeEffect';
+
+describe('Edge effect diagnostic', () => {
+  const wells = [];
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 12; column++) {
+      const isEdge = row === 0 || row === 7 || column === 0 || column === 11;
+      wells.push({
+        position: { row, column },
+        analysis: {
+          processed: { signal: (isEdge ? 80 : 100) + (column % 2) },
+        },
+      });
+    }
+  }
+
+  it('Edge and interior wells', () => {
+    const result = getEdgeEffect(wells, { key: 'signal' });
+    expect(result.edge.n).toBe(36);
+    expect(result.interior.n).toBe(60);
+    expect(result.difference).toBeCloseTo(-20, 10);
+    expect(result.ratio).toBeCloseTo(80.5 / 100.5, 10);
+    expect(result.pValue).toBeLessThan(1e-6);
+  });
+
+  it('Two rows and columns of edge', () => {
+    const result = getEdgeEffect(wells, { key: 'signal', depth: 2 });
+    expect(result.interior.n).toBe(32);
+  });
+});
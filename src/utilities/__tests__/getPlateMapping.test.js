@@ -0,0 +1,50 @@
+import { getPlateMapping } from '../getPlateMapping';
+
+describe('Mapping of small plates in a large plate', () => {
+  const small = { plateFormat: 96 };
+  const large = { plateFormat: 384 };
+
+  it('Interleaved quadrants', () => {
+    const mapping = getPlateMapping(small, large);
+    expect(mapping.nbPlates).toBe(4);
+    expect(
+      [0, 1, 2, 3].map((index) =>
+        mapping.toLarge(index, { row: 0, column: 0 }),
+      ),
+    ).toStrictEqual([
+      { row: 0, column: 0 },
+      { row: 0, column: 1 },
+      { row: 1, column: 0 },
+      { row: 1, column: 1 },
+    ]);
+    expect(mapping.toLarge(3, { row: 7, column: 11 })).toStrictEqual({
+      row: 15,
+      column: 23,
+    });
+    expect(mapping.toSmall({ row: 5, column: 8 })).toStrictEqual({
+      index: 2,
+      position: { row: 2, column: 4 },
+    });
+  });
+
+  it('Blocks', () => {
+    const mapping = getPlateMapping(small, large, 'block');
+    expect(mapping.toLarge(1, { row: 0, column: 0 })).toStrictEqual({
+      row: 0,
+      column: 12,
+    });
+    expect(mapping.toSmall({ row: 9, column: 3 })).toStrictEqual({
+      index: 2,
+      position: { row: 1, column: 3 },
+    });
+  });
+
+  it('Formats that do not fit', () => {
+    expect(() => getPlateMapping({ plateFormat: 48 }, large)).toThrow(
+      'A 16x24 plate can not be divided into 6x8 plates',
+    );
+    expect(() => getPlateMapping({ plateFormat: 96 }, large, 'spiral')).toThrow(
+      'Unknown layout spiral, expected one of: quadrant, block',
+    );
+  });
+});
@@ -0,0 +1,59 @@
+import { Well } from '../../well/well';
+import { getQualityMetrics } from '../getQualityMetrics';
+
+function createWells(category, values) {
+  return values.map((value) => {
+    const well = new Well({ plate: '1' });
+    well.metadata.category = category;
+    well.addAnalysis({ name: 'signal', value });
+    return well;
+  });
+}
+
+describe('Plate quality metrics', () => {
+  const wells = [
+    ...createWells('positive', [100, 102, 98, 100]),
+    ...createWells('negative', [10, 12, 8, 10]),
+    ...createWells(null, [60, 40, 50, 50]),
+  ];
+  const sd = Math.sqrt(8 / 3);
+
+  it('Metrics of the controls', () => {
+    const metrics = getQualityMetrics(wells, { key: 'signal' });
+    expect(metrics.positive.n).toBe(4);
+    expect(metrics.positive.mean).toBe(100);
+    expect(metrics.positive.sd).toBeCloseTo(sd, 10);
+    expect(metrics.positive.cv).toBeCloseTo(sd, 10);
+    expect(metrics.negative.cv).toBeCloseTo(10 * sd, 10);
+    expect(metrics.zPrime).toBeCloseTo(1 - (6 * sd) / 90, 10);
+    expect(metrics.zFactor).toBeCloseTo(
+      1 - (3 * (Math.sqrt(200 / 3) + sd)) / 40,
+      10,
+    );
+    expect(metrics.signalToBackground).toBe(10);
+    expect(metrics.signalWindow).toBeCloseTo((90 - 6 * sd) / sd, 10);
+    expect(metrics.pass).toBe(true);
+    expect(metrics.failures).toStrictEqual([]);
+  });
+
+  it('Thresholds', () => {
+    const metrics = getQualityMetrics(wells, {
+      key: 'signal',
+      thresholds: { zPrime: 0.95, signalToBackground: 20, cv: 10 },
+    });
+    expect(metrics.pass).toBe(false);
+    expect(metrics.failures).toStrictEqual([
+      'zPrime',
+      'signalToBackground',
+      'negativeCV',
+    ]);
+  });
+
+  it('Plates without controls', () => {
+    const metrics = getQualityMetrics(createWells(null, [1, 2]), {
+      key: 'signal',
+    });
+    expect(metrics.zPrime).toBeNaN();
+    expect(metrics.pass).toBe(false);
+  });
+});
@@ -93,3 +93,61 @@ describe('Get well samples', () => {
     ]);
   });
 });
+
+describe('Grouping options', () => {
+  const wells = [
+    { id: '1-A1', metadata: { group: 'a' }, reagents: [] },
+    { id: '1-A2', metadata: { group: 'b' }, reagents: [] },
+    { id: '1-A3', metadata: { group: 'a' }, reagents: [] },
+  ];
+  const concentrations = [
+    [0.3, 1],
+    [0.3, 2],
+    [0.1 + 0.2, 1],
+  ];
+  for (let i = 0; i < wells.length; i++) {
+    wells[i].reagents = [
+      { label: 'drug', concentration: concentrations[i][0] },
+      { label: 'vehicle', concentration: concentrations[i][1] },
+    ];
+  }
+
+  it('Subset of reagents', () => {
+    expect(getSamplesIDs(wells, { reagents: ['drug'] })).toStrictEqual([
+      ['1-A1', '1-A2'],
+      ['1-A3'],
+    ]);
+  });
+
+  it('Tolerance', () => {
+    expect(
+      getSamplesIDs(wells, { reagents: ['drug'], tolerance: 1e-9 }),
+    ).toStrictEqual([['1-A1', '1-A2', '1-A3']]);
+  });
+
+  it('Metadata', () => {
+    expect(
+      getSamplesIDs(wells, { reagents: [], metadata: 'group' }),
+    ).toStrictEqual([['1-A1', '1-A3'], ['1-A2']]);
+  });
+
+  it('Key function', () => {
+    expect(
+      getSamplesIDs(wells, { key: (well) => well.reagents[1].concentration }),
+    ).toStrictEqual([['1-A1', '1-A3'], ['1-A2']]);
+  });
+
+  it('Concentrations in different units', () => {
+    const wellsWithUnits = ['mM', 'µM', 'mg/mL'].map((unit, index) => ({
+      id: `1-B${index + 1}`,
+      metadata: {},
+      reagents: [
+        { label: 'drug', unit, concentration: unit === 'µM' ? 3000 : 3 },
+      ],
+    }));
+    expect(getSamplesIDs(wellsWithUnits)).toStrictEqual([
+      ['1-B1', '1-B2'],
+      ['1-B3'],
+    ]);
+  });
+});
@@ -0,0 +1,156 @@
+import { getTransferVolumes } from '../getTransferVolumes';
+
+describe('Transfer volumes', () => {
+  const wells = [
+    {
+      id: '1-A1',
+      plate: '1',
+      label: 'A1',
+      reagents: [
+        { label: 'Drug', unit: 'uM', concentration: 10 },
+        { label: 'Salt', unit: 'mM', concentration: 0 },
+      ],
+    },
+    {
+      id: '1-A2',
+      plate: '1',
+      label: 'A2',
+      reagents: [{ label: 'Drug', unit: 'uM', concentration: 0.01 }],
+    },
+  ];
+  const stocks = [
+    { label: 'Drug', unit: 'uM', concentration: 10000, plate: 'S', well: 'A1' },
+    { label: 'Drug', unit: 'uM', concentration: 10, plate: 'S', well: 'B1' },
+  ];
+
+  it('Most concentrated stock within the limits and diluent', () => {
+    const result = getTransferVolumes(wells, {
+      stocks,
+      finalVolume: 50,
+      minVolume: 0.025,
+      diluent: { plate: 'S', well: 'P24' },
+    });
+    expect(result.errors).toStrictEqual([]);
+    expect(result.transfers).toStrictEqual([
+      {
+        id: '1-A1',
+        reagent: 'Drug',
+        volume: 0.05,
+        sourcePlate: 'S',
+        sourceWell: 'A1',
+        destinationPlate: '1',
+        destinationWell: 'A1',
+      },
+      {
+        id: '1-A1',
+        reagent: 'diluent',
+        volume: 49.95,
+        sourcePlate: 'S',
+        sourceWell: 'P24',
+        destinationPlate: '1',
+        destinationWell: 'A1',
+      },
+      {
+        id: '1-A2',
+        reagent: 'Drug',
+        volume: 0.05,
+        sourcePlate: 'S',
+        sourceWell: 'B1',
+        destinationPlate: '1',
+        destinationWell: 'A2',
+      },
+      {
+        id: '1-A2',
+        reagent: 'diluent',
+        volume: 49.95,
+        sourcePlate: 'S',
+        sourceWell: 'P24',
+        destinationPlate: '1',
+        destinationWell: 'A2',
+      },
+    ]);
+  });
+
+  it('Unreachable concentrations', () => {
+    const result = getTransferVolumes(
+      [
+        ...wells,
+        {
+          id: '1-A3',
+          plate: '1',
+          label: 'A3',
+          reagents: [{ label: 'Salt', unit: 'mM', concentration: 1 }],
+        },
+      ],
+      {
+        stocks: [
+          stocks[0],
+          {
+            label: 'Salt',
+            unit: 'g/L',
+            concentration: 1,
+            plate: 'S',
+            well: 'C1',
+          },
+        ],
+        finalVolume: 50,
+        minVolume: 2.5,
+        resolution: 2.5,
+      },
+    );
+    expect(result.transfers).toStrictEqual([]);
+    expect(result.errors).toStrictEqual([
+      {
+        id: '1-A1',
+        reagent: 'Drug',
+        message:
+          'The concentration 10 of Drug is not reachable with volumes between 2.5 and 50',
+      },
+      {
+        id: '1-A2',
+        reagent: 'Drug',
+        message:
+          'The concentration 0.01 of Drug is not reachable with volumes between 2.5 and 50',
+      },
+      {
+        id: '1-A3',
+        reagent: 'Salt',
+        message:
+          'The concentration of Salt can not be converted to the unit of its stocks',
+      },
+    ]);
+    expect(() => getTransferVolumes(wells, { stocks })).toThrow(
+      'The final volume must be a positive number',
+    );
+  });
+
+  it('Transfers larger than the final volume', () => {
+    const result = getTransferVolumes(
+      [
+        {
+          id: '1-A1',
+          plate: '1',
+          label: 'A1',
+          reagents: [
+            { label: 'Drug', concentration: 6 },
+            { label: 'Salt', concentration: 6 },
+          ],
+        },
+      ],
+      {
+        stocks: [
+          { label: 'Drug', concentration: 10, plate: 'S', well: 'A1' },
+          { label: 'Salt', concentration: 10, plate: 'S', well: 'A2' },
+        ],
+        finalVolume: 10,
+      },
+    );
+    expect(result.errors).toStrictEqual([
+      {
+        id: '1-A1',
+        reagent: null,
+        message: 'The transfers need 12, more than the final volume 10',
+      },
+    ]);
+  });
+});
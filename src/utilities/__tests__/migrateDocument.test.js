@@ -0,0 +1,96 @@
+import { WellPlateData } from '../../wellPlateData';
+import {
+  encodeNumbers,
+  migrateDocument,
+  restoreNumbers,
+  SCHEMA_VERSION,
+} from '../migrateDocument';
+
+describe('Migrate serialized documents', () => {
+  it('Documents without schema version (numeric labels)', () => {
+    const plate = new WellPlateData({
+      nbRows: 10,
+      nbColumns: 10,
+      nbPlates: 2,
+      accountPreviousWells: true,
+      direction: 'vertical',
+    });
+    const { typeOfPlate, wells, samples } = JSON.parse(JSON.stringify(plate));
+    for (const well of wells) delete well.position;
+    const document = migrateDocument({ typeOfPlate, wells, samples });
+    expect(document.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(document.metadata).toStrictEqual({});
+    expect(document.options).toStrictEqual({
+      nbRows: '10',
+      nbColumns: '10',
+      nbPlates: 2,
+      initPlate: 0,
+      accountPreviousWells: true,
+      direction: 'vertical',
+    });
+    expect(document.wells[1].label).toBe('11');
+    expect(document.wells[1].position).toStrictEqual({ row: 0, column: 1 });
+    expect(document.wells[100].label).toBe('101');
+  });
+
+  it('Documents without schema version (letter labels)', () => {
+    const plate = new WellPlateData({ nbPlates: 2, initPlate: 1 });
+    const { typeOfPlate, wells } = JSON.parse(JSON.stringify(plate));
+    const document = migrateDocument({ typeOfPlate, wells });
+    expect(document.samples).toStrictEqual([]);
+    expect(document.options).toStrictEqual({
+      nbRows: 'H',
+      nbColumns: '12',
+      nbPlates: 2,
+      initPlate: 1,
+      accountPreviousWells: false,
+      direction: 'horizontal',
+    });
+  });
+
+  it('Documents from a newer version', () => {
+    expect(() => migrateDocument({ schemaVersion: 1000 })).toThrow(
+      `Schema version 1000 is newer than the supported version ${SCHEMA_VERSION}`,
+    );
+  });
+
+  it('Encode and restore numbers', () => {
+    const value = {
+      metadata: { category: null },
+      growthCurve: { data: { x: [0, 1], y: [NaN, 2, null] } },
+      analysis: { raw: { a: Infinity, b: null }, processed: { a: -Infinity } },
+    };
+    const encoded = encodeNumbers(value);
+    expect(encoded.growthCurve.data.y).toStrictEqual([
+      { $number: 'NaN' },
+      2,
+      null,
+    ]);
+    expect(restoreNumbers(JSON.parse(JSON.stringify(encoded)))).toStrictEqual(
+      value,
+    );
+  });
+
+  it('Documents without schema version with NaN serialized as null', () => {
+    const document = migrateDocument({
+      typeOfPlate: 'Ax2',
+      wells: [
+        {
+          plate: '1',
+          label: 'A1',
+          metadata: { category: null },
+          growthCurve: { data: { x: [0, 1], y: [null, 2] } },
+          analysis: { raw: { a: null }, processed: { a: 1 } },
+        },
+      ],
+    });
+    expect(restoreNumbers(document.wells[0])).toStrictEqual({
+      plate: '1',
+      label: 'A1',
+      metadata: { category: null },
+      growthCurve: { data: { x: [0, 1], y: [NaN, 2] } },
+      analysis: { raw: { a: NaN }, processed: { a: 1 } },
+      position: { row: 0, column: 0 },
+    });
+  });
+});
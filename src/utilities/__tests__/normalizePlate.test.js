@@ -0,0 +1,60 @@
+import { normalizePlate } from '../normalizePlate';
+
+function getWells(fn) {
+  const wells = [];
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 12; column++) {
+      wells.push({
+        id: `${row}-${column}`,
+        position: { row, column },
+        analysis: { processed: { signal: fn(row, column) } },
+      });
+    }
+  }
+  return wells;
+}
+
+describe('Spatial normalization of a plate', () => {
+  const rowEffects = [5, -3, 0, 2, 1, -4, 3, 0];
+  const columnEffects = [8, 0, 1, -1, 2, 0, 0, 1, -2, 3, 0, -6];
+  const wells = getWells((row, column) => {
+    const hit = row === 3 && column === 4 ? 50 : 0;
+    const noise = Math.sin(row * 12.9898 + column * 78.233) / 2;
+    return 100 + rowEffects[row] + columnEffects[column] + hit + noise;
+  });
+
+  it('B-score', () => {
+    const values = normalizePlate(wells, { key: 'signal' });
+    const hit = values[3 * 12 + 4];
+    expect(hit).toBeGreaterThan(20);
+    const others = values.filter((value, index) => index !== 3 * 12 + 4);
+    expect(Math.max(...others.map(Math.abs))).toBeLessThan(5);
+  });
+
+  it('Row and column medians', () => {
+    const values = normalizePlate(wells, {
+      key: 'signal',
+      method: 'rowColumn',
+    });
+    const others = values.filter((value, index) => index !== 3 * 12 + 4);
+    expect(Math.max(...others) - Math.min(...others)).toBeLessThan(2);
+    expect(values[3 * 12 + 4] - values[0]).toBeGreaterThan(45);
+  });
+
+  it('Loess surface removes a gradient', () => {
+    const gradient = getWells((row, column) =>
+      column === 0 ? NaN : 100 + 2 * row + 3 * column,
+    );
+    const values = normalizePlate(gradient, { key: 'signal', method: 'loess' });
+    expect(values[0]).toBeNaN();
+    const finite = values.filter(Number.isFinite);
+    expect(finite).toHaveLength(88);
+    expect(Math.max(...finite) - Math.min(...finite)).toBeLessThan(1e-6);
+  });
+
+  it('Unknown method', () => {
+    expect(() => normalizePlate(wells, { key: 'signal', method: 'z' })).toThrow(
+      'Unknown normalization method z',
+    );
+  });
+});
@@ -0,0 +1,74 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+import { parseKineticExport } from '../parseKineticExport';
+
+describe('Parse kinetic exports', () => {
+  it('Growth curves example (hh:mm:ss time column)', () => {
+    const file = readFileSync(
+      join(__dirname, '../../testFiles/growth_curves_example.csv'),
+      'utf8',
+    );
+    const { time, temperature, columns } = parseKineticExport(file);
+    expect(time).toHaveLength(73);
+    expect(time[0]).toBe(105);
+    expect(time[1]).toBe(3606);
+    expect(temperature).toBeNull();
+    expect(columns).toHaveLength(101);
+    expect(columns[0].header).toBe('Blank');
+    expect(columns[1].header).toBe('1');
+    expect(columns[1].y[1]).toBe(1.001);
+  });
+
+  it('BioTek export with temperature and overflow cells', () => {
+    const text = [
+      '\uFEFFSoftware Version\t3.11',
+      '',
+      'Time\tT° 600\tA1\tA2\tA3',
+      '0:00:00\t30.0\t0.101\t0.102\tOVRFLW',
+      '0:10:00\t30.1\t0.121\t\t0.5',
+      '',
+      'Results',
+    ].join('\r\n');
+    const { time, temperature, columns } = parseKineticExport(text, {
+      format: 'biotek',
+    });
+    expect(time).toStrictEqual([0, 600]);
+    expect(temperature).toStrictEqual([30, 30.1]);
+    expect(columns.map((column) => column.header)).toStrictEqual([
+      'A1',
+      'A2',
+      'A3',
+    ]);
+    expect(columns[1].y).toStrictEqual([0.102, NaN]);
+    expect(columns[2].y).toStrictEqual([NaN, 0.5]);
+  });
+
+  it('Tecan export with time in seconds', () => {
+    const text = [
+      'Cycle Nr.,Time [s],Temp. [°C],A01,B01',
+      '1,0,37,0.2,0.3',
+      '2,900.5,37.1,0.25,OVER',
+    ].join('\n');
+    const { time, temperature, columns } = parseKineticExport(text, {
+      format: 'tecan',
+    });
+    expect(time).toStrictEqual([0, 900.5]);
+    expect(temperature).toStrictEqual([37, 37.1]);
+    expect(columns.map((column) => column.header)).toStrictEqual([
+      'Cycle Nr.',
+      'A01',
+      'B01',
+    ]);
+    expect(columns[2].y).toStrictEqual([0.3, NaN]);
+  });
+
+  it('Unknown format and missing header', () => {
+    expect(() => parseKineticExport('Time,A1', { format: 'other' })).toThrow(
+      'Unknown format other, expected one of: generic, biotek, tecan',
+    );
+    expect(() => parseKineticExport('a,b\n1,2')).toThrow(
+      'No header with a time column and well labels was found',
+    );
+  });
+});
@@ -0,0 +1,116 @@
+import { parseTemplate } from '../parseTemplate';
+
+describe('Parse templates', () => {
+  it('Quoted fields, CRLF line endings, BOM and blank lines', () => {
+    const text = [
+      '\uFEFFrow,column,"Glucose, anhydrous (mM)",NaCl [g/L]',
+      'A,1,"1.5",2',
+      '',
+      'b,02,0,1e-3',
+    ].join('\r\n');
+    const { wells, reagents, plateOptions, errors } = parseTemplate(text);
+    expect(errors).toStrictEqual([]);
+    expect(reagents).toStrictEqual([
+      { label: 'Glucose, anhydrous', unit: 'mM' },
+      { label: 'NaCl', unit: 'g/L' },
+    ]);
+    expect(wells).toHaveLength(2);
+    expect(wells[1]).toMatchObject({ line: 4, plate: 1, row: 1, column: 1 });
+    expect(wells[1].reagents[1].concentration).toBe(0.001);
+    expect(plateOptions).toStrictEqual({
+      nbRows: 'B',
+      nbColumns: 2,
+      nbPlates: 1,
+      initPlate: 0,
+    });
+  });
+
+  it('Plate column and numeric axes', () => {
+    const text = [
+      'Plate\tRow\tColumn\tDrug',
+      '2\t1\t1\t10',
+      '3\t16\t24\t5',
+    ].join('\n');
+    const { wells, reagents, plateOptions } = parseTemplate(text);
+    expect(reagents).toStrictEqual([{ label: 'Drug', unit: undefined }]);
+    expect(wells[1]).toMatchObject({ plate: 3, row: 15, column: 23 });
+    expect(plateOptions).toStrictEqual({
+      nbRows: 16,
+      nbColumns: 24,
+      nbPlates: 2,
+      initPlate: 1,
+    });
+  });
+
+  it('Units are kept in the label when they are not inferred', () => {
+    const { reagents } = parseTemplate('row,column,Drug (uM)\nA,1,1', {
+      inferUnits: false,
+    });
+    expect(reagents).toStrictEqual([{ label: 'Drug (uM)', unit: undefined }]);
+  });
+
+  it('Errors with line and column', () => {
+    const text = [
+      'row,column,Drug(uM)',
+      'A,1,1',
+      'A,0,1',
+      'A,2,abc',
+      'A,3,',
+      'A,01,2',
+    ].join('\n');
+    const { wells, errors } = parseTemplate(text);
+    expect(wells).toHaveLength(1);
+    expect(errors).toStrictEqual([
+      { line: 3, column: 'column', message: 'Invalid column label "0"' },
+      { line: 4, column: 'Drug(uM)', message: 'Invalid concentration "abc"' },
+      { line: 5, column: 'Drug(uM)', message: 'Missing concentration' },
+      {
+        line: 6,
+        column: null,
+        message: 'Duplicated well, first defined at line 2',
+      },
+    ]);
+  });
+
+  it('Template without wells', () => {
+    const { plateOptions } = parseTemplate('row,column,Drug(uM)\nA,0,1');
+    expect(plateOptions).toStrictEqual({ nbRows: 'H', nbColumns: 12 });
+  });
+
+  it('Header without row and column', () => {
+    const { plateOptions, errors } = parseTemplate('well,Drug\nA1,1');
+    expect(plateOptions).toBeNull();
+    expect(errors[0].line).toBe(1);
+  });
+
+  it('Units normalized on import', () => {
+    const text = [
+      'row,column,Drug (mM),NaCl [g/L],Cells (cells/mL)',
+      'A,1,2,1,10',
+    ].join('\n');
+    const { wells, reagents, errors } = parseTemplate(text, {
+      normalizeUnits: true,
+    });
+    expect(reagents).toStrictEqual([
+      { label: 'Drug', unit: 'µM' },
+      { label: 'NaCl', unit: 'µg/mL' },
+      { label: 'Cells', unit: 'cells/mL' },
+    ]);
+    expect(wells[0].reagents).toStrictEqual([
+      { label: 'Drug', unit: 'µM', concentration: 2000 },
+      { label: 'NaCl', unit: 'µg/mL', concentration: 1000 },
+      { label: 'Cells', unit: 'cells/mL', concentration: 10 },
+    ]);
+    expect(errors).toStrictEqual([
+      {
+        line: 1,
+        column: 'Cells (cells/mL)',
+        message: 'Unknown unit cells/mL of Cells',
+      },
+    ]);
+    expect(
+      parseTemplate(text, { normalizeUnits: { molar: 'nM' } }).wells[0]
+        .reagents[0].concentration,
+    ).toBe(2000000);
+  });
+});
@@ -0,0 +1,29 @@
+import { resolvePlateFormat } from '../plateFormats';
+
+describe('Standard plate formats', () => {
+  it('Presets', () => {
+    expect(resolvePlateFormat({ plateFormat: 6 })).toStrictEqual({
+      nbRows: 'B',
+      nbColumns: 3,
+    });
+    expect(
+      resolvePlateFormat({ plateFormat: '384', nbRows: 'H' }),
+    ).toStrictEqual({ nbRows: 'P', nbColumns: 24 });
+  });
+
+  it('Without preset', () => {
+    expect(resolvePlateFormat({ nbRows: 10 })).toStrictEqual({
+      nbRows: 10,
+      nbColumns: '12',
+    });
+  });
+
+  it('Errors', () => {
+    expect(() => resolvePlateFormat({ plateFormat: 100 })).toThrow(
+      'Unknown plate format 100, expected one of: 6, 12, 24, 48, 96, 384, 1536',
+    );
+    expect(() => resolvePlateFormat({ nbRows: 'A1' })).toThrow(
+      'Invalid number of rows or columns: A1',
+    );
+  });
+});
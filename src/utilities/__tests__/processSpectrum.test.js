@@ -0,0 +1,69 @@
+import { findPeaks, processSpectrum } from '../processSpectrum';
+
+describe('Spectrum processing', () => {
+  const x = [];
+  const y = [];
+  for (let i = 0; i <= 100; i++) {
+    x.push(400 + i * 2);
+    y.push(
+      Math.exp(-Math.pow((i - 30) / 5, 2)) +
+        0.5 * Math.exp(-Math.pow((i - 70) / 5, 2)) +
+        0.01 * i +
+        1,
+    );
+  }
+
+  it('Baselines', () => {
+    const linear = processSpectrum({ x, y }, [
+      { name: 'baseline', nbPoints: 3 },
+    ]);
+    expect(linear.y[0]).toBeCloseTo(0, 6);
+    expect(linear.y[30]).toBeCloseTo(1, 2);
+    const polynomial = processSpectrum({ x, y }, [
+      { name: 'baseline', method: 'polynomial', degree: 1 },
+    ]);
+    expect(polynomial.y[100]).toBeCloseTo(0, 2);
+    expect(polynomial.y[70]).toBeCloseTo(0.5, 1);
+    const minimum = processSpectrum({ x, y }, [
+      { name: 'baseline', method: 'minimum' },
+    ]);
+    expect(Math.min(...minimum.y)).toBe(0);
+  });
+
+  it('Smoothing, derivative, cropping and normalization', () => {
+    const smoothed = processSpectrum({ x, y }, [
+      { name: 'smooth', windowSize: 5, polynomial: 2 },
+    ]);
+    expect(smoothed.y).toHaveLength(101);
+    expect(smoothed.y[50]).toBeCloseTo(y[50], 3);
+    const derivative = processSpectrum({ x, y }, [{ name: 'derivative' }]);
+    expect(derivative.y[30]).toBeCloseTo(0.005, 3);
+    const cropped = processSpectrum({ x, y }, [
+      { name: 'crop', from: 450, to: 500 },
+      { name: 'normalize', method: 'max' },
+    ]);
+    expect(cropped.x).toHaveLength(26);
+    expect(cropped.x[0]).toBe(450);
+    expect(Math.max(...cropped.y)).toBe(1);
+    const snv = processSpectrum({ x, y }, [
+      { name: 'normalize', method: 'snv' },
+    ]);
+    expect(snv.y.reduce((sum, value) => sum + value, 0)).toBeCloseTo(0, 10);
+    const area = processSpectrum({ x: [0, 1, 2], y: [0, 2, 0] }, [
+      { name: 'normalize', method: 'area' },
+    ]);
+    expect(area.y).toStrictEqual([0, 1, 0]);
+    expect(() => processSpectrum({ x, y }, [{ name: 'fft' }])).toThrow(
+      'Unknown processing step fft, expected one of: baseline, smooth, crop, normalize, derivative',
+    );
+  });
+
+  it('Peaks', () => {
+    const peaks = findPeaks({ x, y });
+    expect(peaks.map((peak) => peak.x)).toStrictEqual([460, 540]);
+    expect(findPeaks({ x, y }, { minHeight: 2.25 })).toHaveLength(1);
+    expect(findPeaks({ x, y }, { minDistance: 100 })).toStrictEqual([
+      { index: 30, x: 460, y: y[30] },
+    ]);
+  });
+});
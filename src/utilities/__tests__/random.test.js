@@ -0,0 +1,21 @@
+import { createRandom, shuffle } from '../random';
+
+describe('Seeded random numbers', () => {
+  it('Same seed, same sequence', () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const values = new Array(5).fill().map(() => first());
+    expect(new Array(5).fill().map(() => second())).toStrictEqual(values);
+    expect(values.every((value) => value >= 0 && value < 1)).toBe(true);
+    expect(createRandom(43)()).not.toBe(values[0]);
+    expect(createRandom('plate')()).toBe(createRandom('plate')());
+  });
+
+  it('Shuffle', () => {
+    const array = [1, 2, 3, 4, 5, 6, 7, 8];
+    const shuffled = shuffle(array, createRandom(1));
+    expect(shuffled).toStrictEqual(shuffle(array, createRandom(1)));
+    expect(shuffled.slice().sort((a, b) => a - b)).toStrictEqual(array);
+    expect(array).toStrictEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+  });
+});
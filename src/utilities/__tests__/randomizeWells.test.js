@@ -0,0 +1,41 @@
+import { randomizeWells } from '../randomizeWells';
+
+describe('Randomized wells', () => {
+  const wells = [];
+  for (let plate of ['1', '2']) {
+    for (let row = 0; row < 2; row++) {
+      for (let column = 0; column < 4; column++) {
+        wells.push({
+          id: `${plate}-${row}${column}`,
+          plate,
+          position: { row, column },
+        });
+      }
+    }
+  }
+  const byId = (id) => wells.find((well) => well.id === id);
+
+  it('Complete randomization', () => {
+    const targets = randomizeWells(wells, { seed: 3 });
+    expect(randomizeWells(wells, { seed: 3 })).toStrictEqual(targets);
+    expect(randomizeWells(wells, { seed: 4 })).not.toStrictEqual(targets);
+    expect(targets.slice().sort()).toStrictEqual(
+      wells.map((well) => well.id).sort(),
+    );
+  });
+
+  it('Restricted randomizations', () => {
+    const withinPlates = randomizeWells(wells, { restriction: 'plate' });
+    withinPlates.forEach((id, index) => {
+      expect(byId(id).plate).toBe(wells[index].plate);
+    });
+    const withinRows = randomizeWells(wells, { restriction: 'row' });
+    withinRows.forEach((id, index) => {
+      expect(byId(id).plate).toBe(wells[index].plate);
+      expect(byId(id).position.row).toBe(wells[index].position.row);
+    });
+    expect(() => randomizeWells(wells, { restriction: 'column' })).toThrow(
+      'Unknown restriction column, expected one of: complete, plate, row',
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import { generatePlateLabels } from '../generatePlateLabels';
+import { selectWells } from '../selectWells';
+
+function getWells(options) {
+  const { labelsList, positions } = generatePlateLabels(options);
+  return labelsList.map((id, index) => {
+    const [plate, label] = id.split('-');
+    return {
+      id,
+      plate,
+      label,
+      position: positions[index],
+      metadata: { category: index % 2 ? 'sample' : 'blank' },
+      reagents: [{ label: 'Drug', concentration: index }],
+      analysis: { processed: { signal: index * 10 } },
+    };
+  });
+}
+
+function getIds(wells) {
+  return wells.map((well) => well.id);
+}
+
+describe('Well selection', () => {
+  const wells = getWells({ nbRows: 'D', nbColumns: 6, nbPlates: 2 });
+
+  it('Ranges, rows, columns and plates', () => {
+    expect(getIds(selectWells(wells, '2-B2:C3'))).toStrictEqual([
+      '2-B2',
+      '2-B3',
+      '2-C2',
+      '2-C3',
+    ]);
+    expect(getIds(selectWells(wells, 'C3:B2, A6'))).toHaveLength(10);
+    expect(getIds(selectWells(wells, ['row B', 'plate 1']))).toHaveLength(30);
+    expect(
+      getIds(selectWells(wells, { range: 'columns 5:6', plate: 2 })),
+    ).toStrictEqual([
+      '2-A5',
+      '2-A6',
+      '2-B5',
+      '2-B6',
+      '2-C5',
+      '2-C6',
+      '2-D5',
+      '2-D6',
+    ]);
+    expect(getIds(selectWells(wells, '1-A01'))).toStrictEqual(['1-A1']);
+    expect(() => selectWells(wells, 'diagonal A')).toThrow(
+      'Invalid well selection "diagonal A"',
+    );
+  });
+
+  it('Reagents, metadata and analysis', () => {
+    expect(
+      getIds(
+        selectWells(wells, {
+          plate: '1',
+          reagent: { label: 'Drug', min: 2, max: 5 },
+          metadata: { category: 'blank' },
+        }),
+      ),
+    ).toStrictEqual(['1-A3', '1-A5']);
+    expect(
+      getIds(selectWells(wells, { analysis: { key: 'signal', min: 450 } })),
+    ).toStrictEqual(['2-D4', '2-D5', '2-D6']);
+    expect(selectWells(wells, { reagent: { label: 'Salt' } })).toStrictEqual(
+      [],
+    );
+  });
+
+  it('Numeric labels', () => {
+    const numeric = getWells({
+      nbRows: 3,
+      nbColumns: 4,
+      direction: 'vertical',
+    });
+    expect(getIds(selectWells(numeric, '1:5'))).toStrictEqual([
+      '1-1',
+      '1-4',
+      '1-2',
+      '1-5',
+    ]);
+    expect(getIds(selectWells(numeric, 'row 3'))).toStrictEqual([
+      '1-3',
+      '1-6',
+      '1-9',
+      '1-12',
+    ]);
+  });
+});
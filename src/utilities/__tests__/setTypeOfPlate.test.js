@@ -13,3 +13,10 @@ describe('Sort array of wells', () => {
     expect(setTypeOfPlate(type4)).toBe('Hx12');
   });
 });
+
+describe('Type of standard plates', () => {
+  it('Plate formats', () => {
+    expect(setTypeOfPlate({ plateFormat: 384 })).toBe('Px24');
+    expect(setTypeOfPlate({ plateFormat: 1536 })).toBe('AFx48');
+  });
+});
@@ -52,3 +52,14 @@ describe('Sort array of wells', () => {
     ]);
   });
 });
+
+describe('Sort wells with two letters rows', () => {
+  it('Z comes before AA', () => {
+    const wells = [{ id: '1-AA1' }, { id: '1-B2' }, { id: '1-Z10' }];
+    expect(sortWells(wells)).toStrictEqual([
+      { id: '1-B2' },
+      { id: '1-Z10' },
+      { id: '1-AA1' },
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+import {
+  convertConcentration,
+  normalizeReagent,
+  parseUnit,
+  toBaseUnit,
+} from '../units';
+
+describe('Concentration units', () => {
+  it('Parse units', () => {
+    expect(parseUnit('uM')).toStrictEqual({
+      symbol: 'µM',
+      dimension: 'molar',
+      exponent: -6,
+    });
+    expect(parseUnit('mmol/L').symbol).toBe('mM');
+    expect(parseUnit('mg/L')).toStrictEqual({
+      symbol: 'µg/mL',
+      dimension: 'mass',
+      exponent: -3,
+    });
+    expect(parseUnit('% w/v')).toStrictEqual({
+      symbol: '% w/v',
+      dimension: 'mass',
+      exponent: 1,
+    });
+    expect(parseUnit('%v/v').dimension).toBe('percent');
+    expect(parseUnit('cells/mL')).toBeNull();
+    expect(parseUnit(undefined)).toBeNull();
+  });
+
+  it('Convert concentrations', () => {
+    expect(convertConcentration(3, 'mM', 'µM')).toBe(3000);
+    expect(convertConcentration(3000, 'uM', 'mM')).toBe(3);
+    expect(convertConcentration(1, '% w/v', 'mg/mL')).toBe(10);
+    expect(
+      convertConcentration(2, 'mM', 'mg/mL', { molarMass: 58.44 }),
+    ).toBeCloseTo(0.11688, 10);
+    expect(
+      convertConcentration(116.88, 'µg/mL', 'µM', { molarMass: 58.44 }),
+    ).toBeCloseTo(2000, 10);
+    expect(() => convertConcentration(1, 'mM', 'mg/mL')).toThrow(
+      'The molar mass is needed to convert mM to mg/mL',
+    );
+    expect(() => convertConcentration(1, '%', 'mM')).toThrow(
+      'Can not convert % to mM',
+    );
+    expect(() => convertConcentration(1, 'X', 'mM')).toThrow('Unknown unit X');
+  });
+
+  it('Normalize reagents', () => {
+    expect(
+      normalizeReagent({ label: 'Drug', unit: 'mM', concentration: 1 }),
+    ).toStrictEqual({ label: 'Drug', unit: 'µM', concentration: 1000 });
+    expect(
+      normalizeReagent(
+        { label: 'Salt', unit: 'g/L', concentration: 5.844, molarMass: 58.44 },
+        'mM',
+      ).concentration,
+    ).toBeCloseTo(100, 10);
+    expect(
+      normalizeReagent(
+        { label: 'Serum', unit: '%', concentration: 10 },
+        {
+          molar: 'nM',
+        },
+      ),
+    ).toStrictEqual({ label: 'Serum', unit: '%', concentration: 10 });
+    expect(normalizeReagent({ label: 'Water' })).toStrictEqual({
+      label: 'Water',
+    });
+    expect(() =>
+      normalizeReagent({ label: 'Cells', unit: 'cells', concentration: 1 }),
+    ).toThrow('Unknown unit cells of Cells');
+    expect(toBaseUnit(1000, 'µM')).toStrictEqual({ value: 0.001, unit: 'M' });
+    expect(toBaseUnit(1, 'OD')).toStrictEqual({ value: 1, unit: 'OD' });
+  });
+});
@@ -0,0 +1,46 @@
+import { writeWorklist } from '../writeWorklist';
+
+describe('Liquid handler worklists', () => {
+  const transfers = [
+    {
+      id: '1-B3',
+      reagent: 'Drug',
+      volume: 1 / 3,
+      sourcePlate: 'Source',
+      sourceWell: 'A1',
+      destinationPlate: '1',
+      destinationWell: 'B3',
+    },
+  ];
+
+  it('Acoustic dispenser', () => {
+    expect(writeWorklist(transfers)).toBe(
+      'Source Plate Name,Source Well,Destination Plate Name,Destination Well,Transfer Volume\nSource,A1,1,B3,0.333',
+    );
+  });
+
+  it('Aspirate and dispense lines', () => {
+    expect(
+      writeWorklist(transfers, {
+        format: 'generic',
+        separator: ';',
+        decimals: 1,
+      }),
+    ).toBe(
+      'Action;Plate;Well;Volume;Reagent\nAspirate;Source;A1;0.3;Drug\nDispense;1;B3;0.3;Drug',
+    );
+    expect(() => writeWorklist(transfers, { format: 'tecan' })).toThrow(
+      'Unknown worklist format tecan, expected one of: echo, generic',
+    );
+  });
+
+  it('Fields with separators and quotes', () => {
+    const worklist = writeWorklist(
+      [{ ...transfers[0], sourcePlate: 'Stock, "A"', reagent: 'Drug;1' }],
+      { format: 'generic' },
+    );
+    expect(worklist.split('\n')[1]).toBe(
+      'Aspirate,"Stock, ""A""",A1,0.333,Drug;1',
+    );
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Adjusts p-values for multiple comparisons
+ * @param {Array} pValues
+ * @param {string} [method='none'] - 'none', 'bonferroni' or 'bh' (Benjamini-Hochberg false discovery rate)
+ * @returns {Array} Adjusted p-values in the same order, NaN values are kept and not counted as comparisons
+ */
+export function adjustPValues(pValues, method = 'none') {
+  const indexes = [];
+  for (let i = 0; i < pValues.length; i++) {
+    if (Number.isFinite(pValues[i])) indexes.push(i);
+  }
+  const nbComparisons = indexes.length;
+  const adjusted = pValues.slice();
+  switch (method) {
+    case 'none':
+      break;
+    case 'bonferroni':
+      for (let index of indexes) {
+        adjusted[index] = Math.min(1, pValues[index] * nbComparisons);
+      }
+      break;
+    case 'bh': {
+      indexes.sort((a, b) => pValues[b] - pValues[a]);
+      let minimum = 1;
+      for (let rank = 0; rank < nbComparisons; rank++) {
+        const index = indexes[rank];
+        minimum = Math.min(
+          minimum,
+          (pValues[index] * nbComparisons) / (nbComparisons - rank),
+        );
+        adjusted[index] = minimum;
+      }
+      break;
+    }
+    default:
+      throw new Error(
+        `Unknown p-value adjustment ${method}, expected one of: none, bonferroni, bh`,
+      );
+  }
+  return adjusted;
+}
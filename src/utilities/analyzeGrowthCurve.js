@@ -0,0 +1,158 @@
+import { levenbergMarquardt } from 'ml-levenberg-marquardt';
+
+import { growthModels } from './growthModels';
+
+/**
+ * Returns the growth parameters of a curve (optical density vs time)
+ * @param {Object} data - Growth curve
+ * @param {Array} data.x - Time
+ * @param {Array} data.y - Optical density
+ * @param {object} [options={}]
+ * @param {string} [options.model='gompertz'] - 'logistic', 'gompertz', 'richards' or 'slidingWindow' (model free)
+ * @param {number} [options.windowSize=5] - Number of points of the window used to estimate the maximum slope of ln(OD)
+ * @param {number} [options.initialOD] - Optical density at the beginning of the culture (first positive value by default)
+ * @return {Object} {model, lagTime, maxGrowthRate, doublingTime, carryingCapacity, maxOD, auc, parameters, r2}
+ */
+export function analyzeGrowthCurve(data, options = {}) {
+  const { model = 'gompertz', windowSize = 5, initialOD } = options;
+  if (model !== 'slidingWindow' && !growthModels[model]) {
+    throw new Error(
+      `Unknown model ${model}, expected one of: ${Object.keys(growthModels)
+        .concat('slidingWindow')
+        .join(', ')}`,
+    );
+  }
+
+  const points = [];
+  for (let i = 0; i < data.x.length; i++) {
+    if (Number.isFinite(data.x[i]) && Number.isFinite(data.y[i])) {
+      points.push({ x: data.x[i], y: data.y[i] });
+    }
+  }
+  const result = {
+    model,
+    lagTime: NaN,
+    maxGrowthRate: NaN,
+    doublingTime: NaN,
+    carryingCapacity: NaN,
+    maxOD: points.length ? Math.max(...points.map((item) => item.y)) : NaN,
+    auc: getArea(points),
+    parameters: {},
+    r2: NaN,
+  };
+
+  const positives = points.filter((item) => item.y > 0);
+  if (positives.length < Math.max(windowSize, 4)) return result;
+  const od0 = initialOD === undefined ? positives[0].y : initialOD;
+  const x = positives.map((item) => item.x);
+  const y = positives.map((item) => Math.log(item.y / od0));
+
+  const window = getMaximumSlope(x, y, windowSize);
+  if (model === 'slidingWindow') {
+    if (!(window.slope > 0)) return result;
+    const lagTime = -window.intercept / window.slope;
+    return Object.assign(result, {
+      lagTime,
+      maxGrowthRate: window.slope,
+      doublingTime: Math.LN2 / window.slope,
+      carryingCapacity: result.maxOD,
+      parameters: { mu: window.slope, lambda: lagTime },
+    });
+  }
+
+  const { parameters, fn } = growthModels[model];
+  const timeScale = Math.max(...x.map(Math.abs)) || 1;
+  const scaledX = x.map((item) => item / timeScale);
+  const A = Math.max(...y);
+  if (!(A > 0)) return result;
+  const mu = window.slope > 0 ? window.slope * timeScale : A;
+  const lambda = window.slope > 0 ? -window.intercept / window.slope : 0;
+  const initialValues = [A, mu, Math.min(Math.max(lambda / timeScale, 0), 1)];
+  const minValues = [A / 10, 1e-6, -1];
+  const maxValues = [A * 10, 1e3, 1];
+  if (parameters.includes('nu')) {
+    initialValues.push(1);
+    minValues.push(0.05);
+    maxValues.push(20);
+  }
+
+  let fitted;
+  try {
+    fitted = levenbergMarquardt({ x: scaledX, y }, fn, {
+      initialValues,
+      minValues,
+      maxValues,
+      damping: 1e-2,
+      gradientDifference: 1e-4,
+      centralDifference: true,
+      maxIterations: 1000,
+      errorTolerance: 1e-10,
+    }).parameterValues;
+  } catch (error) {
+    return result;
+  }
+
+  const values = fitted.slice();
+  values[1] = fitted[1] / timeScale;
+  values[2] = fitted[2] * timeScale;
+  const curve = fn(fitted);
+  const yMean = y.reduce((sum, item) => sum + item, 0) / y.length;
+  let residuals = 0;
+  let total = 0;
+  for (let i = 0; i < y.length; i++) {
+    residuals += Math.pow(y[i] - curve(scaledX[i]), 2);
+    total += Math.pow(y[i] - yMean, 2);
+  }
+
+  return Object.assign(result, {
+    lagTime: values[2],
+    maxGrowthRate: values[1],
+    doublingTime: Math.LN2 / values[1],
+    carryingCapacity: od0 * Math.exp(values[0]),
+    parameters: Object.fromEntries(
+      parameters.map((name, index) => [name, values[index]]),
+    ),
+    r2: total ? 1 - residuals / total : NaN,
+  });
+}
+
+/**
+ * Linear regression of the window of consecutive points with the highest slope
+ * @param {Array} x
+ * @param {Array} y
+ * @param {number} windowSize
+ * @returns {Object} {slope, intercept}
+ */
+function getMaximumSlope(x, y, windowSize) {
+  let best = { slope: -Infinity, intercept: NaN };
+  for (let i = 0; i + windowSize <= x.length; i++) {
+    let [sumX, sumY, sumXY, sumXX] = [0, 0, 0, 0];
+    for (let j = i; j < i + windowSize; j++) {
+      sumX += x[j];
+      sumY += y[j];
+      sumXY += x[j] * y[j];
+      sumXX += x[j] * x[j];
+    }
+    const denominator = windowSize * sumXX - sumX * sumX;
+    if (denominator === 0) continue;
+    const slope = (windowSize * sumXY - sumX * sumY) / denominator;
+    if (slope > best.slope) {
+      best = { slope, intercept: (sumY - slope * sumX) / windowSize };
+    }
+  }
+  return best;
+}
+
+/**
+ * Area under the curve by the trapezoidal rule
+ * @param {Array} points - Array of {x, y} objects
+ * @returns {number}
+ */
+function getArea(points) {
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area +=
+      ((points[i].x - points[i - 1].x) * (points[i].y + points[i - 1].y)) / 2;
+  }
+  return area;
+}
@@ -1,15 +1,35 @@
 export function averageAnalysis(wells) {
-  const keys = Object.keys(wells[0].analysis.processed);
+  const keys = getKeys(wells);
   let result = [];
   for (let key of keys) {
     let average = 0;
+    let count = 0;
     for (let well of wells) {
-      average += well.analysis.processed[key];
+      const value = well.analysis.processed[key];
+      // null and undefined are missing values
+      if (value === null || value === undefined) continue;
+      average += value;
+      count++;
     }
     result.push({
       label: key,
-      value: average / wells.length,
+      value: count ? average / count : null,
     });
   }
   return result;
 }
+
+/**
+ * Analysis keys of any of the wells
+ * @param {Array} wells
+ * @returns {Array}
+ */
+function getKeys(wells) {
+  const keys = [];
+  for (let well of wells) {
+    for (let key of Object.keys(well.analysis.processed)) {
+      if (!keys.includes(key)) keys.push(key);
+    }
+  }
+  return keys;
+}
@@ -1,20 +1,135 @@
-export function averageArrays(arrays) {
+/**
+ * Averages curves or spectra point by point, the arrays are resampled on a common x axis by linear interpolation
+ * when their axes do not match or when the axis is defined in the options. NaN values are skipped.
+ * @param {Array} arrays - Array of objects {x, y}
+ * @param {object} [options={}]
+ * @param {Array} [options.x] - Axis on which the arrays are resampled
+ * @param {number} [options.from] - First value of the resampled axis (the smallest x by default)
+ * @param {number} [options.to] - Last value of the resampled axis (the largest x by default)
+ * @param {number} [options.step] - Step of the resampled axis (the mean step of the first array by default)
+ * @param {number} [options.nbPoints] - Number of points of the resampled axis, it replaces the step
+ * @param {number} [options.tolerance=0] - Largest difference between x values considered as the same point
+ * @return {Object} {x, y, counts} - counts contains the number of arrays that contributed to each point
+ */
+export function averageArrays(arrays, options = {}) {
+  const { from, to, step, nbPoints, tolerance = 0 } = options;
   const data = [];
   for (let array of arrays) {
     if (array.x && array.y && array.y.length) data.push(array);
   }
-  if (!data.length) return { x: [], y: [] };
-  let result = [];
-  let xAxis = data[0].x;
-  for (let i = 0; i < data[0].y.length; i++) {
-    let variable = 0;
-    for (let j = 0; j < data.length; j++) {
-      if (data[j].y.length) variable += data[j].y[i];
+  if (!data.length) return { x: [], y: [], counts: [] };
+
+  let xAxis = options.x;
+  let values = data.map((array) => array.y);
+  const isResampled =
+    xAxis !== undefined ||
+    [from, to, step, nbPoints].some((value) => value !== undefined) ||
+    !haveSameAxis(data, tolerance);
+  if (isResampled) {
+    if (xAxis === undefined) {
+      xAxis = getAxis(data, { from, to, step, nbPoints });
     }
-    result.push(variable / data.length);
+    values = data.map((array) => interpolate(array, xAxis));
+  } else {
+    xAxis = data[0].x;
+  }
+
+  const y = [];
+  const counts = [];
+  for (let i = 0; i < xAxis.length; i++) {
+    let sum = 0;
+    let count = 0;
+    for (let array of values) {
+      if (Number.isFinite(array[i])) {
+        sum += array[i];
+        count++;
+      }
+    }
+    y.push(count ? sum / count : NaN);
+    counts.push(count);
   }
   return {
     x: xAxis,
-    y: result,
+    y,
+    counts,
   };
 }
+
+/**
+ * Checks that all the arrays share the x axis of the first one
+ * @param {Array} data
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+function haveSameAxis(data, tolerance) {
+  const reference = data[0].x;
+  return data.every(
+    (array) =>
+      array.x.length === reference.length &&
+      array.y.length === reference.length &&
+      array.x.every(
+        (value, index) => Math.abs(value - reference[index]) <= tolerance,
+      ),
+  );
+}
+
+/**
+ * Evenly spaced axis covering the arrays
+ * @param {Array} data
+ * @param {Object} options - {from, to, step, nbPoints}
+ * @returns {Array}
+ */
+function getAxis(data, options) {
+  const finite = data.map((array) => array.x.filter(Number.isFinite));
+  let {
+    from = Math.min(...finite.map((x) => Math.min(...x))),
+    to = Math.max(...finite.map((x) => Math.max(...x))),
+    step,
+    nbPoints,
+  } = options;
+  if (nbPoints !== undefined) {
+    step = nbPoints > 1 ? (to - from) / (nbPoints - 1) : 0;
+  } else {
+    if (step === undefined) {
+      const first = finite[0];
+      step = (Math.max(...first) - Math.min(...first)) / (first.length - 1);
+    }
+    if (!(step > 0)) throw new Error('The step must be a positive number');
+    nbPoints = Math.floor((to - from) / step + 1e-9) + 1;
+  }
+  return new Array(Math.max(nbPoints, 0))
+    .fill()
+    .map((item, index) => from + index * step);
+}
+
+/**
+ * Linear interpolation of an array on an axis, the points outside of the array or next to a NaN are NaN
+ * @param {Object} array - {x, y}
+ * @param {Array} xAxis - Ascending values
+ * @returns {Array}
+ */
+export function interpolate(array, xAxis) {
+  const points = [];
+  for (let i = 0; i < array.x.length; i++) {
+    if (Number.isFinite(array.x[i])) points.push([array.x[i], array.y[i]]);
+  }
+  if (!points.length) return xAxis.map(() => NaN);
+  points.sort((a, b) => a[0] - b[0]);
+  const result = [];
+  let index = 0;
+  for (let x of xAxis) {
+    while (index < points.length - 2 && points[index + 1][0] < x) index++;
+    const [left, right] = [points[index], points[index + 1] || points[index]];
+    if (x === left[0]) {
+      result.push(left[1]);
+    } else if (x === right[0]) {
+      result.push(right[1]);
+    } else if (x < left[0] || x > right[0]) {
+      result.push(NaN);
+    } else {
+      const ratio = (x - left[0]) / (right[0] - left[0]);
+      result.push(left[1] + ratio * (right[1] - left[1]));
+    }
+  }
+  return result;
+}
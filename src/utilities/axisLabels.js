@@ -0,0 +1,59 @@
+/**
+ * Returns the zero based index of a row or column label (A is 0, Z is 25, AA is 26, 1 is 0)
+ * @param {string|number} label
+ * @returns {number} NaN when the label is neither letters nor a positive integer
+ */
+export function axisLabelToIndex(label) {
+  const value = `${label}`.trim().toUpperCase();
+  if (/^[A-Z]+$/.test(value)) {
+    let index = 0;
+    for (let i = 0; i < value.length; i++) {
+      index = index * 26 + value.charCodeAt(i) - 64;
+    }
+    return index - 1;
+  }
+  if (/^\d+$/.test(value) && parseInt(value, 10) > 0) {
+    return parseInt(value, 10) - 1;
+  }
+  return NaN;
+}
+
+/**
+ * Returns the letters corresponding to a zero based index (0 is A, 25 is Z, 26 is AA)
+ * @param {number} index
+ * @returns {string}
+ */
+export function indexToLetters(index) {
+  let letters = '';
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((value - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Returns the zero based row and column indexes of a well label made of letters followed by digits (A1, A01, AF48)
+ * @param {string} label
+ * @returns {Object|null} {row, column}, null when the label has another format
+ */
+export function parseWellLabel(label) {
+  const match = /^(?<row>[a-z]+)(?<column>\d+)$/i.exec(`${label}`.trim());
+  if (!match || !match.groups) return null;
+  const row = axisLabelToIndex(match.groups.row);
+  const column = axisLabelToIndex(match.groups.column);
+  return Number.isNaN(column) ? null : { row, column };
+}
+
+/**
+ * Returns the well label in a canonical form (A01 and a1 become A1, 007 becomes 7) or null when the text is not a well label
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function normalizeWellLabel(text) {
+  const position = parseWellLabel(text);
+  if (position) return `${indexToLetters(position.row)}${position.column + 1}`;
+  const value = `${text}`.trim();
+  return /^\d+$/.test(value) && parseInt(value, 10) > 0
+    ? `${parseInt(value, 10)}`
+    : null;
+}
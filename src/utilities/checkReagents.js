@@ -1,14 +1,22 @@
+import { convertConcentration, parseUnit } from './units';
+
 export function checkReagents(well, options = {}) {
   const {
     checkKeys = true,
     checkValues = true,
     keys = ['reference', 'batch', 'uuid', 'concentration'],
+    checkUnits = false,
   } = options;
   const reagents = well.reagents;
   if (reagents.length === 0) {
     throw new Error(`The well ${well.id} has no reagents`);
   }
   for (let reagent of reagents) {
+    if (checkUnits && !parseUnit(reagent.unit)) {
+      throw new Error(
+        `Unknown unit ${reagent.unit} for ${reagent.label} at ${well.id}`,
+      );
+    }
     const entries = Object.entries(reagent);
     if (checkKeys) {
       const inputKeys = entries.map((item) => item[0]);
@@ -43,3 +51,29 @@ export function checkReagents(well, options = {}) {
     }
   }
 }
+
+/**
+ * Checks that the concentrations of each reagent can be converted between the wells, the molar mass of the reagents is used between molar and mass concentrations
+ * @param {Array} wells
+ */
+export function checkReagentsUnits(wells) {
+  const references = {};
+  for (let well of wells) {
+    for (let reagent of well.reagents) {
+      const reference = references[reagent.label];
+      if (!reference) {
+        references[reagent.label] = { id: well.id, reagent };
+        continue;
+      }
+      try {
+        convertConcentration(1, reagent.unit, reference.reagent.unit, {
+          molarMass: reagent.molarMass || reference.reagent.molarMass,
+        });
+      } catch (error) {
+        throw new Error(
+          `Inconsistent units of ${reagent.label}: ${reference.reagent.unit} at ${reference.id} and ${reagent.unit} at ${well.id}`,
+        );
+      }
+    }
+  }
+}
@@ -0,0 +1,190 @@
+import { adjustPValues } from './adjustPValues';
+import { dunnettCdf, fCdf, studentizedRangeCdf, tCdf } from './distributions';
+
+const tests = ['welch', 'anova', 'tukey', 'dunnett'];
+
+/**
+ * Compares the means of groups of replicate values
+ * @param {Array} groups - Objects {id, values}, NaN values are ignored
+ * @param {object} [options={}]
+ * @param {string} [options.test='anova'] - 'welch' (t-tests with unequal variances), 'anova' (one-way analysis of variance), 'tukey' (ANOVA and Tukey-Kramer HSD between all the pairs) or 'dunnett' (ANOVA and comparison of each group to the reference)
+ * @param {string} [options.reference] - Identificator of the reference group, required by Dunnett, the Welch tests compare every group to it when it is defined and all the pairs otherwise
+ * @param {string} [options.adjustment='none'] - Adjustment of the p-values of the Welch tests ('none', 'bonferroni' or 'bh'), Tukey and Dunnett p-values already account for the multiple comparisons
+ * @param {number} [options.alpha=0.05] - Significance level
+ * @return {Object} {test, groups, anova, comparisons} - comparisons contain {groups, difference, statistic, df, pValue, adjustedPValue, significant}, the difference is the mean of the second group minus the mean of the first one
+ */
+export function compareGroups(groups, options = {}) {
+  const {
+    test = 'anova',
+    reference,
+    adjustment = 'none',
+    alpha = 0.05,
+  } = options;
+  if (!tests.includes(test)) {
+    throw new Error(
+      `Unknown test ${test}, expected one of: ${tests.join(', ')}`,
+    );
+  }
+  const summaries = groups.map((group) =>
+    summarize(group.id, group.values.filter(Number.isFinite)),
+  );
+  if (summaries.length < 2) {
+    throw new Error('At least two groups are needed for a comparison');
+  }
+  const referenceIndex = summaries.findIndex((item) => item.id === reference);
+  if (reference !== undefined && referenceIndex === -1) {
+    throw new Error(`The reference ${reference} is not one of the groups`);
+  }
+  if (test === 'dunnett' && referenceIndex === -1) {
+    throw new Error('The Dunnett test needs a reference group');
+  }
+
+  const result = {
+    test,
+    groups: summaries,
+    anova: null,
+    comparisons: [],
+  };
+  const pairs = getPairs(summaries.length, referenceIndex);
+  if (test === 'welch') {
+    result.comparisons = pairs.map(([i, j]) =>
+      welch(summaries[i], summaries[j]),
+    );
+    const adjusted = adjustPValues(
+      result.comparisons.map((item) => item.pValue),
+      adjustment,
+    );
+    result.comparisons.forEach((item, index) => {
+      item.adjustedPValue = adjusted[index];
+    });
+  } else {
+    result.anova = anova(summaries);
+    if (test === 'tukey') {
+      result.comparisons = getPairs(summaries.length, -1).map(([i, j]) =>
+        tukey(summaries[i], summaries[j], result.anova, summaries.length),
+      );
+    } else if (test === 'dunnett') {
+      const control = summaries[referenceIndex];
+      const weights = summaries
+        .filter((item, index) => index !== referenceIndex)
+        .map((item) => Math.sqrt(item.n / (item.n + control.n)));
+      result.comparisons = pairs.map(([i, j]) =>
+        dunnett(summaries[i], summaries[j], result.anova, weights),
+      );
+    }
+  }
+  for (let comparison of result.comparisons) {
+    if (comparison.adjustedPValue === undefined) {
+      comparison.adjustedPValue = comparison.pValue;
+    }
+    comparison.significant = comparison.adjustedPValue < alpha;
+  }
+  return result;
+}
+
+/**
+ * Number of values, mean, standard deviation and variance of a group
+ * @param {string} id
+ * @param {Array} values
+ * @returns {Object}
+ */
+function summarize(id, values) {
+  const n = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const variance =
+    values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (n - 1);
+  return { id, n, mean, sd: Math.sqrt(variance), variance };
+}
+
+/**
+ * Pairs of indexes, each index against the reference or all the pairs when there is no reference
+ * @param {number} length
+ * @param {number} referenceIndex - -1 without reference
+ * @returns {Array}
+ */
+function getPairs(length, referenceIndex) {
+  const pairs = [];
+  for (let i = 0; i < length; i++) {
+    if (referenceIndex !== -1) {
+      if (i !== referenceIndex) pairs.push([referenceIndex, i]);
+      continue;
+    }
+    for (let j = i + 1; j < length; j++) pairs.push([i, j]);
+  }
+  return pairs;
+}
+
+function welch(first, second) {
+  const [a, b] = [first.variance / first.n, second.variance / second.n];
+  const statistic = (second.mean - first.mean) / Math.sqrt(a + b);
+  const df =
+    Math.pow(a + b, 2) /
+    (Math.pow(a, 2) / (first.n - 1) + Math.pow(b, 2) / (second.n - 1));
+  return {
+    groups: [first.id, second.id],
+    difference: second.mean - first.mean,
+    statistic,
+    df,
+    pValue: 2 * (1 - tCdf(Math.abs(statistic), df)),
+  };
+}
+
+function anova(summaries) {
+  const total = summaries.reduce((sum, item) => sum + item.n, 0);
+  const grandMean =
+    summaries.reduce((sum, item) => sum + item.n * item.mean, 0) / total;
+  let between = 0;
+  let within = 0;
+  for (let item of summaries) {
+    between += item.n * Math.pow(item.mean - grandMean, 2);
+    if (item.n > 1) within += (item.n - 1) * item.variance;
+  }
+  const dfBetween = summaries.length - 1;
+  const dfWithin = total - summaries.length;
+  if (dfWithin < 1 || summaries.some((item) => !item.n)) {
+    throw new Error(
+      'Each group needs a value and at least one group needs replicates',
+    );
+  }
+  const [msBetween, msWithin] = [between / dfBetween, within / dfWithin];
+  const statistic = msBetween / msWithin;
+  return {
+    dfBetween,
+    dfWithin,
+    ssBetween: between,
+    ssWithin: within,
+    msBetween,
+    msWithin,
+    statistic,
+    pValue: 1 - fCdf(statistic, dfBetween, dfWithin),
+  };
+}
+
+function tukey(first, second, anovaResult, nbGroups) {
+  const { msWithin, dfWithin } = anovaResult;
+  const difference = second.mean - first.mean;
+  const statistic =
+    Math.abs(difference) /
+    Math.sqrt((msWithin / 2) * (1 / first.n + 1 / second.n));
+  return {
+    groups: [first.id, second.id],
+    difference,
+    statistic,
+    df: dfWithin,
+    pValue: Math.max(0, 1 - studentizedRangeCdf(statistic, nbGroups, dfWithin)),
+  };
+}
+
+function dunnett(control, treatment, anovaResult, weights) {
+  const { msWithin, dfWithin } = anovaResult;
+  const difference = treatment.mean - control.mean;
+  const statistic =
+    difference / Math.sqrt(msWithin * (1 / treatment.n + 1 / control.n));
+  return {
+    groups: [control.id, treatment.id],
+    difference,
+    statistic,
+    df: dfWithin,
+    pValue: Math.max(0, 1 - dunnettCdf(Math.abs(statistic), weights, dfWithin)),
+  };
+}
@@ -0,0 +1,173 @@
+import { grubbs } from 'univariate-tests';
+
+/**
+ * Critical values of Dixon's Q test (r10) for 3 to 10 values (Dean and Dixon, 1951)
+ */
+const dixonTable = {
+  0.1: [0.941, 0.765, 0.642, 0.56, 0.507, 0.468, 0.437, 0.412],
+  0.05: [0.97, 0.829, 0.71, 0.625, 0.568, 0.526, 0.493, 0.466],
+  0.01: [0.994, 0.926, 0.821, 0.74, 0.68, 0.634, 0.598, 0.568],
+};
+
+/**
+ * Significance levels and largest number of values of the Grubbs table of univariate-tests
+ */
+const grubbsAlphas = [0.1, 0.075, 0.05, 0.025, 0.01];
+const grubbsMaxValues = 99;
+
+const methods = {
+  grubbs: grubbsTest,
+  iterativeGrubbs: iterativeGrubbs,
+  dixon: dixon,
+  tukey: tukey,
+  mad: medianAbsoluteDeviation,
+};
+
+/**
+ * Tests the replicates of a sample for outliers
+ * @param {Array} values - Values of the replicates, NaN values are not tested
+ * @param {object} [options={}]
+ * @param {string} [options.method='grubbs'] - 'grubbs', 'iterativeGrubbs' (Grubbs test repeated without the rejected values), 'dixon' (Q test of the extreme values), 'tukey' (interquartile range fences) or 'mad' (modified z-score from the median absolute deviation)
+ * @param {number} [options.alpha=0.05] - Significance level of the Grubbs (0.1, 0.075, 0.05, 0.025 or 0.01) and Dixon tests (0.1, 0.05 or 0.01)
+ * @param {number} [options.k=1.5] - Number of interquartile ranges between the quartiles and the Tukey fences
+ * @param {number} [options.threshold=3.5] - Largest modified z-score of the values that pass the MAD test
+ * @return {Object} {criticalValue, test} - test contains {value, score, pass} for each value, pass is undefined for the values that can not be tested
+ */
+export function detectOutliers(values, options = {}) {
+  const { method = 'grubbs', alpha = 0.05, k = 1.5, threshold = 3.5 } = options;
+  if (!methods[method]) {
+    throw new Error(
+      `Unknown outlier detection method ${method}, expected one of: ${Object.keys(
+        methods,
+      ).join(', ')}`,
+    );
+  }
+  const indexes = [];
+  for (let i = 0; i < values.length; i++) {
+    if (Number.isFinite(values[i])) indexes.push(i);
+  }
+  const test = values.map((value) => ({ value, score: 0, pass: undefined }));
+  if (indexes.length < 3) return { criticalValue: undefined, test };
+
+  const result = methods[method](
+    indexes.map((index) => values[index]),
+    { alpha, k, threshold },
+  );
+  for (let i = 0; i < indexes.length; i++) {
+    test[indexes[i]] = result.test[i];
+  }
+  return { criticalValue: result.criticalValue, test };
+}
+
+function grubbsTest(values, { alpha }) {
+  if (!grubbsAlphas.includes(alpha)) {
+    throw new Error(
+      `The significance level of the Grubbs test must be one of: ${grubbsAlphas.join(
+        ', ',
+      )}`,
+    );
+  }
+  if (values.length > grubbsMaxValues) {
+    return {
+      criticalValue: undefined,
+      test: values.map((value) => ({ value, score: 0, pass: undefined })),
+    };
+  }
+  return grubbs(values, { value: alpha });
+}
+
+function iterativeGrubbs(values, { alpha }) {
+  const test = values.map((value) => ({ value, score: 0, pass: true }));
+  let remaining = values.map((value, index) => index);
+  let criticalValue;
+  while (remaining.length >= 3) {
+    const result = grubbsTest(
+      remaining.map((index) => values[index]),
+      { alpha },
+    );
+    if (criticalValue === undefined) criticalValue = result.criticalValue;
+    let worst = -1;
+    for (let i = 0; i < remaining.length; i++) {
+      test[remaining[i]] = result.test[i];
+      if (
+        result.test[i].pass === false &&
+        (worst === -1 || result.test[i].score > result.test[worst].score)
+      ) {
+        worst = i;
+      }
+    }
+    if (worst === -1) break;
+    remaining = remaining.filter((item, index) => index !== worst);
+  }
+  return { criticalValue, test };
+}
+
+function dixon(values, { alpha }) {
+  const test = values.map((value) => ({ value, score: 0, pass: undefined }));
+  if (!dixonTable[alpha]) {
+    throw new Error(
+      `The significance level of the Dixon test must be one of: ${Object.keys(
+        dixonTable,
+      ).join(', ')}`,
+    );
+  }
+  const criticalValue = dixonTable[alpha][values.length - 3];
+  if (criticalValue === undefined) return { criticalValue, test };
+  const sorted = values.slice().sort((a, b) => a - b);
+  const last = sorted.length - 1;
+  const range = sorted[last] - sorted[0];
+  for (let item of test) {
+    let score = 0;
+    if (range > 0 && item.value === sorted[0]) {
+      score = (sorted[1] - sorted[0]) / range;
+    } else if (range > 0 && item.value === sorted[last]) {
+      score = (sorted[last] - sorted[last - 1]) / range;
+    }
+    item.score = score;
+    item.pass = score <= criticalValue;
+  }
+  return { criticalValue, test };
+}
+
+function tukey(values, { k }) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const [q1, q3] = [quantile(sorted, 0.25), quantile(sorted, 0.75)];
+  const iqr = q3 - q1;
+  const test = values.map((value) => {
+    const distance = Math.max(q1 - value, value - q3, 0);
+    const score = distance === 0 ? 0 : distance / iqr;
+    return { value, score, pass: score <= k };
+  });
+  return { criticalValue: k, test };
+}
+
+function medianAbsoluteDeviation(values, { threshold }) {
+  const median = quantile(
+    values.slice().sort((a, b) => a - b),
+    0.5,
+  );
+  const deviations = values.map((value) => Math.abs(value - median));
+  const mad = quantile(
+    deviations.slice().sort((a, b) => a - b),
+    0.5,
+  );
+  const test = values.map((value, index) => {
+    const score =
+      deviations[index] === 0 ? 0 : (0.6745 * deviations[index]) / mad;
+    return { value, score, pass: score <= threshold };
+  });
+  return { criticalValue: threshold, test };
+}
+
+/**
+ * Quantile of sorted values with linear interpolation between the closest ranks
+ * @param {Array} sorted
+ * @param {number} p
+ * @returns {number}
+ */
+function quantile(sorted, p) {
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+}
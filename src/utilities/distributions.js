@@ -0,0 +1,312 @@
+/**
+ * Probability distributions used by the statistical tests and the confidence intervals
+ */
+
+// grid of the tabulated functions, x from 0 to 16
+const gridStep = 0.025;
+const gridSize = 640;
+const maxTabulated = 50;
+const tabulated = new Map();
+
+const lanczos = [
+  676.5203681218851, -1259.1392167224028, 771.3234287776531, -176.6150291621406,
+  12.507343278686905, -0.13857109526572012, 9.984369578019572e-6,
+  1.5056327351493116e-7,
+];
+
+/**
+ * Natural logarithm of the gamma function (Lanczos approximation)
+ * @param {number} x
+ * @returns {number}
+ */
+export function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let sum = 0.9999999999998099;
+  for (let i = 0; i < lanczos.length; i++) {
+    sum += lanczos[i] / (x + i + 1);
+  }
+  const t = x + lanczos.length - 0.5;
+  return (
+    0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum)
+  );
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x),
+  );
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(x, a, b)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Cumulative distribution function of the Student's t distribution
+ * @param {number} t
+ * @param {number} df - Degrees of freedom
+ * @returns {number}
+ */
+export function tCdf(t, df) {
+  if (!Number.isFinite(t)) return t > 0 ? 1 : 0;
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Quantile function of the Student's t distribution
+ * @param {number} p - Probability
+ * @param {number} df - Degrees of freedom
+ * @returns {number}
+ */
+export function tQuantile(p, df) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < 0.5) return -tQuantile(1 - p, df);
+  let [low, high] = [0, 1];
+  while (tCdf(high, df) < p) high *= 2;
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+    if (tCdf(middle, df) < p) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Cumulative distribution function of the F distribution
+ * @param {number} f
+ * @param {number} df1 - Degrees of freedom of the numerator
+ * @param {number} df2 - Degrees of freedom of the denominator
+ * @returns {number}
+ */
+export function fCdf(f, df1, df2) {
+  if (f <= 0) return 0;
+  return incompleteBeta((df1 * f) / (df1 * f + df2), df1 / 2, df2 / 2);
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * (complementary error function with a fractional error below 1.2e-7)
+ * @param {number} x
+ * @returns {number}
+ */
+export function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + z / 2);
+  const erfc =
+    t *
+    Math.exp(
+      -z * z -
+        1.26551223 +
+        t *
+          (1.00002368 +
+            t *
+              (0.37409196 +
+                t *
+                  (0.09678418 +
+                    t *
+                      (-0.18628806 +
+                        t *
+                          (0.27886807 +
+                            t *
+                              (-1.13520398 +
+                                t *
+                                  (1.48851587 +
+                                    t * (-0.82215223 + t * 0.17087277)))))))),
+    );
+  return x >= 0 ? 1 - erfc / 2 : erfc / 2;
+}
+
+/**
+ * Cumulative distribution function of the studentized range of k means, the distribution of the range for a known variance is tabulated once for each k
+ * @param {number} q
+ * @param {number} k - Number of means
+ * @param {number} df - Degrees of freedom of the standard error (Infinity for a known variance)
+ * @returns {number}
+ */
+export function studentizedRangeCdf(q, k, df) {
+  if (q <= 0) return 0;
+  const rangeCdf = getTabulated(
+    `range ${k}`,
+    (range) =>
+      k *
+      simpson(
+        (z) =>
+          normalDensity(z) *
+          Math.pow(normalCdf(z) - normalCdf(z - range), k - 1),
+        -8,
+        8,
+        160,
+      ),
+  );
+  return Math.min(
+    1,
+    integrateOverScale((s) => rangeCdf(q * s), df),
+  );
+}
+
+/**
+ * Probability that all the Dunnett statistics comparing treatments to a control are smaller than c in absolute value,
+ * the probability for a known variance is tabulated once for each set of weights
+ * @param {number} c
+ * @param {Array} weights - sqrt(n / (n + n0)) for each treatment of n replicates compared to a control of n0 replicates
+ * @param {number} df - Degrees of freedom of the standard error (Infinity for a known variance)
+ * @returns {number}
+ */
+export function dunnettCdf(c, weights, df) {
+  if (c <= 0) return 0;
+  // the treatments with the same weight share their factor
+  const counts = new Map();
+  for (let weight of weights) counts.set(weight, (counts.get(weight) || 0) + 1);
+  const factors = [...counts].map(([weight, count]) => ({
+    weight,
+    count,
+    scale: Math.sqrt(1 - weight * weight),
+  }));
+  const allInside = getTabulated(`dunnett ${weights.join(' ')}`, (limit) =>
+    simpson(
+      (z) => {
+        let product = normalDensity(z);
+        for (let { weight, count, scale } of factors) {
+          product *= Math.pow(
+            normalCdf((limit - weight * z) / scale) -
+              normalCdf((-limit - weight * z) / scale),
+            count,
+          );
+        }
+        return product;
+      },
+      -8,
+      8,
+      160,
+    ),
+  );
+  return Math.min(
+    1,
+    integrateOverScale((s) => allInside(c * s), df),
+  );
+}
+
+/**
+ * Returns a function of x >= 0 interpolated (cubic Hermite) between its values on a grid, the grid is computed once for each name.
+ * The functions are cumulative probabilities integrated over z in [-8, 8], they are constant beyond x = 16.
+ * @param {string} name - Identificator of the function and of its parameters
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function getTabulated(name, fn) {
+  if (!tabulated.has(name)) {
+    if (tabulated.size >= maxTabulated) tabulated.clear();
+    const values = [];
+    for (let i = 0; i <= gridSize + 1; i++) values.push(fn(i * gridStep));
+    tabulated.set(name, values);
+  }
+  const values = tabulated.get(name);
+  return (x) => {
+    if (x <= 0) return values[0];
+    if (x >= gridSize * gridStep) return values[gridSize];
+    const position = x / gridStep;
+    const i = Math.floor(position);
+    const t = position - i;
+    const previous = i > 0 ? values[i - 1] : 2 * values[0] - values[1];
+    const [start, end, next] = [values[i], values[i + 1], values[i + 2]];
+    const startSlope = (end - previous) / 2;
+    const endSlope = (next - start) / 2;
+    return (
+      (2 * t ** 3 - 3 * t ** 2 + 1) * start +
+      (t ** 3 - 2 * t ** 2 + t) * startSlope +
+      (-2 * t ** 3 + 3 * t ** 2) * end +
+      (t ** 3 - t ** 2) * endSlope
+    );
+  };
+}
+
+/**
+ * Integrates a function of the ratio s between the estimated and the true standard deviation over its distribution
+ * @param {Function} fn
+ * @param {number} df - Degrees of freedom of the estimated standard deviation
+ * @returns {number}
+ */
+function integrateOverScale(fn, df) {
+  if (!Number.isFinite(df)) return fn(1);
+  const logConstant =
+    (df / 2) * Math.log(df) - logGamma(df / 2) - (df / 2 - 1) * Math.LN2;
+  const spread = 10 / Math.sqrt(df);
+  return simpson(
+    (s) =>
+      s > 0
+        ? Math.exp(logConstant + (df - 1) * Math.log(s) - (df * s * s) / 2) *
+          fn(s)
+        : 0,
+    Math.max(0, 1 - spread),
+    1 + spread,
+    200,
+  );
+}
+
+function normalDensity(x) {
+  return Math.exp((-x * x) / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Composite Simpson's rule
+ * @param {Function} fn
+ * @param {number} from
+ * @param {number} to
+ * @param {number} nbIntervals - Even number of intervals
+ * @returns {number}
+ */
+function simpson(fn, from, to, nbIntervals) {
+  const step = (to - from) / nbIntervals;
+  let sum = fn(from) + fn(to);
+  for (let i = 1; i < nbIntervals; i++) {
+    sum += (i % 2 ? 4 : 2) * fn(from + i * step);
+  }
+  return (sum * step) / 3;
+}
+
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return result;
+}
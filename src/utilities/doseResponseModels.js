@@ -0,0 +1,30 @@
+/**
+ * Logistic dose-response models as a function of the concentration,
+ * bottom and top are the asymptotes, logEC50 (log10 of the concentration at half response) the midpoint,
+ * hillSlope the steepness (negative for decreasing responses) and asymmetry the shape of the five parameters model
+ */
+export const doseResponseModels = {
+  '4PL': {
+    parameters: ['bottom', 'top', 'logEC50', 'hillSlope'],
+    fn:
+      ([bottom, top, logEC50, hillSlope]) =>
+      (x) =>
+        bottom +
+        (top - bottom) /
+          (1 + Math.pow(10, (logEC50 - Math.log10(x)) * hillSlope)),
+  },
+  '5PL': {
+    parameters: ['bottom', 'top', 'logEC50', 'hillSlope', 'asymmetry'],
+    fn: ([bottom, top, logEC50, hillSlope, asymmetry]) => {
+      const logXb =
+        logEC50 + Math.log10(Math.pow(2, 1 / asymmetry) - 1) / hillSlope;
+      return (x) =>
+        bottom +
+        (top - bottom) /
+          Math.pow(
+            1 + Math.pow(10, (logXb - Math.log10(x)) * hillSlope),
+            asymmetry,
+          );
+    },
+  },
+};
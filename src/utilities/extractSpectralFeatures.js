@@ -0,0 +1,68 @@
+import { interpolate } from './averageArrays';
+
+const types = {
+  value: (data, { x }) => interpolate(data, [x])[0],
+  ratio: (data, { numerator, denominator }) => {
+    const [top, bottom] = interpolate(
+      data,
+      [numerator, denominator].sort((a, b) => a - b),
+    );
+    return numerator <= denominator ? top / bottom : bottom / top;
+  },
+  integral: integrate,
+  argmax: argmax,
+};
+
+/**
+ * Evaluates features of a spectrum, the values between two points of the spectrum are linearly interpolated
+ * @param {Object} data - Spectrum {x, y}
+ * @param {Array} features - Definitions as objects with a name, a type and its parameters:
+ * { name, type: 'value', x } (y at x),
+ * { name, type: 'ratio', numerator, denominator } (ratio of the values at two x, e.g. A260/A280),
+ * { name, type: 'integral', from, to } (area between from and to, trapezoidal rule),
+ * { name, type: 'argmax', from, to } (x of the largest y between from and to, the whole spectrum by default)
+ * @return {Object} Value of each feature by name, NaN when the feature is outside of the spectrum
+ */
+export function extractSpectralFeatures(data, features) {
+  const result = {};
+  for (let feature of features) {
+    const { name, type } = feature;
+    if (!types[type]) {
+      throw new Error(
+        `Unknown feature type ${type}, expected one of: ${Object.keys(
+          types,
+        ).join(', ')}`,
+      );
+    }
+    if (name === undefined) throw new Error('The feature has no name');
+    result[name] = data.x.length ? types[type](data, feature) : NaN;
+  }
+  return result;
+}
+
+function integrate(data, { from, to }) {
+  const [start, end] = [Math.min(from, to), Math.max(from, to)];
+  const xAxis = [start];
+  for (let value of data.x.slice().sort((a, b) => a - b)) {
+    if (value > start && value < end) xAxis.push(value);
+  }
+  xAxis.push(end);
+  const y = interpolate(data, xAxis);
+  let area = 0;
+  for (let i = 1; i < xAxis.length; i++) {
+    area += ((y[i] + y[i - 1]) * (xAxis[i] - xAxis[i - 1])) / 2;
+  }
+  return from <= to ? area : -area;
+}
+
+function argmax(data, { from = -Infinity, to = Infinity }) {
+  let result = NaN;
+  let max = -Infinity;
+  for (let i = 0; i < data.x.length; i++) {
+    if (data.x[i] >= from && data.x[i] <= to && data.y[i] > max) {
+      max = data.y[i];
+      result = data.x[i];
+    }
+  }
+  return result;
+}
@@ -0,0 +1,40 @@
+/**
+ * Returns the blank wells used to correct a well
+ * @param {Object} well - Well to correct
+ * @param {Array} blanks - Blank wells of the plates
+ * @param {object} [options={}]
+ * @param {string} [options.scope='plate'] - 'plate', 'row', 'column' or 'neighbours'
+ * @param {number} [options.nbNeighbours=4] - Number of closest blanks used with the 'neighbours' scope
+ * @return {Array}
+ */
+export function findBlanks(well, blanks, options = {}) {
+  const { scope = 'plate', nbNeighbours = 4 } = options;
+  const candidates = blanks.filter(
+    (blank) => blank.plate === well.plate && blank.id !== well.id,
+  );
+  switch (scope) {
+    case 'plate':
+      return candidates;
+    case 'row':
+    case 'column':
+      return candidates.filter(
+        (blank) => blank.position[scope] === well.position[scope],
+      );
+    case 'neighbours':
+      return candidates
+        .map((blank) => ({
+          blank,
+          distance: Math.hypot(
+            blank.position.row - well.position.row,
+            blank.position.column - well.position.column,
+          ),
+        }))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, nbNeighbours)
+        .map((item) => item.blank);
+    default:
+      throw new Error(
+        `Unknown scope ${scope}, expected one of: plate, row, column, neighbours`,
+      );
+  }
+}
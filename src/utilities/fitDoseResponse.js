@@ -0,0 +1,162 @@
+import { levenbergMarquardt } from 'ml-levenberg-marquardt';
+import { inverse, Matrix } from 'ml-matrix';
+
+import { tQuantile } from './distributions';
+import { doseResponseModels } from './doseResponseModels';
+
+/**
+ * Fits a four or five parameters logistic model to responses vs concentrations
+ * @param {Object} data
+ * @param {Array} data.x - Concentrations
+ * @param {Array} data.y - Responses
+ * @param {object} [options={}]
+ * @param {string} [options.model='4PL'] - '4PL' or '5PL'
+ * @param {number} [options.confidence=0.95] - Level of the confidence intervals
+ * @return {Object} {model, parameters, standardErrors, confidenceIntervals, goodnessOfFit}, parameters contains the EC50 (IC50 for decreasing responses)
+ */
+export function fitDoseResponse(data, options = {}) {
+  const { model = '4PL', confidence = 0.95 } = options;
+  if (!doseResponseModels[model]) {
+    throw new Error(
+      `Unknown model ${model}, expected one of: ${Object.keys(
+        doseResponseModels,
+      ).join(', ')}`,
+    );
+  }
+  const { parameters: names, fn } = doseResponseModels[model];
+
+  const x = [];
+  const y = [];
+  for (let i = 0; i < data.x.length; i++) {
+    if (
+      Number.isFinite(data.x[i]) &&
+      data.x[i] >= 0 &&
+      Number.isFinite(data.y[i])
+    ) {
+      x.push(data.x[i]);
+      y.push(data.y[i]);
+    }
+  }
+  if (x.length <= names.length) {
+    throw new Error(
+      `At least ${
+        names.length + 1
+      } points are needed to fit the ${model} model`,
+    );
+  }
+  const logX = x.filter((value) => value > 0).map(Math.log10);
+  if (!logX.length) throw new Error('All the concentrations are zero');
+
+  const yMin = Math.min(...y);
+  const yRange = Math.max(...y) - yMin || 1;
+  const scaledY = y.map((value) => (value - yMin) / yRange);
+  const [minLog, maxLog] = [Math.min(...logX), Math.max(...logX)];
+  const initialValues = [
+    0,
+    1,
+    (minLog + maxLog) / 2,
+    isDecreasing(x, y) ? -1 : 1,
+  ];
+  const minValues = [-1, 0, minLog - 3, -10];
+  const maxValues = [1, 2, maxLog + 3, 10];
+  if (names.includes('asymmetry')) {
+    initialValues.push(1);
+    minValues.push(0.1);
+    maxValues.push(10);
+  }
+
+  const fitted = levenbergMarquardt({ x, y: scaledY }, fn, {
+    initialValues,
+    minValues,
+    maxValues,
+    damping: 1e-2,
+    gradientDifference: 1e-6,
+    centralDifference: true,
+    maxIterations: 500,
+    errorTolerance: 1e-12,
+  }).parameterValues;
+  const values = fitted.slice();
+  values[0] = yMin + fitted[0] * yRange;
+  values[1] = yMin + fitted[1] * yRange;
+
+  const curve = fn(values);
+  const yMean = y.reduce((sum, value) => sum + value, 0) / y.length;
+  let sse = 0;
+  let total = 0;
+  for (let i = 0; i < y.length; i++) {
+    sse += Math.pow(y[i] - curve(x[i]), 2);
+    total += Math.pow(y[i] - yMean, 2);
+  }
+  const df = x.length - names.length;
+  const errors = getStandardErrors(fn, values, x, sse / df);
+  const quantile = tQuantile(1 - (1 - confidence) / 2, df);
+
+  const result = {
+    model,
+    parameters: {},
+    standardErrors: {},
+    confidenceIntervals: {},
+    goodnessOfFit: {
+      n: x.length,
+      df,
+      sse,
+      rmse: Math.sqrt(sse / x.length),
+      r2: total ? 1 - sse / total : NaN,
+    },
+  };
+  for (let i = 0; i < names.length; i++) {
+    result.parameters[names[i]] = values[i];
+    result.standardErrors[names[i]] = errors[i];
+    result.confidenceIntervals[names[i]] = [
+      values[i] - quantile * errors[i],
+      values[i] + quantile * errors[i],
+    ];
+  }
+  result.parameters.ec50 = Math.pow(10, result.parameters.logEC50);
+  result.confidenceIntervals.ec50 = result.confidenceIntervals.logEC50.map(
+    (value) => Math.pow(10, value),
+  );
+  return result;
+}
+
+/**
+ * Standard errors of the parameters from the covariance matrix s² (JᵀJ)⁻¹
+ * @param {Function} fn - Parameterized function
+ * @param {Array} values - Fitted parameters
+ * @param {Array} x
+ * @param {number} variance - Residual variance
+ * @returns {Array}
+ */
+function getStandardErrors(fn, values, x, variance) {
+  if (!Number.isFinite(variance)) return values.map(() => NaN);
+  const jacobian = x.map((xi) =>
+    values.map((value, j) => {
+      const step = 1e-6 * Math.max(1, Math.abs(value));
+      const [lower, upper] = [values.slice(), values.slice()];
+      lower[j] -= step;
+      upper[j] += step;
+      return (fn(upper)(xi) - fn(lower)(xi)) / (2 * step);
+    }),
+  );
+  try {
+    const matrix = new Matrix(jacobian);
+    const covariance = inverse(matrix.transpose().mmul(matrix));
+    return values.map((value, j) => Math.sqrt(variance * covariance.get(j, j)));
+  } catch (error) {
+    return values.map(() => NaN);
+  }
+}
+
+/**
+ * Compares the mean responses at the lowest and at the highest concentrations
+ * @param {Array} x
+ * @param {Array} y
+ * @returns {boolean}
+ */
+function isDecreasing(x, y) {
+  const meanAt = (target) => {
+    const values = y.filter((value, index) => x[index] === target);
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  };
+  return meanAt(Math.max(...x)) < meanAt(Math.min(...x));
+}
@@ -0,0 +1,136 @@
+import { Matrix, solve } from 'ml-matrix';
+
+import { fitDoseResponse } from './fitDoseResponse';
+
+const models = ['linear', 'quadratic', '4PL'];
+
+/**
+ * Fits a standard curve of responses vs known concentrations
+ * @param {Object} data
+ * @param {Array} data.x - Concentrations of the standards
+ * @param {Array} data.y - Responses of the standards
+ * @param {object} [options={}]
+ * @param {string} [options.model='linear'] - 'linear' (intercept + slope * x), 'quadratic' (intercept + slope * x + curvature * x²) or '4PL' (fitted by fitDoseResponse)
+ * @return {Object} {model, parameters, range, goodnessOfFit} - range is the calibrated range {min, max} of the concentrations
+ */
+export function fitStandardCurve(data, options = {}) {
+  const { model = 'linear' } = options;
+  if (!models.includes(model)) {
+    throw new Error(
+      `Unknown model ${model}, expected one of: ${models.join(', ')}`,
+    );
+  }
+  const x = [];
+  const y = [];
+  for (let i = 0; i < data.x.length; i++) {
+    if (Number.isFinite(data.x[i]) && Number.isFinite(data.y[i])) {
+      x.push(data.x[i]);
+      y.push(data.y[i]);
+    }
+  }
+  let parameters;
+  if (model === '4PL') {
+    const { bottom, top, logEC50, hillSlope } = fitDoseResponse(
+      { x, y },
+      { model },
+    ).parameters;
+    parameters = { bottom, top, logEC50, hillSlope };
+  } else {
+    const degree = model === 'linear' ? 1 : 2;
+    if (new Set(x).size <= degree) {
+      throw new Error(
+        `At least ${
+          degree + 1
+        } concentrations are needed to fit the ${model} model`,
+      );
+    }
+    const coefficients = solve(
+      new Matrix(
+        x.map((value) => [1, value, value * value].slice(0, degree + 1)),
+      ),
+      Matrix.columnVector(y),
+      true,
+    ).to1DArray();
+    parameters = { intercept: coefficients[0], slope: coefficients[1] };
+    if (degree === 2) parameters.curvature = coefficients[2];
+  }
+  const curve = {
+    model,
+    parameters,
+    range: { min: Math.min(...x), max: Math.max(...x) },
+  };
+  const yMean = y.reduce((sum, value) => sum + value, 0) / y.length;
+  let sse = 0;
+  let total = 0;
+  for (let i = 0; i < y.length; i++) {
+    sse += Math.pow(y[i] - predictResponse(curve, x[i]), 2);
+    total += Math.pow(y[i] - yMean, 2);
+  }
+  curve.goodnessOfFit = { n: x.length, sse, r2: total ? 1 - sse / total : NaN };
+  return curve;
+}
+
+/**
+ * Response of a standard curve at a concentration
+ * @param {Object} curve - Result of fitStandardCurve
+ * @param {number} concentration
+ * @return {number}
+ */
+export function predictResponse(curve, concentration) {
+  const { model, parameters } = curve;
+  if (model === '4PL') {
+    const { bottom, top, logEC50, hillSlope } = parameters;
+    return (
+      bottom +
+      (top - bottom) /
+        (1 + Math.pow(10, (logEC50 - Math.log10(concentration)) * hillSlope))
+    );
+  }
+  const { intercept, slope, curvature = 0 } = parameters;
+  return (
+    intercept +
+    slope * concentration +
+    curvature * concentration * concentration
+  );
+}
+
+/**
+ * Concentration corresponding to a response on a standard curve
+ * @param {Object} curve - Result of fitStandardCurve
+ * @param {number} response
+ * @return {Object} {concentration, flag} - flag is 'below' or 'above' when the concentration is outside of the calibrated range, 'undetermined' when the response has no concentration on the curve and null otherwise
+ */
+export function backCalculate(curve, response) {
+  const concentration = getConcentration(curve, response);
+  let flag = null;
+  if (!Number.isFinite(concentration)) {
+    flag = 'undetermined';
+  } else if (concentration < curve.range.min) {
+    flag = 'below';
+  } else if (concentration > curve.range.max) {
+    flag = 'above';
+  }
+  return { concentration, flag };
+}
+
+function getConcentration(curve, response) {
+  const { model, parameters, range } = curve;
+  if (!Number.isFinite(response)) return NaN;
+  if (model === '4PL') {
+    const { bottom, top, logEC50, hillSlope } = parameters;
+    const ratio = (top - bottom) / (response - bottom) - 1;
+    return ratio > 0
+      ? Math.pow(10, logEC50 - Math.log10(ratio) / hillSlope)
+      : NaN;
+  }
+  const { intercept, slope, curvature = 0 } = parameters;
+  if (curvature === 0) return slope ? (response - intercept) / slope : NaN;
+  const discriminant = slope * slope - 4 * curvature * (intercept - response);
+  if (discriminant < 0) return NaN;
+  const roots = [1, -1].map(
+    (sign) => (-slope + sign * Math.sqrt(discriminant)) / (2 * curvature),
+  );
+  // the root closest to the calibrated range
+  const center = (range.min + range.max) / 2;
+  return roots.sort((a, b) => Math.abs(a - center) - Math.abs(b - center))[0];
+}
@@ -0,0 +1,169 @@
+import { createRandom, shuffle } from './random';
+
+const designs = {
+  fullFactorial,
+  fractionalFactorial,
+  latinHypercube,
+  centralComposite,
+};
+
+/**
+ * Returns the runs of a design of experiments over the concentrations of reagents
+ * @param {Array} factors - Reagents as objects ({label, unit...}) with the range of concentrations (min, max) or the concentrations of their levels (levels)
+ * @param {object} [options={}]
+ * @param {string} [options.type='fullFactorial'] - 'fullFactorial', 'fractionalFactorial', 'latinHypercube' or 'centralComposite'
+ * @param {number} [options.nbLevels=2] - Number of evenly spaced levels between min and max in the full factorial design
+ * @param {Object} [options.generators={}] - Factors of the fractional factorial design set to the product of other factors, e.g. { D: ['A', 'B', 'C'] }
+ * @param {number} [options.nbRuns] - Number of runs of the Latin hypercube design
+ * @param {number|string} [options.seed=0] - Seed of the random numbers of the Latin hypercube design
+ * @param {number} [options.alpha=1] - Distance of the axial points of the central composite design in half ranges (1 for a face centered design)
+ * @param {number} [options.nbCenterPoints=1] - Number of center points of the central composite design
+ * @return {Array} Runs as objects {run, concentrations, coded}, concentrations and coded values are indexed by the labels of the factors and coded values go from -1 (min) to 1 (max)
+ */
+export function generateDesign(factors, options = {}) {
+  const { type = 'fullFactorial' } = options;
+  if (!designs[type]) {
+    throw new Error(
+      `Unknown design ${type}, expected one of: ${Object.keys(designs).join(
+        ', ',
+      )}`,
+    );
+  }
+  if (!factors.length) throw new Error('At least one factor is needed');
+  const ranges = factors.map(getRange);
+  return designs[type](factors, ranges, options).map((values, index) => {
+    const run = { run: index + 1, concentrations: {}, coded: {} };
+    factors.forEach(({ label }, i) => {
+      const { min, max } = ranges[i];
+      run.concentrations[label] = values[i];
+      run.coded[label] =
+        max === min ? 0 : (2 * (values[i] - min)) / (max - min) - 1;
+    });
+    return run;
+  });
+}
+
+function fullFactorial(factors, ranges, options) {
+  const { nbLevels = 2 } = options;
+  const levels = factors.map((factor, i) => {
+    if (factor.levels) return factor.levels;
+    const { min, max } = ranges[i];
+    return new Array(nbLevels)
+      .fill()
+      .map((item, index) =>
+        nbLevels === 1 ? min : min + ((max - min) * index) / (nbLevels - 1),
+      );
+  });
+  return getCombinations(levels);
+}
+
+function fractionalFactorial(factors, ranges, options) {
+  const { generators = {} } = options;
+  const labels = factors.map((factor) => factor.label);
+  for (let label in generators) {
+    if (!labels.includes(label)) {
+      throw new Error(`Unknown generated factor ${label}`);
+    }
+    for (let item of generators[label]) {
+      if (!labels.includes(item) || generators[item]) {
+        throw new Error(
+          `The generator of ${label} must contain factors that are not generated, received ${item}`,
+        );
+      }
+    }
+  }
+  const base = labels.filter((label) => !generators[label]);
+  return getCombinations(base.map(() => [-1, 1])).map((row) => {
+    const coded = {};
+    base.forEach((label, index) => (coded[label] = row[index]));
+    return factors.map(({ label }, i) => {
+      const value =
+        coded[label] === undefined
+          ? generators[label].reduce(
+              (product, item) => product * coded[item],
+              1,
+            )
+          : coded[label];
+      return fromCoded(value, ranges[i]);
+    });
+  });
+}
+
+function latinHypercube(factors, ranges, options) {
+  const { nbRuns, seed = 0 } = options;
+  if (!Number.isInteger(nbRuns) || nbRuns < 1) {
+    throw new Error('The number of runs must be a positive integer');
+  }
+  const random = createRandom(seed);
+  const columns = ranges.map(({ min, max }) =>
+    shuffle(
+      new Array(nbRuns).fill().map((item, index) => index),
+      random,
+    ).map((stratum) => min + ((max - min) * (stratum + random())) / nbRuns),
+  );
+  return new Array(nbRuns)
+    .fill()
+    .map((item, run) => columns.map((column) => column[run]));
+}
+
+function centralComposite(factors, ranges, options) {
+  const { alpha = 1, nbCenterPoints = 1 } = options;
+  const coded = getCombinations(factors.map(() => [-1, 1]));
+  for (let i = 0; i < factors.length; i++) {
+    for (let sign of [-1, 1]) {
+      coded.push(factors.map((factor, j) => (i === j ? sign * alpha : 0)));
+    }
+  }
+  for (let i = 0; i < nbCenterPoints; i++) coded.push(factors.map(() => 0));
+  return coded.map((row) =>
+    row.map((value, i) => {
+      const concentration = fromCoded(value, ranges[i]);
+      if (concentration < 0) {
+        throw new Error(
+          `The axial points of ${factors[i].label} have negative concentrations, use a smaller alpha`,
+        );
+      }
+      return concentration;
+    }),
+  );
+}
+
+/**
+ * Range of the concentrations of a factor
+ * @param {Object} factor
+ * @returns {Object} {min, max}
+ */
+function getRange(factor) {
+  const { label, levels, min, max } = factor;
+  if (Array.isArray(levels) && levels.length) {
+    return { min: Math.min(...levels), max: Math.max(...levels) };
+  }
+  if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+    throw new Error(`The range of concentrations of ${label} is not defined`);
+  }
+  return { min, max };
+}
+
+function fromCoded(value, range) {
+  const { min, max } = range;
+  return (min + max) / 2 + (value * (max - min)) / 2;
+}
+
+/**
+ * All the combinations of the levels of the factors, the first factor changes the fastest (standard order)
+ * @param {Array} levels - Levels of each factor
+ * @returns {Array}
+ */
+function getCombinations(levels) {
+  let combinations = [[]];
+  for (let factorLevels of levels) {
+    const next = [];
+    for (let level of factorLevels) {
+      for (let combination of combinations) {
+        next.push([...combination, level]);
+      }
+    }
+    combinations = next;
+  }
+  return combinations;
+}
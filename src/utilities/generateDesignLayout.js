@@ -0,0 +1,126 @@
+import { generateDesign } from './generateDesign';
+
+/**
+ * Returns the reagents of each well for the runs of a design of experiments and the design table linking the wells to the runs
+ * @param {Array} wells - Wells of the plates with their position
+ * @param {object} [options={}] - Options of generateDesign (type, nbLevels, generators, nbRuns, seed, alpha, nbCenterPoints)
+ * @param {Array} options.factors - Reagents as objects ({label, unit...}) with the range of concentrations (min, max) or the concentrations of their levels (levels)
+ * @param {number} [options.nbReplicates=1] - Number of times the design is repeated
+ * @param {boolean} [options.blocking=true] - Each replicate of the design is placed on a single plate, the replicates go to the plates in turn, otherwise the runs fill the plates one after the other
+ * @param {boolean|number} [options.avoidEdges=false] - Leaves empty the wells on the border of the plates, a number gives the number of rows and columns from the border left empty
+ * @return {Object} {reagents, design, runs} - reagents has the same length as wells and the unused wells get null concentrations, design contains {id, plate, label, block, run, replicate, concentrations, coded}
+ */
+export function generateDesignLayout(wells, options = {}) {
+  const {
+    factors = [],
+    nbReplicates = 1,
+    blocking = true,
+    avoidEdges = false,
+  } = options;
+  const runs = generateDesign(factors, options);
+  const depth = avoidEdges === true ? 1 : Number(avoidEdges) || 0;
+  const plates = getAvailableWells(wells, depth);
+
+  const placed = [];
+  if (blocking) {
+    const needed = plates.map(() => 0);
+    for (let replicate = 0; replicate < nbReplicates; replicate++) {
+      needed[replicate % plates.length] += runs.length;
+    }
+    plates.forEach((plate, index) => {
+      if (needed[index] > plate.wells.length) {
+        throw new Error(
+          `The plate ${plate.plate} needs ${needed[index]} wells but has ${plate.wells.length} available`,
+        );
+      }
+    });
+    const used = plates.map(() => 0);
+    for (let replicate = 0; replicate < nbReplicates; replicate++) {
+      const index = replicate % plates.length;
+      for (let run of runs) {
+        const well = plates[index].wells[used[index]++];
+        placed.push({ well, block: plates[index].plate, run, replicate });
+      }
+    }
+  } else {
+    const available = plates.flatMap((plate) => plate.wells);
+    if (runs.length * nbReplicates > available.length) {
+      throw new Error(
+        `The design needs ${
+          runs.length * nbReplicates
+        } wells but the plates have ${available.length} available`,
+      );
+    }
+    for (let replicate = 0; replicate < nbReplicates; replicate++) {
+      for (let run of runs) {
+        const well = available[placed.length];
+        placed.push({ well, block: null, run, replicate });
+      }
+    }
+  }
+
+  const assignments = {};
+  const design = placed.map(({ well, block, run, replicate }) => {
+    assignments[well.id] = run;
+    return {
+      id: well.id,
+      plate: well.plate,
+      label: well.label,
+      block,
+      run: run.run,
+      replicate: replicate + 1,
+      concentrations: run.concentrations,
+      coded: run.coded,
+    };
+  });
+
+  const reagents = wells.map((well) =>
+    factors.map((factor) => {
+      const properties = { ...factor };
+      delete properties.min;
+      delete properties.max;
+      delete properties.levels;
+      const run = assignments[well.id];
+      return {
+        ...properties,
+        concentration: run ? run.concentrations[factor.label] : null,
+      };
+    }),
+  );
+  return { reagents, design, runs };
+}
+
+/**
+ * Returns the wells of each plate that are not on the edge
+ * @param {Array} wells
+ * @param {number} depth - Number of rows and columns from the border considered as edge
+ * @returns {Array} {plate, wells} of each plate
+ */
+function getAvailableWells(wells, depth) {
+  const plates = [];
+  for (let well of wells) {
+    if (!well.position) {
+      throw new Error(`The position of the well ${well.id} is not defined`);
+    }
+    let plate = plates.find((item) => item.plate === well.plate);
+    if (!plate) {
+      plate = { plate: well.plate, wells: [] };
+      plates.push(plate);
+    }
+    plate.wells.push(well);
+  }
+  for (let plate of plates) {
+    const lastRow = Math.max(...plate.wells.map((well) => well.position.row));
+    const lastColumn = Math.max(
+      ...plate.wells.map((well) => well.position.column),
+    );
+    plate.wells = plate.wells.filter(
+      ({ position: { row, column } }) =>
+        row >= depth &&
+        column >= depth &&
+        row <= lastRow - depth &&
+        column <= lastColumn - depth,
+    );
+  }
+  return plates;
+}
@@ -0,0 +1,133 @@
+/**
+ * Returns the reagents and the category of each well for serial dilutions of the reagents,
+ * each replicate of each reagent fills a line (row or column) of the plate followed by the control wells
+ * @param {Array} wells - Wells of the plate with their position
+ * @param {object} [options={}]
+ * @param {Array} [options.reagents=[]] - Reagents as objects ({label, unit...}), topConcentration can be defined per reagent
+ * @param {number} [options.topConcentration] - Highest concentration of the series
+ * @param {number} [options.dilutionFactor=2] - Ratio between consecutive concentrations
+ * @param {number} [options.nbPoints=8] - Number of concentrations of each series
+ * @param {number} [options.nbReplicates=1] - Number of series of each reagent
+ * @param {string|Array} [options.orientation='rows'] - 'rows' when the series runs along a row, 'columns' otherwise (an array sets it per plate)
+ * @param {Array} [options.controls=[]] - Wells reserved after each series as objects ({category, concentrations}), concentrations maps reagent labels to values (0 by default)
+ * @return {Object} {reagents, categories} - Arrays with the same length as wells, unused wells get null concentrations
+ */
+export function generateDilutionLayout(wells, options = {}) {
+  const {
+    reagents = [],
+    topConcentration,
+    dilutionFactor = 2,
+    nbPoints = 8,
+    nbReplicates = 1,
+    orientation = 'rows',
+    controls = [],
+  } = options;
+
+  if (!reagents.length) throw new Error('At least one reagent is needed');
+  if (!(dilutionFactor > 0)) {
+    throw new Error('The dilution factor must be a positive number');
+  }
+
+  const series = [];
+  for (let reagent of reagents) {
+    const top =
+      reagent.topConcentration === undefined
+        ? topConcentration
+        : reagent.topConcentration;
+    if (typeof top !== 'number') {
+      throw new Error(`Top concentration not defined for ${reagent.label}`);
+    }
+    for (let replicate = 0; replicate < nbReplicates; replicate++) {
+      series.push({ label: reagent.label, top });
+    }
+  }
+
+  const lines = getLines(wells, orientation);
+  const lineLength = nbPoints + controls.length;
+  const tooShort = lines.find((line) => line.length < lineLength);
+  if (tooShort) {
+    throw new Error(
+      `Each series needs ${lineLength} wells but the line of ${tooShort[0].id} has ${tooShort.length}`,
+    );
+  }
+  if (series.length > lines.length) {
+    throw new Error(
+      `The layout needs ${series.length} lines but the plates have ${lines.length}`,
+    );
+  }
+
+  const assignments = {};
+  for (let i = 0; i < series.length; i++) {
+    const { label, top } = series[i];
+    for (let j = 0; j < lineLength; j++) {
+      const concentrations = {};
+      let category = null;
+      if (j < nbPoints) {
+        concentrations[label] = top / Math.pow(dilutionFactor, j);
+      } else {
+        const control = controls[j - nbPoints];
+        Object.assign(concentrations, control.concentrations);
+        category = control.category;
+      }
+      assignments[lines[i][j].id] = { concentrations, category };
+    }
+  }
+
+  const layout = { reagents: [], categories: [] };
+  for (let well of wells) {
+    const assignment = assignments[well.id];
+    layout.categories.push(assignment ? assignment.category : null);
+    layout.reagents.push(
+      reagents.map((reagent) => {
+        const properties = { ...reagent };
+        delete properties.topConcentration;
+        let concentration = null;
+        if (assignment) {
+          concentration = assignment.concentrations[reagent.label] || 0;
+        }
+        return { ...properties, concentration };
+      }),
+    );
+  }
+  return layout;
+}
+
+/**
+ * Returns the wells grouped by rows or columns for each plate
+ * @param {Array} wells
+ * @param {string|Array} orientation
+ * @returns {Array}
+ */
+function getLines(wells, orientation) {
+  const plates = [];
+  for (let well of wells) {
+    if (!well.position) {
+      throw new Error(`The position of the well ${well.id} is not defined`);
+    }
+    if (!plates.includes(well.plate)) plates.push(well.plate);
+  }
+  const lines = [];
+  for (let i = 0; i < plates.length; i++) {
+    const direction = Array.isArray(orientation) ? orientation[i] : orientation;
+    if (direction !== 'rows' && direction !== 'columns') {
+      throw new Error(
+        `Orientation must be 'rows' or 'columns', received ${direction}`,
+      );
+    }
+    const [line, place] =
+      direction === 'rows' ? ['row', 'column'] : ['column', 'row'];
+    const plateLines = [];
+    for (let well of wells.filter((item) => item.plate === plates[i])) {
+      const index = well.position[line];
+      if (!plateLines[index]) plateLines[index] = [];
+      plateLines[index].push(well);
+    }
+    for (let plateLine of plateLines) {
+      if (!plateLine) continue;
+      lines.push(
+        plateLine.sort((a, b) => a.position[place] - b.position[place]),
+      );
+    }
+  }
+  return lines;
+}
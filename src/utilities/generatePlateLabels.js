@@ -1,3 +1,6 @@
+import { axisLabelToIndex, indexToLetters } from './axisLabels';
+import { resolvePlateFormat } from './plateFormats';
+
 /**
  * Returns an array of labels as strings
  * @param {object} [options={}]
@@ -7,27 +10,28 @@
  * @param {number} [options.initPlate] - It referes the plate where the experiment began.
  * @param {boolean} [options.accountPreviousWells] - For plates where the well label is a number, this option allows to take in count previous labels in the next plate.
  * @param {string} [options.direction] - For plates where the well label is a number, this option sets the direction in which this will increase.
- * @return {Object} {labelsList, axis }
+ * @param {number} [options.plateFormat] - Number of wells of a standard plate (6, 12, 24, 48, 96, 384 or 1536), it replaces nbRows and nbColumns.
+ * @param {boolean} [options.zeroPad] - For plates where the well label combines letters and numbers, pads the numbers with zeros (A01).
+ * @return {Object} {labelsList, axis, positions} - positions contains the row and column indexes of each label
  */
 
 export function generatePlateLabels(options = {}) {
   let {
-    nbRows = 'h',
-    nbColumns = '12',
     nbPlates = 1,
     initPlate = 0,
     accountPreviousWells = false,
     direction = 'horizontal',
+    zeroPad = false,
   } = options;
+  const { nbRows, nbColumns } = resolvePlateFormat(options);
 
   let entries = Object.entries({ rows: nbRows, columns: nbColumns });
 
   for (let i = 0; i < entries.length; i++) {
     if (Number.isNaN(parseInt(entries[i][1], 10))) {
-      let label = entries[i][1].toUpperCase().charCodeAt(0);
-      let axis = new Array(label - 64)
+      let axis = new Array(axisLabelToIndex(entries[i][1]) + 1)
         .fill()
-        .map((item, index) => String.fromCharCode(index + 65));
+        .map((item, index) => indexToLetters(index));
       entries[i][1] = axis;
     } else {
       let axis = new Array(parseInt(entries[i][1], 10))
@@ -37,6 +41,7 @@ export function generatePlateLabels(options = {}) {
     }
   }
   let labelsList = [];
+  let positions = [];
   let [rows, columns] = [entries[0][1], entries[1][1]];
   if (Number.isInteger(rows[0]) && Number.isInteger(columns[0])) {
     let rod = direction === 'vertical' ? rows : columns;
@@ -52,20 +57,25 @@ export function generatePlateLabels(options = {}) {
           row[j] = `${u + 1}-${
             factor + (columnIndex * rod.length + rod[rowIndex])
           }`;
+          positions.push({ row: i, column: j });
         }
         labelsList.push(...row);
       }
     }
   } else {
+    const numbers = rows.concat(columns).filter(Number.isInteger);
+    const width = zeroPad ? `${Math.max(...numbers)}`.length : 0;
+    const pad = (value) => `${value}`.padStart(width, '0');
     for (let u = initPlate; u < initPlate + nbPlates; u++) {
       for (let i = 0; i < rows.length; i++) {
         let row = [];
         for (let j = 0; j < columns.length; j++) {
           let element =
             typeof rows[i] === 'string'
-              ? rows[i] + columns[j]
-              : columns[j] + rows[i];
+              ? rows[i] + pad(columns[j])
+              : columns[j] + pad(rows[i]);
           row[j] = `${u + 1}-${element}`;
+          positions.push({ row: i, column: j });
         }
         labelsList.push(...row);
       }
@@ -74,5 +84,6 @@ export function generatePlateLabels(options = {}) {
   return {
     labelsList: labelsList,
     axis: entries,
+    positions: positions,
   };
 }
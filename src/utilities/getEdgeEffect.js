@@ -0,0 +1,52 @@
+import { compareGroups } from './compareGroups';
+
+/**
+ * Compares the values of the wells on the border of a plate to the interior wells
+ * @param {Array} wells - Wells of one plate with their position
+ * @param {object} [options={}]
+ * @param {string} options.key - Analysis key (analysis.processed) of the compared values
+ * @param {number} [options.depth=1] - Number of rows and columns from the border considered as edge
+ * @return {Object} {edge, interior, difference, ratio, statistic, pValue} - edge and interior contain {n, mean, sd}, the difference (edge minus interior) is tested with a Welch t-test
+ */
+export function getEdgeEffect(wells, options = {}) {
+  const { key, depth = 1 } = options;
+  const nbRows = Math.max(...wells.map((well) => well.position.row)) + 1;
+  const nbColumns = Math.max(...wells.map((well) => well.position.column)) + 1;
+  const isEdge = ({ row, column }) =>
+    row < depth ||
+    column < depth ||
+    row >= nbRows - depth ||
+    column >= nbColumns - depth;
+  const edge = [];
+  const interior = [];
+  for (let well of wells) {
+    const value = well.analysis.processed[key];
+    if (!Number.isFinite(value)) continue;
+    (isEdge(well.position) ? edge : interior).push(value);
+  }
+  if (edge.length < 2 || interior.length < 2) {
+    throw new Error(
+      `At least two edge and two interior wells with ${key} are needed`,
+    );
+  }
+  const { groups, comparisons } = compareGroups(
+    [
+      { id: 'interior', values: interior },
+      { id: 'edge', values: edge },
+    ],
+    { test: 'welch' },
+  );
+  const [interiorSummary, edgeSummary] = groups.map(({ n, mean, sd }) => ({
+    n,
+    mean,
+    sd,
+  }));
+  return {
+    edge: edgeSummary,
+    interior: interiorSummary,
+    difference: edgeSummary.mean - interiorSummary.mean,
+    ratio: edgeSummary.mean / interiorSummary.mean,
+    statistic: comparisons[0].statistic,
+    pValue: comparisons[0].pValue,
+  };
+}
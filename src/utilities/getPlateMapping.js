@@ -0,0 +1,70 @@
+import { generatePlateLabels } from './generatePlateLabels';
+
+const layouts = ['quadrant', 'block'];
+
+/**
+ * Describes how several plates of a small format are arranged in a plate of a larger format
+ * @param {object} small - Options of the small plates (nbRows and nbColumns or plateFormat)
+ * @param {object} large - Options of the large plates (nbRows and nbColumns or plateFormat)
+ * @param {string} [layout='quadrant'] - 'quadrant' (the small plates are interleaved, A1 of four 96 well plates are A1, A2, B1 and B2 of the 384 well plate) or 'block' (each small plate fills a contiguous block of the large plate)
+ * @return {Object} {nbPlates, toLarge, toSmall} - Number of small plates in a large plate and functions that convert the positions, toLarge(index, position) returns the position in the large plate of a well of the small plate index, toSmall(position) returns {index, position}
+ */
+export function getPlateMapping(small, large, layout = 'quadrant') {
+  if (!layouts.includes(layout)) {
+    throw new Error(
+      `Unknown layout ${layout}, expected one of: ${layouts.join(', ')}`,
+    );
+  }
+  const [nbRows, nbColumns] = getDimensions(small);
+  const [nbLargeRows, nbLargeColumns] = getDimensions(large);
+  const [rowFactor, columnFactor] = [
+    nbLargeRows / nbRows,
+    nbLargeColumns / nbColumns,
+  ];
+  if (!Number.isInteger(rowFactor) || !Number.isInteger(columnFactor)) {
+    throw new Error(
+      `A ${nbLargeRows}x${nbLargeColumns} plate can not be divided into ${nbRows}x${nbColumns} plates`,
+    );
+  }
+  const nbPlates = rowFactor * columnFactor;
+  if (layout === 'quadrant') {
+    return {
+      nbPlates,
+      toLarge: (index, { row, column }) => ({
+        row: row * rowFactor + Math.floor(index / columnFactor),
+        column: column * columnFactor + (index % columnFactor),
+      }),
+      toSmall: ({ row, column }) => ({
+        index: (row % rowFactor) * columnFactor + (column % columnFactor),
+        position: {
+          row: Math.floor(row / rowFactor),
+          column: Math.floor(column / columnFactor),
+        },
+      }),
+    };
+  }
+  return {
+    nbPlates,
+    toLarge: (index, { row, column }) => ({
+      row: Math.floor(index / columnFactor) * nbRows + row,
+      column: (index % columnFactor) * nbColumns + column,
+    }),
+    toSmall: ({ row, column }) => ({
+      index:
+        Math.floor(row / nbRows) * columnFactor +
+        Math.floor(column / nbColumns),
+      position: { row: row % nbRows, column: column % nbColumns },
+    }),
+  };
+}
+
+/**
+ * Number of rows and columns of a plate
+ * @param {object} options
+ * @returns {Array}
+ */
+function getDimensions(options) {
+  return generatePlateLabels({ ...options, nbPlates: 1 }).axis.map(
+    (entry) => entry[1].length,
+  );
+}
@@ -0,0 +1,87 @@
+import mean from 'ml-array-mean';
+import standardDeviation from 'ml-array-standard-deviation';
+
+/**
+ * Returns the quality metrics of a plate from its control wells
+ * @param {Array} wells - Wells of one plate
+ * @param {object} options
+ * @param {string} options.key - Analysis key (analysis.processed) of the measured signal
+ * @param {string} [options.positive='positive'] - Category (metadata.category) of the positive controls
+ * @param {string} [options.negative='negative'] - Category (metadata.category) of the negative controls
+ * @param {string} [options.sample=null] - Category of the sample wells used for the Z-factor
+ * @param {object} [options.thresholds={}] - Minimum zPrime (0.5), signalWindow (2) and signalToBackground (none) and maximum cv in % (20) to pass
+ * @return {Object} {positive, negative, samples, zPrime, zFactor, signalToBackground, signalWindow, pass, failures}
+ */
+export function getQualityMetrics(wells, options = {}) {
+  const {
+    key,
+    positive = 'positive',
+    negative = 'negative',
+    sample = null,
+    thresholds = {},
+  } = options;
+  const {
+    zPrime: minZPrime = 0.5,
+    signalWindow: minSignalWindow = 2,
+    signalToBackground: minSignalToBackground,
+    cv: maxCV = 20,
+  } = thresholds;
+
+  const positives = getStatistics(wells, key, positive);
+  const negatives = getStatistics(wells, key, negative);
+  const samples = getStatistics(wells, key, sample);
+  const difference = Math.abs(positives.mean - negatives.mean);
+
+  const metrics = {
+    positive: positives,
+    negative: negatives,
+    samples,
+    zPrime: 1 - (3 * (positives.sd + negatives.sd)) / difference,
+    zFactor:
+      1 -
+      (3 * (samples.sd + negatives.sd)) /
+        Math.abs(samples.mean - negatives.mean),
+    signalToBackground: positives.mean / negatives.mean,
+    signalWindow:
+      (difference - 3 * (positives.sd + negatives.sd)) / positives.sd,
+  };
+
+  const failures = [];
+  if (!(metrics.zPrime >= minZPrime)) failures.push('zPrime');
+  if (!(metrics.signalWindow >= minSignalWindow)) {
+    failures.push('signalWindow');
+  }
+  if (
+    minSignalToBackground !== undefined &&
+    !(metrics.signalToBackground >= minSignalToBackground)
+  ) {
+    failures.push('signalToBackground');
+  }
+  if (!(Math.abs(positives.cv) <= maxCV)) failures.push('positiveCV');
+  if (!(Math.abs(negatives.cv) <= maxCV)) failures.push('negativeCV');
+
+  return { ...metrics, pass: failures.length === 0, failures };
+}
+
+/**
+ * Mean, standard deviation and coefficient of variation (%) of the wells of a category
+ * @param {Array} wells
+ * @param {string} key
+ * @param {string} category
+ * @returns {Object} {n, mean, sd, cv}
+ */
+function getStatistics(wells, key, category) {
+  const values = wells
+    .filter((well) => well.metadata.category === category)
+    .map((well) => well.analysis.processed[key])
+    .filter((value) => Number.isFinite(value));
+  if (values.length < 2) {
+    return { n: values.length, mean: NaN, sd: NaN, cv: NaN };
+  }
+  const result = {
+    n: values.length,
+    mean: mean(values),
+    sd: standardDeviation(values),
+  };
+  return { ...result, cv: (100 * result.sd) / result.mean };
+}
@@ -1,26 +1,84 @@
+import { toBaseUnit } from './units';
+
 /**
  * Returns an array of objects containing IDs of the wells with the same reagents and the corresponding key reagents
+ * @param {Array} wells
+ * @param {object} [grouping={}]
+ * @param {Array} [grouping.reagents] - Labels of the reagents compared to group the wells (all the reagents by default, compared by position)
+ * @param {number} [grouping.tolerance=0] - Largest relative difference between concentrations considered as equal, the concentrations are compared in the same unit (1 mM and 1000 µM are equal)
+ * @param {string|Array} [grouping.metadata=[]] - Keys of the metadata that must also be equal (group, category...)
+ * @param {Function} [grouping.key] - Function returning the key of a well, wells with the same key are grouped and the other options are ignored
  * @returns {Array}
  */
-export function getSamplesIDs(wells) {
-  let sampleWells = [];
-  let sampleIDs = [];
-  for (let i = 0; i < wells.length; i++) {
-    let replicated = JSON.stringify(
-      wells[i].reagents.map((item) => item.concentration),
+export function getSamplesIDs(wells, grouping = {}) {
+  const { reagents, tolerance = 0, key } = grouping;
+  const metadata = [].concat(grouping.metadata || []);
+  const getFeatures = key
+    ? (well) => ({ key: JSON.stringify(key(well)), concentrations: [] })
+    : (well) => {
+        const concentrations = getConcentrations(well, reagents);
+        return {
+          key: JSON.stringify([
+            metadata.map((name) => well.metadata[name]),
+            concentrations.map((item) => item.unit),
+          ]),
+          concentrations: concentrations.map((item) => item.value),
+        };
+      };
+
+  const groups = [];
+  for (let well of wells) {
+    const features = getFeatures(well);
+    const group = groups.find((item) =>
+      isSameSample(item.features, features, tolerance),
     );
-    let feature = sampleWells.find((element) => element === replicated);
-    if (feature + 1) continue;
-    sampleWells.push(replicated);
-    const replicates = wells
-      .filter(
-        (item) =>
-          JSON.stringify(
-            item.reagents.map((element) => element.concentration),
-          ) === replicated,
-      )
-      .map((item) => item.id);
-    sampleIDs.push(replicates);
+    if (group) {
+      group.ids.push(well.id);
+    } else {
+      groups.push({ features, ids: [well.id] });
+    }
   }
-  return sampleIDs;
+  return groups.map((group) => group.ids);
+}
+
+/**
+ * Concentrations of the reagents in the base unit of their dimension, found by label when the labels are defined
+ * @param {Object} well
+ * @param {Array} [labels]
+ * @returns {Array} Objects {value, unit}
+ */
+function getConcentrations(well, labels) {
+  const reagents = labels
+    ? labels.map((label) => well.reagents.find((item) => item.label === label))
+    : well.reagents;
+  return reagents.map((reagent) =>
+    reagent
+      ? toBaseUnit(reagent.concentration, reagent.unit)
+      : { value: undefined, unit: undefined },
+  );
+}
+
+/**
+ * @param {Object} first - Key and concentrations of a well
+ * @param {Object} second - Key and concentrations of another well
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+function isSameSample(first, second, tolerance) {
+  if (
+    first.key !== second.key ||
+    first.concentrations.length !== second.concentrations.length
+  ) {
+    return false;
+  }
+  return first.concentrations.every((value, index) => {
+    const other = second.concentrations[index];
+    if (!Number.isFinite(value) || !Number.isFinite(other)) {
+      return JSON.stringify(value) === JSON.stringify(other);
+    }
+    return (
+      Math.abs(value - other) <=
+      tolerance * Math.max(Math.abs(value), Math.abs(other))
+    );
+  });
 }
@@ -0,0 +1,131 @@
+import { convertConcentration } from './units';
+
+/**
+ * Computes the volume of stock of each reagent to dispense in each well to reach its concentration in the final volume
+ * @param {Array} wells
+ * @param {object} [options={}]
+ * @param {Array} options.stocks - Stock solutions as objects {label, concentration, unit, plate, well}, a reagent can have several stocks and the most concentrated one whose volume is within the limits is used, the concentrations are converted to the unit of the stock (with the molar mass of the reagent or of the stock between molar and mass concentrations)
+ * @param {number} options.finalVolume - Volume of each well after the transfers
+ * @param {number} [options.minVolume=0] - Smallest volume that can be transferred
+ * @param {number} [options.maxVolume=finalVolume] - Largest volume of a transfer
+ * @param {number} [options.resolution] - The volumes are rounded to a multiple of the resolution (2.5 nL for acoustic dispensers)
+ * @param {object} [options.diluent] - Source {plate, well} of the diluent that completes the final volume, not dispensed by default
+ * @return {Object} {transfers, errors} - transfers contain {id, reagent, volume, sourcePlate, sourceWell, destinationPlate, destinationWell}, errors contain {id, reagent, message} and the wells with errors have no transfers
+ */
+export function getTransferVolumes(wells, options = {}) {
+  const {
+    stocks = [],
+    finalVolume,
+    minVolume = 0,
+    maxVolume = finalVolume,
+    resolution,
+    diluent,
+  } = options;
+  if (!(finalVolume > 0)) {
+    throw new Error('The final volume must be a positive number');
+  }
+  const round = (volume) =>
+    resolution ? Math.round(volume / resolution) * resolution : volume;
+  const result = { transfers: [], errors: [] };
+  for (let well of wells) {
+    const transfers = [];
+    const errors = [];
+    const addError = (reagent, message) =>
+      errors.push({ id: well.id, reagent, message });
+    for (let reagent of well.reagents) {
+      const { label, concentration } = reagent;
+      if (!concentration) continue;
+      const candidates = stocks.filter((stock) => stock.label === label);
+      if (!candidates.length) {
+        addError(label, `No stock of ${label}`);
+        continue;
+      }
+      const compatible = candidates
+        .map((item) => ({
+          ...item,
+          needed: convertToStockUnit(reagent, item),
+        }))
+        .filter((item) => item.needed !== null);
+      if (!compatible.length) {
+        addError(
+          label,
+          `The concentration of ${label} can not be converted to the unit of its stocks`,
+        );
+        continue;
+      }
+      const stock = compatible
+        .map((item) => ({
+          ...item,
+          volume: round((item.needed * finalVolume) / item.concentration),
+        }))
+        .filter(
+          (item) =>
+            item.volume > 0 &&
+            item.volume >= minVolume &&
+            item.volume <= maxVolume,
+        )
+        .sort((a, b) => a.volume - b.volume)[0];
+      if (!stock) {
+        addError(
+          label,
+          `The concentration ${concentration} of ${label} is not reachable with volumes between ${minVolume} and ${maxVolume}`,
+        );
+        continue;
+      }
+      transfers.push(getTransfer(well, label, stock.volume, stock));
+    }
+    const total = transfers.reduce((sum, item) => sum + item.volume, 0);
+    if (total > finalVolume) {
+      addError(
+        null,
+        `The transfers need ${total}, more than the final volume ${finalVolume}`,
+      );
+    } else if (diluent && total < finalVolume) {
+      transfers.push(
+        getTransfer(well, 'diluent', round(finalVolume - total), diluent),
+      );
+    }
+    if (errors.length) {
+      result.errors.push(...errors);
+    } else {
+      result.transfers.push(...transfers);
+    }
+  }
+  return result;
+}
+
+/**
+ * Concentration of the reagent in the unit of the stock
+ * @param {Object} reagent
+ * @param {Object} stock
+ * @returns {number|null} null when the units can not be converted
+ */
+function convertToStockUnit(reagent, stock) {
+  if (reagent.unit === undefined || stock.unit === undefined) {
+    return reagent.concentration;
+  }
+  try {
+    return convertConcentration(
+      reagent.concentration,
+      reagent.unit,
+      stock.unit,
+      {
+        molarMass: reagent.molarMass || stock.molarMass,
+      },
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+function getTransfer(well, reagent, volume, source) {
+  return {
+    id: well.id,
+    reagent,
+    volume,
+    sourcePlate: source.plate,
+    sourceWell: source.well,
+    destinationPlate: well.plate,
+    destinationWell: well.label,
+  };
+}
@@ -0,0 +1,35 @@
+/**
+ * Sigmoidal growth models in the parametrization of Zwietering et al. (1990),
+ * y = ln(OD / OD0) as a function of time with the parameters
+ * A (asymptote), mu (maximum specific growth rate), lambda (lag time) and nu (shape, Richards only)
+ */
+export const growthModels = {
+  logistic: {
+    parameters: ['A', 'mu', 'lambda'],
+    fn:
+      ([A, mu, lambda]) =>
+      (t) =>
+        A / (1 + Math.exp(((4 * mu) / A) * (lambda - t) + 2)),
+  },
+  gompertz: {
+    parameters: ['A', 'mu', 'lambda'],
+    fn:
+      ([A, mu, lambda]) =>
+      (t) =>
+        A * Math.exp(-Math.exp(((mu * Math.E) / A) * (lambda - t) + 1)),
+  },
+  richards: {
+    parameters: ['A', 'mu', 'lambda', 'nu'],
+    fn:
+      ([A, mu, lambda, nu]) =>
+      (t) =>
+        A *
+        Math.pow(
+          1 +
+            nu *
+              Math.exp(1 + nu) *
+              Math.exp((mu / A) * Math.pow(1 + nu, 1 + 1 / nu) * (lambda - t)),
+          -1 / nu,
+        ),
+  },
+};
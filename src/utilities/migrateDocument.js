@@ -0,0 +1,160 @@
+import { generatePlateLabels } from './generatePlateLabels';
+
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Each migration transforms a document of version index into a document of version index + 1
+ */
+const migrations = [
+  // documents serialized by JSON.stringify before toJSON existed: { typeOfPlate, wells, samples },
+  // the wells have no position and the nulls of numeric arrays and analysis values were NaN
+  (document) => {
+    const options = inferOptions(document);
+    const { labelsList, positions } = generatePlateLabels(options);
+    return {
+      ...document,
+      schemaVersion: 1,
+      options,
+      metadata: document.metadata || {},
+      wells: document.wells.map((well) => {
+        const index = labelsList.indexOf(`${well.plate}-${well.label}`);
+        return markLegacyNumbers({
+          ...well,
+          position: index === -1 ? null : positions[index],
+        });
+      }),
+      samples: (document.samples || []).map((sample) =>
+        markLegacyNumbers(sample),
+      ),
+    };
+  },
+];
+
+/**
+ * Brings a serialized WellPlateData document to the current schema version
+ * @param {Object} document
+ * @returns {Object}
+ */
+export function migrateDocument(document) {
+  const { schemaVersion = 0 } = document;
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Schema version ${schemaVersion} is newer than the supported version ${SCHEMA_VERSION}`,
+    );
+  }
+  for (let version = schemaVersion; version < SCHEMA_VERSION; version++) {
+    document = migrations[version](document);
+  }
+  return document;
+}
+
+/**
+ * Replaces the numbers that JSON can not represent (NaN, Infinity and -Infinity) by markers { $number: 'NaN' }
+ * @param {any} value
+ * @returns {any} Copy of the value that can be serialized without loss
+ */
+export function encodeNumbers(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : { $number: `${value}` };
+  }
+  if (Array.isArray(value)) return value.map((item) => encodeNumbers(item));
+  if (value === null || typeof value !== 'object') return value;
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = encodeNumbers(item);
+  }
+  return result;
+}
+
+/**
+ * Restores the numbers replaced by markers in encodeNumbers, the other values (null included) are not changed
+ * @param {any} value - Value parsed from JSON
+ * @returns {any}
+ */
+export function restoreNumbers(value) {
+  if (Array.isArray(value)) return value.map((item) => restoreNumbers(item));
+  if (value === null || typeof value !== 'object') return value;
+  if (isNumberMarker(value)) return Number(value.$number);
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = restoreNumbers(item);
+  }
+  return result;
+}
+
+function isNumberMarker(value) {
+  const keys = Object.keys(value);
+  return keys.length === 1 && keys[0] === '$number';
+}
+
+/**
+ * Marks as NaN the nulls of numeric arrays and of analysis values of documents serialized before the markers existed
+ * @param {Object} object - Well or sample
+ * @param {Boolean} [isAnalysis=false] - Indicates that the object is the analysis of a well or sample
+ * @returns {Object}
+ */
+function markLegacyNumbers(object, isAnalysis = false) {
+  const nan = { $number: 'NaN' };
+  if (Array.isArray(object)) {
+    const isNumeric =
+      object.some((item) => typeof item === 'number') &&
+      object.every((item) => item === null || typeof item === 'number');
+    return isNumeric
+      ? object.map((item) => (item === null ? nan : item))
+      : object.map((item) => markLegacyNumbers(item));
+  }
+  if (object === null || typeof object !== 'object') return object;
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (
+      isAnalysis &&
+      ['raw', 'processed'].includes(key) &&
+      value !== null &&
+      typeof value === 'object' &&
+      !Array.isArray(value)
+    ) {
+      result[key] = {};
+      for (const [name, item] of Object.entries(value)) {
+        result[key][name] = item === null ? nan : markLegacyNumbers(item);
+      }
+    } else {
+      result[key] = markLegacyNumbers(value, key === 'analysis');
+    }
+  }
+  return result;
+}
+
+/**
+ * Deduces the options used to generate the plate from the type of plate and the wells
+ * @param {Object} document
+ * @returns {Object}
+ */
+function inferOptions(document) {
+  const { typeOfPlate = 'Hx12', wells = [] } = document;
+  const [nbRows, nbColumns] = typeOfPlate.split('x');
+  const plates = wells.map((well) => parseInt(well.plate, 10));
+  const firstPlate = plates.length ? Math.min(...plates) : 1;
+  const lastPlate = plates.length ? Math.max(...plates) : 1;
+  const options = {
+    nbRows,
+    nbColumns,
+    nbPlates: lastPlate - firstPlate + 1,
+    initPlate: firstPlate - 1,
+    accountPreviousWells: false,
+    direction: 'horizontal',
+  };
+  if (Number.isNaN(parseInt(wells[0] && wells[0].label, 10))) return options;
+  const firstWells = wells.filter(
+    (well) => parseInt(well.plate, 10) === firstPlate,
+  );
+  if (firstWells.length > 1 && firstWells[1].label !== '2') {
+    options.direction = 'vertical';
+  }
+  const secondWell = wells.find(
+    (well) => parseInt(well.plate, 10) === firstPlate + 1,
+  );
+  if (secondWell && secondWell.label !== firstWells[0].label) {
+    options.accountPreviousWells = true;
+  }
+  return options;
+}
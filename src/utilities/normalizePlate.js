@@ -0,0 +1,162 @@
+import median from 'ml-array-median';
+import { Matrix, solve } from 'ml-matrix';
+
+const methods = ['bScore', 'rowColumn', 'loess'];
+
+/**
+ * Corrects the row, column and surface effects of the values of the wells of a plate
+ * @param {Array} wells - Wells of one plate with their position
+ * @param {object} [options={}]
+ * @param {string} options.key - Analysis key (analysis.processed) of the corrected values
+ * @param {string} [options.method='bScore'] - 'bScore' (median polish residuals divided by their median absolute deviation, unscaled when it is zero), 'rowColumn' (values minus the row and column medians, the plate median is kept) or 'loess' (values minus a locally weighted linear surface, the plate median is kept)
+ * @param {number} [options.iterations=10] - Largest number of iterations of the median polish
+ * @param {number} [options.span=0.3] - Fraction of the wells used to fit each point of the loess surface
+ * @return {Array} Corrected values in the order of the wells, NaN for the wells without value
+ */
+export function normalizePlate(wells, options = {}) {
+  const { key, method = 'bScore', iterations = 10, span = 0.3 } = options;
+  if (!methods.includes(method)) {
+    throw new Error(
+      `Unknown normalization method ${method}, expected one of: ${methods.join(
+        ', ',
+      )}`,
+    );
+  }
+  const points = [];
+  for (let i = 0; i < wells.length; i++) {
+    const { position, analysis } = wells[i];
+    if (!position) {
+      throw new Error(`The position of the well ${wells[i].id} is not defined`);
+    }
+    const value = analysis.processed[key];
+    if (Number.isFinite(value)) points.push({ index: i, ...position, value });
+  }
+  const result = wells.map(() => NaN);
+  if (!points.length) return result;
+
+  let corrected;
+  switch (method) {
+    case 'bScore': {
+      const residuals = medianPolish(points, iterations);
+      const mad =
+        1.4826 * median(residuals.map((residual) => Math.abs(residual)));
+      corrected = residuals.map((residual) =>
+        mad ? residual / mad : residual,
+      );
+      break;
+    }
+    case 'rowColumn':
+      corrected = rowColumnNormalization(points);
+      break;
+    default: {
+      const level = median(points.map((point) => point.value));
+      const surface = loessSurface(points, span);
+      corrected = points.map(
+        (point, index) => point.value - surface[index] + level,
+      );
+    }
+  }
+  points.forEach((point, index) => {
+    result[point.index] = corrected[index];
+  });
+  return result;
+}
+
+/**
+ * Residuals of Tukey's two-way median polish
+ * @param {Array} points - {row, column, value}
+ * @param {number} iterations
+ * @returns {Array}
+ */
+function medianPolish(points, iterations) {
+  const residuals = points.map((point) => point.value);
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let change = 0;
+    for (let axis of ['row', 'column']) {
+      const medians = getMedians(points, residuals, axis);
+      for (let i = 0; i < points.length; i++) {
+        const effect = medians[points[i][axis]];
+        residuals[i] -= effect;
+        change += Math.abs(effect);
+      }
+    }
+    if (change < 1e-10) break;
+  }
+  return residuals;
+}
+
+/**
+ * Values minus the deviation of their row median and then of their column median from the plate median
+ * @param {Array} points - {row, column, value}
+ * @returns {Array}
+ */
+function rowColumnNormalization(points) {
+  let values = points.map((point) => point.value);
+  for (let axis of ['row', 'column']) {
+    const level = median(values);
+    const medians = getMedians(points, values, axis);
+    values = values.map(
+      (value, index) => value - medians[points[index][axis]] + level,
+    );
+  }
+  return values;
+}
+
+/**
+ * Median of the values of each row or column
+ * @param {Array} points
+ * @param {Array} values
+ * @param {string} axis - 'row' or 'column'
+ * @returns {Object} Medians indexed by the row or column index
+ */
+function getMedians(points, values, axis) {
+  const lines = {};
+  points.forEach((point, index) => {
+    if (!lines[point[axis]]) lines[point[axis]] = [];
+    lines[point[axis]].push(values[index]);
+  });
+  const medians = {};
+  for (let line in lines) medians[line] = median(lines[line]);
+  return medians;
+}
+
+/**
+ * Locally weighted linear regression of the values on the row and column indexes (tricube weights)
+ * @param {Array} points - {row, column, value}
+ * @param {number} span
+ * @returns {Array} Fitted surface at each point
+ */
+function loessSurface(points, span) {
+  const nbNeighbours = Math.min(
+    points.length,
+    Math.max(4, Math.ceil(span * points.length)),
+  );
+  return points.map((point) => {
+    const distances = points.map((other) =>
+      Math.hypot(other.row - point.row, other.column - point.column),
+    );
+    const radius =
+      distances.slice().sort((a, b) => a - b)[nbNeighbours - 1] * 1.0001 || 1;
+    const normal = [
+      [0, 0, 0],
+      [0, 0, 0],
+      [0, 0, 0],
+    ];
+    const right = [0, 0, 0];
+    points.forEach((other, index) => {
+      const weight = Math.pow(1 - Math.pow(distances[index] / radius, 3), 3);
+      if (!(weight > 0)) return;
+      const terms = [1, other.row - point.row, other.column - point.column];
+      for (let i = 0; i < 3; i++) {
+        right[i] += weight * terms[i] * other.value;
+        for (let j = 0; j < 3; j++) {
+          normal[i][j] += weight * terms[i] * terms[j];
+        }
+      }
+    });
+    return solve(new Matrix(normal), Matrix.columnVector(right), true).get(
+      0,
+      0,
+    );
+  });
+}
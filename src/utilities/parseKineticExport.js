@@ -0,0 +1,113 @@
+import { parse } from 'papaparse';
+
+import { normalizeWellLabel } from './axisLabels';
+
+const formats = {
+  generic: {
+    time: /^time/i,
+    temperature: /^(?:t°|temp)/i,
+  },
+  biotek: {
+    time: /^time$/i,
+    temperature: /^t°/i,
+  },
+  tecan: {
+    time: /^time(?:\s*\[s\])?$/i,
+    temperature: /^temp/i,
+  },
+};
+
+/**
+ * Parses the row-per-timepoint / column-per-well exports of plate readers (CSV or TSV)
+ * @param {string} text - Content of the exported file
+ * @param {object} [options={}]
+ * @param {string} [options.format='generic'] - Reader export format ('generic', 'biotek' or 'tecan')
+ * @param {string} [options.separator] - Column separator, it is guessed when not defined
+ * @param {Array} [options.overflowValues=['OVRFLW', 'OVER', 'Overflow', '*']] - Cell contents considered as saturated reads
+ * @param {number} [options.missingValue=NaN] - Value assigned to blank and saturated cells
+ * @return {Object} {time, temperature, columns}
+ */
+export function parseKineticExport(text, options = {}) {
+  const {
+    format = 'generic',
+    separator,
+    overflowValues = ['OVRFLW', 'OVER', 'Overflow', '*'],
+    missingValue = NaN,
+  } = options;
+
+  const patterns = formats[format];
+  if (!patterns) {
+    throw new Error(
+      `Unknown format ${format}, expected one of: ${Object.keys(formats).join(
+        ', ',
+      )}`,
+    );
+  }
+
+  const rows = parse(text.replace(/^\uFEFF/, ''), {
+    delimiter: separator,
+    skipEmptyLines: false,
+  }).data.map((row) => row.map((cell) => `${cell}`.trim()));
+
+  const headerIndex = rows.findIndex(
+    (row) =>
+      row.some((cell) => patterns.time.test(cell)) &&
+      row.some((cell) => normalizeWellLabel(cell) !== null),
+  );
+  if (headerIndex === -1) {
+    throw new Error(`No header with a time column and well labels was found`);
+  }
+
+  const header = rows[headerIndex];
+  const timeIndex = header.findIndex((cell) => patterns.time.test(cell));
+  const temperatureIndex = header.findIndex((cell) =>
+    patterns.temperature.test(cell),
+  );
+
+  const time = [];
+  const temperature = [];
+  const values = header.map(() => []);
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const seconds = parseTime(rows[i][timeIndex]);
+    if (Number.isNaN(seconds)) break;
+    time.push(seconds);
+    if (temperatureIndex !== -1) {
+      temperature.push(parseFloat(rows[i][temperatureIndex]));
+    }
+    for (let j = 0; j < header.length; j++) {
+      const cell = rows[i][j];
+      const value =
+        cell === undefined || cell === '' || overflowValues.includes(cell)
+          ? missingValue
+          : Number(cell);
+      values[j].push(value);
+    }
+  }
+
+  const columns = [];
+  for (let j = 0; j < header.length; j++) {
+    if (j === timeIndex || j === temperatureIndex || header[j] === '') {
+      continue;
+    }
+    columns.push({ header: header[j], y: values[j] });
+  }
+
+  return {
+    time,
+    temperature: temperatureIndex === -1 ? null : temperature,
+    columns,
+  };
+}
+
+/**
+ * Converts hh:mm:ss, mm:ss or a plain number into seconds
+ * @param {string} value
+ * @returns {number}
+ */
+function parseTime(value) {
+  if (value === undefined || value === '') return NaN;
+  if (!value.includes(':')) return Number(value);
+  return value
+    .split(':')
+    .reduce((seconds, item) => seconds * 60 + Number(item), 0);
+}
@@ -0,0 +1,177 @@
+import { parse } from 'papaparse';
+
+import { axisLabelToIndex, indexToLetters } from './axisLabels';
+import { plateFormats } from './plateFormats';
+import { canonicalUnits, normalizeReagent } from './units';
+
+/**
+ * Parses a template with one line per well containing its row, its column, optionally its plate and the concentration of each reagent
+ * @param {string} text - Content of the CSV or TSV file
+ * @param {object} [options={}]
+ * @param {string} [options.separator] - Column separator, it is guessed when not defined
+ * @param {boolean} [options.inferUnits=true] - Takes the unit of each reagent from its header (label(unit) or label [unit])
+ * @param {boolean|string|object} [options.normalizeUnits=false] - Converts the concentrations to the canonical unit of their dimension (µM, µg/mL or %), to a unit or to the unit of each dimension ({molar, mass, percent})
+ * @return {Object} {wells, reagents, plateOptions, errors} - plateOptions is null when the header is not valid, errors contains objects with line, column and message
+ */
+export function parseTemplate(text, options = {}) {
+  const { separator, inferUnits = true, normalizeUnits = false } = options;
+  const errors = [];
+  const parsed = parse(text.replace(/^\uFEFF/, ''), {
+    delimiter: separator,
+    skipEmptyLines: false,
+  });
+  for (let error of parsed.errors) {
+    if (error.code === 'UndetectableDelimiter') continue;
+    errors.push({ line: error.row + 1, column: null, message: error.message });
+  }
+  const rows = parsed.data.map((row) => row.map((cell) => `${cell}`.trim()));
+
+  const header = rows.length ? rows[0] : [];
+  const columns = {};
+  for (let name of ['plate', 'row', 'column']) {
+    columns[name] = header.findIndex((item) => item.toLowerCase() === name);
+  }
+  if (columns.row === -1 || columns.column === -1) {
+    errors.push({
+      line: 1,
+      column: null,
+      message: 'The header must contain a row and a column field',
+    });
+    return { wells: [], reagents: [], plateOptions: null, errors };
+  }
+
+  const reagents = [];
+  for (let j = 0; j < header.length; j++) {
+    if (Object.values(columns).includes(j) || header[j] === '') continue;
+    const reagent = { index: j, ...parseReagentHeader(header[j], inferUnits) };
+    if (normalizeUnits && reagent.unit !== undefined) {
+      const units = normalizeUnits === true ? canonicalUnits : normalizeUnits;
+      try {
+        reagent.targetUnit = normalizeReagent(reagent, units).unit;
+      } catch (error) {
+        errors.push({ line: 1, column: header[j], message: error.message });
+      }
+    }
+    reagents.push(reagent);
+  }
+
+  const wells = [];
+  const keys = [];
+  const types = {};
+  for (let i = 1; i < rows.length; i++) {
+    const line = i + 1;
+    if (rows[i].every((cell) => cell === '')) continue;
+    const lineErrors = [];
+    const addError = (column, message) => {
+      lineErrors.push({ line, column, message });
+    };
+
+    let plate = 1;
+    if (columns.plate !== -1) {
+      plate = Number(rows[i][columns.plate]);
+      if (!Number.isInteger(plate) || plate < 1) {
+        addError('plate', `Invalid plate "${rows[i][columns.plate]}"`);
+      }
+    }
+    const position = {};
+    for (let name of ['row', 'column']) {
+      const value = rows[i][columns[name]] || '';
+      position[name] = axisLabelToIndex(value);
+      const type = /^\d+$/.test(value) ? 'number' : 'letter';
+      if (Number.isNaN(position[name])) {
+        addError(name, `Invalid ${name} label "${value}"`);
+      } else if (types[name] && types[name] !== type) {
+        addError(name, `The ${name} labels mix letters and numbers`);
+      } else {
+        types[name] = type;
+      }
+    }
+
+    const wellReagents = [];
+    for (let reagent of reagents) {
+      const value = rows[i][reagent.index];
+      if (value === undefined || value === '') {
+        addError(header[reagent.index], 'Missing concentration');
+        continue;
+      }
+      const concentration = Number(value);
+      if (Number.isNaN(concentration)) {
+        addError(header[reagent.index], `Invalid concentration "${value}"`);
+        continue;
+      }
+      const wellReagent = {
+        label: reagent.label,
+        unit: reagent.unit,
+        concentration,
+      };
+      wellReagents.push(
+        reagent.targetUnit
+          ? normalizeReagent(wellReagent, reagent.targetUnit)
+          : wellReagent,
+      );
+    }
+
+    const key = `${plate}-${position.row}-${position.column}`;
+    if (!lineErrors.length && keys.includes(key)) {
+      addError(
+        null,
+        `Duplicated well, first defined at line ${
+          wells[keys.indexOf(key)].line
+        }`,
+      );
+    }
+    if (lineErrors.length) {
+      errors.push(...lineErrors);
+      continue;
+    }
+    keys.push(key);
+    wells.push({ line, plate, ...position, reagents: wellReagents });
+  }
+
+  return {
+    wells,
+    reagents: reagents.map(({ label, unit, targetUnit = unit }) => ({
+      label,
+      unit: targetUnit,
+    })),
+    plateOptions: getPlateOptions(wells, types),
+    errors,
+  };
+}
+
+/**
+ * Splits the header of a reagent into its label and its unit
+ * @param {string} header
+ * @param {boolean} inferUnits
+ * @returns {Object} {label, unit}
+ */
+function parseReagentHeader(header, inferUnits) {
+  const match = /^(?<label>.*?)\s*[([]\s*(?<unit>[^)\]]*?)\s*[)\]]$/.exec(
+    header,
+  );
+  if (!inferUnits || !match || !match.groups) {
+    return { label: header, unit: undefined };
+  }
+  return { label: match.groups.label, unit: match.groups.unit };
+}
+
+/**
+ * Options of the smallest plate that contains all the wells, a 96 well plate when there is no well
+ * @param {Array} wells
+ * @param {Object} types - Type of the row and column labels
+ * @returns {Object}
+ */
+function getPlateOptions(wells, types) {
+  if (!wells.length) return { ...plateFormats[96] };
+  const size = (name) => {
+    const max = Math.max(...wells.map((well) => well[name]));
+    return types[name] === 'letter' ? indexToLetters(max) : max + 1;
+  };
+  const plates = wells.map((well) => well.plate);
+  return {
+    nbRows: size('row'),
+    nbColumns: size('column'),
+    nbPlates: Math.max(...plates) - Math.min(...plates) + 1,
+    initPlate: Math.min(...plates) - 1,
+  };
+}
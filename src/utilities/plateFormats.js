@@ -0,0 +1,42 @@
+import { axisLabelToIndex } from './axisLabels';
+
+/**
+ * Rows and columns of the standard plate formats indexed by their number of wells
+ */
+export const plateFormats = {
+  6: { nbRows: 'B', nbColumns: 3 },
+  12: { nbRows: 'C', nbColumns: 4 },
+  24: { nbRows: 'D', nbColumns: 6 },
+  48: { nbRows: 'F', nbColumns: 8 },
+  96: { nbRows: 'H', nbColumns: 12 },
+  384: { nbRows: 'P', nbColumns: 24 },
+  1536: { nbRows: 'AF', nbColumns: 48 },
+};
+
+/**
+ * Returns the number of rows and columns of the plate, the plate format takes precedence over them
+ * @param {object} [options={}]
+ * @param {number} [options.plateFormat] - Number of wells of a standard plate (6, 12, 24, 48, 96, 384 or 1536)
+ * @param {string|number} [options.nbRows='h']
+ * @param {string|number} [options.nbColumns='12']
+ * @returns {Object} {nbRows, nbColumns}
+ */
+export function resolvePlateFormat(options = {}) {
+  const { plateFormat, nbRows = 'h', nbColumns = '12' } = options;
+  if (plateFormat === undefined || plateFormat === null) {
+    for (let value of [nbRows, nbColumns]) {
+      if (Number.isNaN(axisLabelToIndex(value))) {
+        throw new Error(`Invalid number of rows or columns: ${value}`);
+      }
+    }
+    return { nbRows, nbColumns };
+  }
+  if (!plateFormats[plateFormat]) {
+    throw new Error(
+      `Unknown plate format ${plateFormat}, expected one of: ${Object.keys(
+        plateFormats,
+      ).join(', ')}`,
+    );
+  }
+  return { ...plateFormats[plateFormat] };
+}
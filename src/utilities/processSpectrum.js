@@ -0,0 +1,193 @@
+import mean from 'ml-array-mean';
+import { Matrix, solve } from 'ml-matrix';
+import savitzkyGolay from 'ml-savitzky-golay-generalized';
+
+const steps = {
+  baseline: correctBaseline,
+  smooth: (data, options) => filter(data, { ...options, derivative: 0 }),
+  crop: crop,
+  normalize: normalize,
+  derivative: (data, options) =>
+    filter(data, { ...options, derivative: options.order || 1 }),
+};
+
+/**
+ * Applies processing steps to a spectrum, in order
+ * @param {Object} data - Spectrum {x, y} with increasing x
+ * @param {Array} [pipeline=[]] - Steps as objects with a name and their options:
+ * { name: 'baseline', method: 'linear' (line through the mean of nbPoints=5 points at each end), 'polynomial' (polynomial of degree=2 fitted below the spectrum in iterations=100) or 'minimum' },
+ * { name: 'smooth', windowSize: 9, polynomial: 3 } (Savitzky-Golay),
+ * { name: 'crop', from, to },
+ * { name: 'normalize', method: 'max' (largest absolute value), 'area' (area of the absolute values) or 'snv' (standard normal variate) },
+ * { name: 'derivative', order: 1, windowSize: 9, polynomial: 3 } (Savitzky-Golay)
+ * @return {Object} Processed spectrum {x, y}
+ */
+export function processSpectrum(data, pipeline = []) {
+  let result = { x: Array.from(data.x), y: Array.from(data.y) };
+  for (let { name, ...options } of pipeline) {
+    if (!steps[name]) {
+      throw new Error(
+        `Unknown processing step ${name}, expected one of: ${Object.keys(
+          steps,
+        ).join(', ')}`,
+      );
+    }
+    result = steps[name](result, options);
+  }
+  return result;
+}
+
+/**
+ * Finds the local maxima of a spectrum
+ * @param {Object} data - Spectrum {x, y}
+ * @param {object} [options={}]
+ * @param {number} [options.minHeight=-Infinity] - Smallest y of a peak
+ * @param {number} [options.minDistance=0] - Smallest distance in x between two peaks, the highest peak is kept
+ * @return {Array} Peaks {index, x, y} sorted by x
+ */
+export function findPeaks(data, options = {}) {
+  const { minHeight = -Infinity, minDistance = 0 } = options;
+  const { x, y } = data;
+  const candidates = [];
+  for (let i = 1; i < y.length - 1; i++) {
+    if (y[i] > y[i - 1] && y[i] >= y[i + 1] && y[i] >= minHeight) {
+      candidates.push({ index: i, x: x[i], y: y[i] });
+    }
+  }
+  const peaks = [];
+  for (let peak of candidates.sort((a, b) => b.y - a.y)) {
+    if (peaks.every((other) => Math.abs(other.x - peak.x) >= minDistance)) {
+      peaks.push(peak);
+    }
+  }
+  return peaks.sort((a, b) => a.x - b.x);
+}
+
+function correctBaseline(data, options) {
+  const {
+    method = 'linear',
+    nbPoints = 5,
+    degree = 2,
+    iterations = 100,
+  } = options;
+  const { x, y } = data;
+  let baseline;
+  switch (method) {
+    case 'linear': {
+      const n = Math.max(1, Math.min(nbPoints, Math.floor(x.length / 2)));
+      const [x1, y1] = [mean(x.slice(0, n)), mean(y.slice(0, n))];
+      const [x2, y2] = [mean(x.slice(-n)), mean(y.slice(-n))];
+      const slope = x2 === x1 ? 0 : (y2 - y1) / (x2 - x1);
+      baseline = x.map((value) => y1 + slope * (value - x1));
+      break;
+    }
+    case 'polynomial': {
+      const fitted = y.slice();
+      for (let i = 0; i < iterations; i++) {
+        baseline = fitPolynomial(x, fitted, degree);
+        let changed = false;
+        for (let j = 0; j < fitted.length; j++) {
+          if (baseline[j] < fitted[j]) {
+            fitted[j] = baseline[j];
+            changed = true;
+          }
+        }
+        if (!changed) break;
+      }
+      break;
+    }
+    case 'minimum': {
+      const minimum = Math.min(...y);
+      baseline = y.map(() => minimum);
+      break;
+    }
+    default:
+      throw new Error(
+        `Unknown baseline method ${method}, expected one of: linear, polynomial, minimum`,
+      );
+  }
+  return { x, y: y.map((value, index) => value - baseline[index]) };
+}
+
+/**
+ * Least squares polynomial evaluated at each x, x is centered and scaled for the stability of the fit
+ * @param {Array} x
+ * @param {Array} y
+ * @param {number} degree
+ * @returns {Array}
+ */
+function fitPolynomial(x, y, degree) {
+  const center = (x[0] + x[x.length - 1]) / 2;
+  const scale = (x[x.length - 1] - x[0]) / 2 || 1;
+  const design = x.map((value) => {
+    const t = (value - center) / scale;
+    return new Array(degree + 1)
+      .fill()
+      .map((item, power) => Math.pow(t, power));
+  });
+  const coefficients = solve(
+    new Matrix(design),
+    Matrix.columnVector(y),
+    true,
+  ).to1DArray();
+  return design.map((row) =>
+    row.reduce((sum, value, index) => sum + value * coefficients[index], 0),
+  );
+}
+
+function filter(data, options) {
+  const { windowSize = 9, polynomial = 3, derivative } = options;
+  return {
+    x: data.x,
+    y: Array.from(
+      savitzkyGolay(data.y, data.x, { windowSize, polynomial, derivative }),
+    ),
+  };
+}
+
+function crop(data, options) {
+  const { from = -Infinity, to = Infinity } = options;
+  const result = { x: [], y: [] };
+  for (let i = 0; i < data.x.length; i++) {
+    if (data.x[i] >= from && data.x[i] <= to) {
+      result.x.push(data.x[i]);
+      result.y.push(data.y[i]);
+    }
+  }
+  return result;
+}
+
+function normalize(data, options) {
+  const { method = 'max' } = options;
+  const { x, y } = data;
+  switch (method) {
+    case 'max': {
+      const max = Math.max(...y.map(Math.abs));
+      return { x, y: y.map((value) => (max ? value / max : value)) };
+    }
+    case 'area': {
+      let area = 0;
+      for (let i = 1; i < x.length; i++) {
+        area +=
+          ((Math.abs(y[i]) + Math.abs(y[i - 1])) * Math.abs(x[i] - x[i - 1])) /
+          2;
+      }
+      return { x, y: y.map((value) => (area ? value / area : value)) };
+    }
+    case 'snv': {
+      const average = mean(y);
+      const sd = Math.sqrt(
+        y.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) /
+          (y.length - 1),
+      );
+      return {
+        x,
+        y: y.map((value) => (sd ? (value - average) / sd : value - average)),
+      };
+    }
+    default:
+      throw new Error(
+        `Unknown normalization method ${method}, expected one of: max, area, snv`,
+      );
+  }
+}
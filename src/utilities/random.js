@@ -0,0 +1,38 @@
+/**
+ * Returns a pseudo-random number generator (mulberry32), the same seed always gives the same sequence
+ * @param {number|string} [seed=0] - Integer or string seed
+ * @return {Function} Generator of numbers in [0, 1)
+ */
+export function createRandom(seed = 0) {
+  let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} array
+ * @param {Function} [random=Math.random] - Generator of numbers in [0, 1)
+ * @return {Array}
+ */
+export function shuffle(array, random = Math.random) {
+  const result = array.slice();
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+function hashString(string) {
+  let hash = 2166136261;
+  for (let i = 0; i < string.length; i++) {
+    hash = Math.imul(hash ^ string.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
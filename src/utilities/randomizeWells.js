@@ -0,0 +1,45 @@
+import { createRandom, shuffle } from './random';
+
+const restrictions = {
+  complete: () => '',
+  plate: (well) => well.plate,
+  row: (well) => `${well.plate}-${well.position.row}`,
+};
+
+/**
+ * Returns a random permutation of the wells, the same seed and wells always give the same permutation
+ * @param {Array} wells - Wells with their position
+ * @param {object} [options={}]
+ * @param {number|string} [options.seed=0] - Seed of the random numbers
+ * @param {string} [options.restriction='complete'] - 'complete' (any well of any plate), 'plate' (the wells stay on their plate) or 'row' (the wells stay on their row)
+ * @return {Array} Identificators of the wells receiving the content of each well, in the order of wells
+ */
+export function randomizeWells(wells, options = {}) {
+  const { seed = 0, restriction = 'complete' } = options;
+  const getGroup = restrictions[restriction];
+  if (!getGroup) {
+    throw new Error(
+      `Unknown restriction ${restriction}, expected one of: ${Object.keys(
+        restrictions,
+      ).join(', ')}`,
+    );
+  }
+  const groups = {};
+  wells.forEach((well, index) => {
+    if (restriction === 'row' && !well.position) {
+      throw new Error(`The position of the well ${well.id} is not defined`);
+    }
+    const group = getGroup(well);
+    if (!groups[group]) groups[group] = [];
+    groups[group].push(index);
+  });
+  const random = createRandom(seed);
+  const targets = [];
+  for (let indexes of Object.values(groups)) {
+    const shuffled = shuffle(indexes, random);
+    indexes.forEach((index, i) => {
+      targets[index] = wells[shuffled[i]].id;
+    });
+  }
+  return targets;
+}
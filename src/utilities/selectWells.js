@@ -0,0 +1,124 @@
+import { axisLabelToIndex, parseWellLabel } from './axisLabels';
+
+/**
+ * Selects wells by identificators, ranges, reagents, metadata and analysis values, all the criteria must match
+ * @param {Array} wells
+ * @param {object|string|Array} [selector={}] - A string or an array is a shorthand for { range }
+ * @param {Array} [selector.ids] - Identificators of the wells
+ * @param {string|Array} [selector.range] - Comma separated terms, a well matches when it matches one of them: 'A1:C6' (rectangle between two wells), 'B3', '2-A1:C6' (rectangle of plate 2), 'row B', 'rows B:D', 'column 12', 'columns 1:3' or 'plate 2'
+ * @param {string|number|Array} [selector.plate] - Plates of the wells
+ * @param {object|Array} [selector.reagent] - Objects { label, min, max }, the well must contain the reagent with a concentration between min and max (included)
+ * @param {object} [selector.metadata] - Values of the metadata of the wells, e.g. { category: 'blank' } or { group: ['a', 'b'] }
+ * @param {object|Array} [selector.analysis] - Objects { key, min, max } for the values of analysis.processed
+ * @return {Array} Selected wells in the order of the wells
+ */
+export function selectWells(wells, selector = {}) {
+  if (typeof selector === 'string' || Array.isArray(selector)) {
+    selector = { range: selector };
+  }
+  const { ids, range, plate, reagent = [], metadata, analysis = [] } = selector;
+  const filters = [];
+  if (ids) filters.push((well) => ids.includes(well.id));
+  if (range !== undefined) filters.push(parseRange(range, wells));
+  if (plate !== undefined) {
+    const plates = [].concat(plate).map((item) => `${item}`);
+    filters.push((well) => plates.includes(`${well.plate}`));
+  }
+  for (let { label, min = -Infinity, max = Infinity } of [].concat(reagent)) {
+    filters.push((well) =>
+      well.reagents.some(
+        (item) =>
+          item.label === label &&
+          item.concentration >= min &&
+          item.concentration <= max,
+      ),
+    );
+  }
+  if (metadata) {
+    filters.push((well) =>
+      Object.keys(metadata).every((key) =>
+        [].concat(metadata[key]).includes(well.metadata[key]),
+      ),
+    );
+  }
+  for (let { key, min = -Infinity, max = Infinity } of [].concat(analysis)) {
+    filters.push((well) => {
+      const value = well.analysis.processed[key];
+      return Number.isFinite(value) && value >= min && value <= max;
+    });
+  }
+  return wells.filter((well) => filters.every((filter) => filter(well)));
+}
+
+/**
+ * Returns a function that checks if a well matches one of the terms of a range
+ * @param {string|Array} range
+ * @param {Array} wells - Wells used to find the position of the labels that are not letters and numbers
+ * @returns {Function}
+ */
+function parseRange(range, wells) {
+  const terms = []
+    .concat(range)
+    .join(',')
+    .split(',')
+    .map((term) => term.trim())
+    .filter((term) => term !== '');
+  const matchers = terms.map((term) => parseTerm(term, wells));
+  return (well) => matchers.some((matcher) => matcher(well));
+}
+
+function parseTerm(term, wells) {
+  const invalid = () => new Error(`Invalid well selection "${term}"`);
+  const plateMatch = /^plates?\s+(?<plate>\S+)$/i.exec(term);
+  if (plateMatch) {
+    return (well) => `${well.plate}` === plateMatch.groups.plate;
+  }
+  const axisMatch =
+    /^(?<axis>row|column)s?\s+(?<from>[^\s:]+)(?::(?<to>[^\s:]+))?$/i.exec(
+      term,
+    );
+  if (axisMatch) {
+    const { axis, from, to = from } = axisMatch.groups;
+    const [first, last] = [axisLabelToIndex(from), axisLabelToIndex(to)];
+    if (Number.isNaN(first) || Number.isNaN(last)) throw invalid();
+    const key = axis.toLowerCase();
+    return (well) =>
+      well.position !== null && isBetween(well.position[key], first, last);
+  }
+  const wellMatch =
+    /^(?:(?<plate>[^\s:-]+)-)?(?<from>[^\s:-]+)(?::(?:[^\s:-]+-)?(?<to>[^\s:-]+))?$/.exec(
+      term,
+    );
+  if (!wellMatch) throw invalid();
+  const { plate, from, to = from } = wellMatch.groups;
+  const [start, end] = [from, to].map((label) =>
+    getLabelPosition(label, plate, wells),
+  );
+  if (!start || !end) throw invalid();
+  return (well) =>
+    (plate === undefined || `${well.plate}` === plate) &&
+    well.position !== null &&
+    isBetween(well.position.row, start.row, end.row) &&
+    isBetween(well.position.column, start.column, end.column);
+}
+
+/**
+ * Position of a well label, the labels that are not in the plate are parsed as letters and numbers (A01 is A1)
+ * @param {string} label
+ * @param {string} plate
+ * @param {Array} wells
+ * @returns {Object|null} {row, column}
+ */
+function getLabelPosition(label, plate, wells) {
+  const well = wells.find(
+    (item) =>
+      item.label === label &&
+      item.position &&
+      (plate === undefined || `${item.plate}` === plate),
+  );
+  return well ? well.position : parseWellLabel(label);
+}
+
+function isBetween(value, first, last) {
+  return value >= Math.min(first, last) && value <= Math.max(first, last);
+}
@@ -1,5 +1,7 @@
+import { resolvePlateFormat } from './plateFormats';
+
 export function setTypeOfPlate(options = {}) {
-  const { nbRows = 'h', nbColumns = '12' } = options;
+  const { nbRows, nbColumns } = resolvePlateFormat(options);
   const rows = Number.isNaN(parseInt(nbRows, 10))
     ? nbRows.toUpperCase()
     : parseInt(nbRows, 10);
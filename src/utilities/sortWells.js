@@ -1,11 +1,28 @@
+import { axisLabelToIndex } from './axisLabels';
+
 /**
  * Returns the array of wells sorted regarding its alphanumeric identifier.
+ * Letters are compared as row labels (Z comes before AA).
  * @param {Array} - Array of wells
  * @returns {Array}
  */
 export function sortWells(array, options = {}) {
   const { path = 'id' } = options;
-  return array.sort((a, b) => {
-    return a[path].localeCompare(b[path], 'en', { numeric: true });
-  });
+  return array.sort((a, b) => compareLabels(a[path], b[path]));
+}
+
+function compareLabels(a, b) {
+  const [first, second] = [a, b].map(
+    (label) => label.match(/\d+|[a-z]+|[^\da-z]+/gi) || [],
+  );
+  for (let i = 0; i < Math.min(first.length, second.length); i++) {
+    let difference = 0;
+    if (/^[a-z]+$/i.test(first[i]) && /^[a-z]+$/i.test(second[i])) {
+      difference = axisLabelToIndex(first[i]) - axisLabelToIndex(second[i]);
+    } else {
+      difference = first[i].localeCompare(second[i], 'en', { numeric: true });
+    }
+    if (difference !== 0) return difference;
+  }
+  return first.length - second.length;
 }
@@ -0,0 +1,184 @@
+/**
+ * Powers of ten of the SI prefixes
+ */
+const prefixes = {
+  f: -15,
+  p: -12,
+  n: -9,
+  u: -6,
+  µ: -6,
+  μ: -6,
+  m: -3,
+  '': 0,
+  k: 3,
+};
+
+const symbolPrefixes = {
+  '-15': 'f',
+  '-12': 'p',
+  '-9': 'n',
+  '-6': 'µ',
+  '-3': 'm',
+  0: '',
+  3: 'k',
+};
+
+/**
+ * Units used for each dimension when the reagents are normalized
+ */
+export const canonicalUnits = {
+  molar: 'µM',
+  mass: 'µg/mL',
+  percent: '%',
+};
+
+const baseUnits = {
+  molar: 'M',
+  mass: 'g/L',
+  percent: '%',
+};
+
+/**
+ * Parses a concentration unit: molar (M, mM, µM, uM, nM, mol/L...), mass per volume (g/L, mg/mL, µg/mL...) or percent (%, % v/v, % w/v)
+ * @param {string} unit
+ * @return {Object|null} {symbol, dimension, exponent} - The concentration in the base unit of the dimension (M, g/L or %) is the value multiplied by 10 ** exponent, % w/v is a mass per volume, null for unknown units
+ */
+export function parseUnit(unit) {
+  if (typeof unit !== 'string') return null;
+  const value = unit.trim().replace(/\s+/g, ' ');
+  const molar = /^(?<prefix>[fpnuµμmk]?)(?:M|mol\/L|mol\/l)$/.exec(value);
+  if (molar) {
+    const exponent = prefixes[molar.groups.prefix];
+    return {
+      symbol: getSymbol('molar', exponent, value),
+      dimension: 'molar',
+      exponent,
+    };
+  }
+  const mass = /^(?<mass>[fpnuµμmk]?)g ?\/ ?(?<volume>[nuµμm]?)[lL]$/.exec(
+    value,
+  );
+  if (mass) {
+    const exponent = prefixes[mass.groups.mass] - prefixes[mass.groups.volume];
+    return {
+      symbol: getSymbol('mass', exponent, value),
+      dimension: 'mass',
+      exponent,
+    };
+  }
+  const percent = /^% ?(?<type>[wv] ?\/ ?v)?$/i.exec(value);
+  if (percent) {
+    const type = (percent.groups.type || '').replace(/ /g, '').toLowerCase();
+    return type === 'w/v'
+      ? { symbol: '% w/v', dimension: 'mass', exponent: 1 }
+      : { symbol: '%', dimension: 'percent', exponent: 0 };
+  }
+  return null;
+}
+
+/**
+ * Converts a concentration between two units, molar concentrations and masses per volume are converted with the molar mass
+ * @param {number} value
+ * @param {string} from - Unit of the value
+ * @param {string} to - Unit of the result
+ * @param {object} [options={}]
+ * @param {number} [options.molarMass] - Molar mass of the reagent in g/mol
+ * @return {number}
+ */
+export function convertConcentration(value, from, to, options = {}) {
+  const { molarMass } = options;
+  const [source, target] = [from, to].map((unit) => {
+    const parsed = parseUnit(unit);
+    if (!parsed) throw new Error(`Unknown unit ${unit}`);
+    return parsed;
+  });
+  if (source.dimension === target.dimension) {
+    return scale(value, source.exponent - target.exponent);
+  }
+  const dimensions = [source.dimension, target.dimension];
+  if (!dimensions.includes('molar') || !dimensions.includes('mass')) {
+    throw new Error(`Can not convert ${from} to ${to}`);
+  }
+  if (!(molarMass > 0)) {
+    throw new Error(`The molar mass is needed to convert ${from} to ${to}`);
+  }
+  const base = scale(value, source.exponent);
+  return scale(
+    source.dimension === 'molar' ? base * molarMass : base / molarMass,
+    -target.exponent,
+  );
+}
+
+/**
+ * Concentration in the base unit of its dimension (M, g/L or %), used to compare concentrations given in different units
+ * @param {number} concentration
+ * @param {string} unit
+ * @return {Object} {value, unit} - The concentration and the unit are not changed when the unit is unknown
+ */
+export function toBaseUnit(concentration, unit) {
+  const parsed = parseUnit(unit);
+  if (!parsed || typeof concentration !== 'number') {
+    return { value: concentration, unit };
+  }
+  const base = baseUnits[parsed.dimension];
+  return {
+    value: convertConcentration(concentration, unit, base),
+    unit: base,
+  };
+}
+
+/**
+ * Converts the concentration of a reagent to a canonical unit
+ * @param {object} reagent - {label, unit, concentration, molarMass}
+ * @param {string|object} [units=canonicalUnits] - Unit of the result, or unit of each dimension ({molar, mass, percent})
+ * @return {Object} Copy of the reagent with the converted concentration and unit, the reagents without unit are not changed
+ */
+export function normalizeReagent(reagent, units = canonicalUnits) {
+  const { unit, concentration, molarMass } = reagent;
+  if (unit === undefined || unit === null || unit === '') return reagent;
+  const parsed = parseUnit(unit);
+  if (!parsed) throw new Error(`Unknown unit ${unit} of ${reagent.label}`);
+  const target =
+    typeof units === 'string'
+      ? units
+      : { ...canonicalUnits, ...units }[parsed.dimension];
+  const converted = convertConcentration(
+    typeof concentration === 'number' ? concentration : 0,
+    unit,
+    target,
+    { molarMass },
+  );
+  return {
+    ...reagent,
+    unit: target,
+    concentration:
+      typeof concentration === 'number' ? converted : concentration,
+  };
+}
+
+/**
+ * Value multiplied by a power of ten, divisions by exact powers of ten keep equal quantities equal (3 mM and 3000 µM)
+ * @param {number} value
+ * @param {number} exponent
+ * @returns {number}
+ */
+function scale(value, exponent) {
+  return exponent < 0
+    ? value / Math.pow(10, -exponent)
+    : value * Math.pow(10, exponent);
+}
+
+/**
+ * Symbol of a molar unit (M, mM...) or of a mass per volume (mg/mL, µg/mL...)
+ * @param {string} dimension
+ * @param {number} exponent
+ * @param {string} unit - Symbol used when there is no prefix for the exponent
+ * @returns {string}
+ */
+function getSymbol(dimension, exponent, unit) {
+  if (exponent === 1 && dimension === 'mass') return '% w/v';
+  const prefix =
+    symbolPrefixes[dimension === 'molar' ? exponent : exponent - 3];
+  if (prefix === undefined) return unit;
+  return dimension === 'molar' ? `${prefix}M` : `${prefix}g/mL`;
+}
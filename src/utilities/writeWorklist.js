@@ -0,0 +1,81 @@
+const formats = {
+  echo: {
+    header: [
+      'Source Plate Name',
+      'Source Well',
+      'Destination Plate Name',
+      'Destination Well',
+      'Transfer Volume',
+    ],
+    lines: (transfer, volume) => [
+      [
+        transfer.sourcePlate,
+        transfer.sourceWell,
+        transfer.destinationPlate,
+        transfer.destinationWell,
+        volume,
+      ],
+    ],
+  },
+  generic: {
+    header: ['Action', 'Plate', 'Well', 'Volume', 'Reagent'],
+    lines: (transfer, volume) => [
+      [
+        'Aspirate',
+        transfer.sourcePlate,
+        transfer.sourceWell,
+        volume,
+        transfer.reagent,
+      ],
+      [
+        'Dispense',
+        transfer.destinationPlate,
+        transfer.destinationWell,
+        volume,
+        transfer.reagent,
+      ],
+    ],
+  },
+};
+
+/**
+ * Returns a worklist of liquid handler with CSV format, the fields containing the separator, quotes or line breaks are quoted
+ * @param {Array} transfers - Transfers generated by getTransferVolumes
+ * @param {object} [options={}]
+ * @param {string} [options.format='echo'] - 'echo' (a line with the source, destination and volume of each transfer, as read by acoustic dispensers) or 'generic' (an aspirate and a dispense line for each transfer)
+ * @param {string} [options.separator=',']
+ * @param {number} [options.decimals=3] - Largest number of decimals of the volumes
+ * @return {string}
+ */
+export function writeWorklist(transfers, options = {}) {
+  const { format = 'echo', separator = ',', decimals = 3 } = options;
+  if (!formats[format]) {
+    throw new Error(
+      `Unknown worklist format ${format}, expected one of: ${Object.keys(
+        formats,
+      ).join(', ')}`,
+    );
+  }
+  const { header, lines } = formats[format];
+  const list = [header];
+  for (let transfer of transfers) {
+    list.push(...lines(transfer, Number(transfer.volume.toFixed(decimals))));
+  }
+  return list
+    .map((line) =>
+      line.map((field) => quoteField(field, separator)).join(separator),
+    )
+    .join('\n');
+}
+
+/**
+ * Quotes a field containing the separator, a quote or a line break, the quotes are doubled
+ * @param {any} field
+ * @param {string} separator
+ * @returns {string}
+ */
+function quoteField(field, separator) {
+  const text = field === undefined || field === null ? '' : `${field}`;
+  if (!text.includes(separator) && !/["\r\n]/.test(text)) return text;
+  return `"${text.replace(/"/g, '""')}"`;
+}
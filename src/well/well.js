@@ -5,6 +5,8 @@ export class Well {
    * @param {String} id - Identificator
    * @param {String} label - Well label
    * @param {Number} plate - Number of the plate
+   * @param {Boolean} [selected=false] - Indicates if the well is selected
+   * @param {Object} [position=null] - Row and column indexes of the well in the plate
    * @param {Object} [data={}] - Spectrum and growth curves data
    * @param {Object} [data.growthCurve={}]  - Growth curve obtaineed
    * @param {Array}  [data.growthCurve.x=[]]
@@ -16,12 +18,17 @@ export class Well {
    * @param {Object} [options.metadata={}] - Metadata relate to the well
    * @param {Object} [options.analysis={}] - Metadata relate to the well
    * @param {Array} [options.reagents=[]] - Rctants used in the well
+   * @param {Object} [options.source] - Well of another plate from which the well was copied ({index, id, plate, label}), index is the position of its WellPlateData in the array given to mergePlates (no index for the wells of split plates)
+   * @param {Object} [options.design] - Well of the design whose content was placed in the well by a randomization ({id, plate, label, position})
+   * @param {Object} [options.flags] - Flags of analysis values by key, e.g. { concentration: 'above' } for a value above the calibrated range
    */
   constructor(options = {}) {
     let {
       id = getRandomId(),
       label = undefined,
       plate,
+      selected = false,
+      position = null,
       metadata = {
         color: 'black',
         display: true,
@@ -39,12 +46,16 @@ export class Well {
       spectrum = {
         data: { x: [], y: [] },
       },
+      source = undefined,
+      flags = undefined,
+      design = undefined,
     } = options;
 
     this.id = id;
-    this.selected = false;
+    this.selected = selected;
     this.label = label;
     this.plate = plate;
+    this.position = position;
     this.analysis = analysis;
     this.metadata = metadata;
     this.reagents = reagents;
@@ -61,6 +72,10 @@ export class Well {
       this.spectrum.data.y = [];
     }
 
+    if (source !== undefined) this.source = source;
+    if (flags !== undefined) this.flags = flags;
+    if (design !== undefined) this.design = design;
+
     this._highlight = id;
   }
 
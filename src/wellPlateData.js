@@ -1,19 +1,52 @@
-/* eslint-disable prefer-named-capture-group */
 /* eslint-disable func-names */
 /* eslint-disable import/no-unresolved */
-import * as tests from 'univariate-tests';
+import mean from 'ml-array-mean';
 
 import { PlateSample } from './plateSample';
 import { addChartStyle } from './utilities/addChartStyle';
+import { analyzeGrowthCurve } from './utilities/analyzeGrowthCurve';
 import { averageAnalysis } from './utilities/averageAnalysis';
 import { averageArrays } from './utilities/averageArrays';
-import { checkReagents } from './utilities/checkReagents';
+import {
+  indexToLetters,
+  normalizeWellLabel,
+  parseWellLabel,
+} from './utilities/axisLabels';
+import { checkReagents, checkReagentsUnits } from './utilities/checkReagents';
+import { compareGroups } from './utilities/compareGroups';
+import { detectOutliers } from './utilities/detectOutliers';
+import { doseResponseModels } from './utilities/doseResponseModels';
+import { extractSpectralFeatures } from './utilities/extractSpectralFeatures';
+import { findBlanks } from './utilities/findBlanks';
+import { fitDoseResponse } from './utilities/fitDoseResponse';
+import { backCalculate, fitStandardCurve } from './utilities/fitStandardCurve';
+import { generateDesignLayout } from './utilities/generateDesignLayout';
+import { generateDilutionLayout } from './utilities/generateDilutionLayout';
 import { generatePlateLabels } from './utilities/generatePlateLabels';
+import { getEdgeEffect } from './utilities/getEdgeEffect';
+import { getPlateMapping } from './utilities/getPlateMapping';
+import { getQualityMetrics } from './utilities/getQualityMetrics';
 import { getRandomId } from './utilities/getRandomId';
 import { getSamplesIDs } from './utilities/getSamplesIDs';
+import { getTransferVolumes } from './utilities/getTransferVolumes';
+import {
+  encodeNumbers,
+  migrateDocument,
+  restoreNumbers,
+  SCHEMA_VERSION,
+} from './utilities/migrateDocument';
+import { normalizePlate } from './utilities/normalizePlate';
+import { parseKineticExport } from './utilities/parseKineticExport';
+import { parseTemplate } from './utilities/parseTemplate';
+import { resolvePlateFormat } from './utilities/plateFormats';
+import { findPeaks, processSpectrum } from './utilities/processSpectrum';
+import { randomizeWells } from './utilities/randomizeWells';
 import { rawAnalysis } from './utilities/rawAnalysis';
+import { selectWells } from './utilities/selectWells';
 import { setTypeOfPlate } from './utilities/setTypeOfPlate';
 import { sortWells } from './utilities/sortWells';
+import { canonicalUnits, normalizeReagent } from './utilities/units';
+import { writeWorklist } from './utilities/writeWorklist';
 import { Well } from './well/well';
 
 export class WellPlateData {
@@ -26,13 +59,52 @@ export class WellPlateData {
    * @param {Number} [options.initPlate] - It referes the plate where the experiment began.
    * @param {Boolean} [options.accountPreviousWells] - For plates where the well label is a number, this option allows to take in count previous labels in the next plate.
    * @param {String} [options.direction] - For plates where the well label is a number, this option sets the direction in which this will increase.
+   * @param {Number} [options.plateFormat] - Number of wells of a standard plate (6, 12, 24, 48, 96, 384 or 1536), it replaces nbRows and nbColumns.
+   * @param {Boolean} [options.zeroPad] - For plates where the well label combines letters and numbers, pads the numbers with zeros (A01).
+   * @param {Number} [options.historyLimit=50] - Largest number of edits that can be undone.
+   * @param {Number} [options.historyMaxSize=5e7] - Largest number of characters of the serialized states kept to undo and redo the edits, the oldest edits can not be undone beyond it (0 disables the history and the failed edits are not rolled back).
    */
   constructor(options = {}) {
+    const {
+      nbPlates = 1,
+      initPlate = 0,
+      accountPreviousWells = false,
+      direction = 'horizontal',
+      zeroPad = false,
+      historyLimit = 50,
+      historyMaxSize = 5e7,
+    } = options;
+    const { nbRows, nbColumns } = resolvePlateFormat(options);
+    this.options = {
+      nbRows,
+      nbColumns,
+      nbPlates,
+      initPlate,
+      accountPreviousWells,
+      direction,
+      zeroPad,
+    };
     this.wells = [];
     this.samples = [];
-    this.typeOfPlate = setTypeOfPlate(options);
-    let plateLabels = generatePlateLabels(options);
-    const labelsList = plateLabels.labelsList;
+    this.metadata = {};
+    this.outlierDetection = {
+      method: 'grubbs',
+      alpha: 0.05,
+      exclude: false,
+      keys: {},
+    };
+    this.averaging = {};
+    this.grouping = {};
+    this.history = {
+      undo: [],
+      redo: [],
+      checkpoints: {},
+      limit: historyLimit,
+      maxSize: historyMaxSize,
+    };
+    this.typeOfPlate = setTypeOfPlate(this.options);
+    let plateLabels = generatePlateLabels(this.options);
+    const { labelsList, positions } = plateLabels;
     for (let i = 0; i < labelsList.length; i++) {
       const label = labelsList[i].split('-');
       this.wells.push(
@@ -40,6 +112,7 @@ export class WellPlateData {
           id: labelsList[i],
           plate: label[0],
           label: label[1],
+          position: positions[i],
           _highlight: i,
         }),
       );
@@ -49,17 +122,113 @@ export class WellPlateData {
   /**
    * Sets the reagents constituent to each well
    * @param {Array} reagents - Array containing an array of reagents as objects
+   * @param {Object} [options={}]
+   * @param {Boolean|String|Object} [options.normalizeUnits=false] - Converts the concentrations to the canonical unit of their dimension (µM, µg/mL or %), to a unit or to the unit of each dimension ({molar, mass, percent}), the molar mass of the reagents is used between molar and mass concentrations
    */
-  addReagentsFromArray(reagents) {
-    if (!Array.isArray(reagents) || this.wells.length !== reagents.length) {
-      throw new Error(
-        `Input array must have the same length as wells in the plate`,
-      );
-    }
-    for (let i = 0; i < this.wells.length; i++) {
-      this.wells[i].addReagents(reagents[i]);
-    }
-    this.updateSamples();
+  addReagentsFromArray(reagents, options = {}) {
+    return recordEdit(this, 'addReagentsFromArray', () => {
+      const { normalizeUnits = false } = options;
+      if (!Array.isArray(reagents) || this.wells.length !== reagents.length) {
+        throw new Error(
+          `Input array must have the same length as wells in the plate`,
+        );
+      }
+      const units = normalizeUnits === true ? canonicalUnits : normalizeUnits;
+      for (let i = 0; i < this.wells.length; i++) {
+        this.wells[i].addReagents(
+          units
+            ? reagents[i].map((reagent) => normalizeReagent(reagent, units))
+            : reagents[i],
+        );
+      }
+      this.updateSamples({ regenerate: true });
+    });
+  }
+
+  /**
+   * Sets the reagents of the wells for serial dilutions of each reagent and the category of the control wells
+   * @param {Object} [options={}]
+   * @param {Array} [options.reagents=[]] - Reagents as objects ({label, unit...}), topConcentration can be defined per reagent
+   * @param {Number} [options.topConcentration] - Highest concentration of the series
+   * @param {Number} [options.dilutionFactor=2] - Ratio between consecutive concentrations
+   * @param {Number} [options.nbPoints=8] - Number of concentrations of each series
+   * @param {Number} [options.nbReplicates=1] - Number of series of each reagent
+   * @param {String|Array} [options.orientation='rows'] - 'rows' when the series runs along a row, 'columns' otherwise (an array sets it per plate)
+   * @param {Array} [options.controls=[]] - Wells reserved after each series as objects ({category, concentrations})
+   * @returns {Object} {reagents, categories}
+   */
+  addDilutionLayout(options = {}) {
+    return recordEdit(this, 'addDilutionLayout', () => {
+      const layout = generateDilutionLayout(this.wells, options);
+      this.addReagentsFromArray(layout.reagents);
+      for (let i = 0; i < this.wells.length; i++) {
+        if (layout.categories[i] !== null) {
+          this.wells[i].metadata.category = layout.categories[i];
+        }
+      }
+      return layout;
+    });
+  }
+
+  /**
+   * Sets the reagents of the wells for the runs of a design of experiments (full or fractional factorial, Latin hypercube, central composite)
+   * @param {Object} [options={}] - Options of generateDesign (type, nbLevels, generators, nbRuns, seed, alpha, nbCenterPoints)
+   * @param {Array} options.factors - Reagents as objects ({label, unit...}) with the range of concentrations (min, max) or the concentrations of their levels (levels)
+   * @param {Number} [options.nbReplicates=1] - Number of times the design is repeated
+   * @param {Boolean} [options.blocking=true] - Each replicate of the design is placed on a single plate, the replicates go to the plates in turn
+   * @param {Boolean|Number} [options.avoidEdges=false] - Leaves empty the wells on the border of the plates (or the given number of rows and columns from the border)
+   * @returns {Object} {reagents, design, runs} - design links each used well to its run, replicate and block
+   */
+  addDesignLayout(options = {}) {
+    return recordEdit(this, 'addDesignLayout', () => {
+      const layout = generateDesignLayout(this.wells, options);
+      this.addReagentsFromArray(layout.reagents);
+      return layout;
+    });
+  }
+
+  /**
+   * Moves the reagents and the metadata of the wells to randomly chosen wells to avoid position effects, the well of the design is kept in the design of each well
+   * so that the results can be shown in the design order (getRandomizationMap, getHeatmap). Randomizing again keeps the original design.
+   * @param {Object} [options={}]
+   * @param {Number|String} [options.seed=0] - Seed of the random numbers, the same seed gives the same placement
+   * @param {String} [options.restriction='complete'] - 'complete' (any well of any plate), 'plate' (the conditions stay on their plate) or 'row' (the conditions stay on their row)
+   * @param {Object|String|Array} [options.wells] - Selector of the randomized wells as in getWells (all wells by default), the other wells do not move
+   * @returns {Object} {seed, restriction, map} - map is the result of getRandomizationMap
+   */
+  randomizeLayout(options = {}) {
+    return recordEdit(this, 'randomizeLayout', () => {
+      const { seed = 0, restriction = 'complete', wells = {} } = options;
+      const selected = this.getWells(wells);
+      const targets = randomizeWells(selected, { seed, restriction });
+      const contents = selected.map((well) => ({
+        reagents: well.reagents,
+        metadata: well.metadata,
+        design: well.design || {
+          id: well.id,
+          plate: well.plate,
+          label: well.label,
+          position: well.position,
+        },
+      }));
+      selected.forEach((well, index) => {
+        Object.assign(this.getWell({ id: targets[index] }), contents[index]);
+      });
+      this.updateSamples({ regenerate: true });
+      return { seed, restriction, map: this.getRandomizationMap() };
+    });
+  }
+
+  /**
+   * Returns the wells of the design and the wells where they were placed by randomizeLayout
+   * @returns {Array} {design, physical} identificators of the randomized wells in the order of the design
+   */
+  getRandomizationMap() {
+    const order = this.wells.map((well) => well.id);
+    return this.wells
+      .filter((well) => well.design)
+      .map((well) => ({ design: well.design.id, physical: well.id }))
+      .sort((a, b) => order.indexOf(a.design) - order.indexOf(b.design));
   }
 
   /**
@@ -129,30 +298,74 @@ export class WellPlateData {
     this.updateSamples();
   }
 
+  /**
+   * Sets the growth curves of the wells from a plate reader kinetic export (one row per time point and one column per well)
+   * @param {string} text - Content of the exported CSV or TSV file
+   * @param {object} [options={}]
+   * @param {string} [options.format='generic'] - Reader export format ('generic', 'biotek' or 'tecan')
+   * @param {string} [options.separator] - Column separator, it is guessed when not defined
+   * @param {string} [options.plate] - Plate receiving the curves (first plate by default)
+   * @param {number} [options.missingValue=NaN] - Value assigned to blank and saturated cells
+   * @returns {Object} Report with the time axis, the temperature, the matched and unmatched columns and the wells without data
+   */
+  addGrowthCurvesFromKineticExport(text, options = {}) {
+    return recordEdit(this, 'addGrowthCurvesFromKineticExport', () => {
+      const { plate = this.wells[0].plate } = options;
+      const { time, temperature, columns } = parseKineticExport(text, options);
+      const wells = this.wells.filter((well) => well.plate === `${plate}`);
+      const matchedColumns = [];
+      const unmatchedColumns = [];
+      const filledWells = [];
+      for (let column of columns) {
+        const label = normalizeWellLabel(column.header);
+        const well = wells.find(
+          (item) => label !== null && normalizeWellLabel(item.label) === label,
+        );
+        if (well === undefined) {
+          unmatchedColumns.push(column.header);
+          continue;
+        }
+        well.metadata.display = false;
+        well.metadata.color = 'black';
+        well.addGrowthCurve({ x: time.slice(), y: column.y });
+        matchedColumns.push({ header: column.header, id: well.id });
+        filledWells.push(well.id);
+      }
+      this.updateSamples();
+      return {
+        time,
+        temperature,
+        matchedColumns,
+        unmatchedColumns,
+        wellsWithoutData: wells
+          .filter((well) => !filledWells.includes(well.id))
+          .map((well) => well.id),
+      };
+    });
+  }
+
   /**
    * Sets the corresponding result to each well
    * @param {Array} analysis - Array of objects containing the analysis added
    */
   addAnalysisFromArray(analysis) {
-    if (!Array.isArray(analysis)) {
-      throw new Error('The analysis input is not an array');
-    }
-    for (let i = 0; i < this.wells.length; i++) {
-      this.wells[i].addAnalysis(analysis[i]);
-    }
+    return recordEdit(this, 'addAnalysisFromArray', () => {
+      if (!Array.isArray(analysis)) {
+        throw new Error('The analysis input is not an array');
+      }
+      for (let i = 0; i < this.wells.length; i++) {
+        this.wells[i].addAnalysis(analysis[i]);
+      }
+    });
   }
 
   /**
-   * Returns an array of objects with the corresponding labels to each well
+   * Returns the selected wells in the order of the plate
+   * @param {Object|String|Array} [options={}] - Selector of selectWells (ids, range, plate, reagent, metadata, analysis), a string or an array is a range ('A1:C6', 'row B', 'column 12', 'plate 2')
    * @returns {Array}
    */
   getWells(options = {}) {
-    const { ids } = options;
-    let wells = [];
-    for (let well of this.wells) {
-      if (!ids || ids.includes(well.id)) wells.push(well);
-    }
-    return wells;
+    return selectWells(this.wells, options);
   }
 
   /**
@@ -175,7 +388,9 @@ export class WellPlateData {
   getTemplate(options = {}) {
     const { separator = ',' } = options;
     const plate = this.wells;
-    const regex = /(?:[0-9]+)|(?:[a-zA-Z]+)/g;
+    const [rows, columns] = generatePlateLabels(this.options).axis.map(
+      (entry) => entry[1],
+    );
     const reagentsLabels = plate[0].reagents.map((item) => item.label);
     const reagentsUnits = plate[0].reagents.map((item) => item.unit);
     const reagents = [];
@@ -183,24 +398,52 @@ export class WellPlateData {
       reagents.push(`${reagentsLabels[i]}(${reagentsUnits[i]})`);
     }
 
-    const header = ['row', 'column'].concat(reagents);
+    const severalPlates = plate.some((well) => well.plate !== plate[0].plate);
+    const header = (severalPlates ? ['plate'] : [])
+      .concat(['row', 'column'])
+      .concat(reagents);
     const list = [header];
     for (let well of plate) {
-      const splittedLabel = Number.isNaN(parseInt(well.label, 10))
-        ? well.label.match(regex)
-        : getWellsPositions(well.label);
+      const { row, column } = well.position;
       const concentrations = well.reagents.map((item) => item.concentration);
-      list.push(splittedLabel.concat(concentrations));
+      list.push(
+        (severalPlates ? [well.plate] : [])
+          .concat([rows[row], columns[column]])
+          .concat(concentrations),
+      );
     }
     return list.map((well) => well.join(separator)).join('\n');
   }
 
+  /**
+   * Computes the volume of stock of each reagent to dispense in the selected wells
+   * @param {Object} [options={}] - Options of getTransferVolumes (stocks, finalVolume, minVolume, maxVolume, resolution, diluent)
+   * @param {Object|String|Array} [options.wells] - Selector of the wells as in getWells (all wells by default)
+   * @returns {Object} {transfers, errors}
+   */
+  getTransferVolumes(options = {}) {
+    const { wells = {} } = options;
+    return getTransferVolumes(this.getWells(wells), options);
+  }
+
+  /**
+   * Returns a liquid handler worklist with CSV format, the wells with errors are not part of the worklist
+   * @param {Object} [options={}] - Options of getTransferVolumes and of writeWorklist (format, separator, decimals)
+   * @param {String} [options.format='echo'] - 'echo' or 'generic'
+   * @returns {Object} {worklist, transfers, errors}
+   */
+  getWorklist(options = {}) {
+    const { transfers, errors } = this.getTransferVolumes(options);
+    return { worklist: writeWorklist(transfers, options), transfers, errors };
+  }
+
   /**
    * Checks out if the reagents contain the needed information
    * @param {Object} [options={}]
    * @param {Boolean} [options.checkKeys] - Parameter that allows to check the keys of the reagents object
    * @param {Boolean} [options.checkValues] - Parameter that allows to check that the values are defined
    * @param {Array} [options.keys] - Array of keys to check
+   * @param {Boolean} [options.checkUnits=false] - Checks that the units are known and that the units of each reagent can be converted between the wells
    */
 
   checkReagents(options = {}) {
@@ -208,62 +451,132 @@ export class WellPlateData {
     for (let well of wells) {
       checkReagents(well, options);
     }
+    if (options.checkUnits) checkReagentsUnits(wells);
   }
 
   /**
-   * Checks out if the reagents contain the needed information
-   * @param {Object} [options={}]
-   * @param {Boolean} [options.checkKeys] - Parameter that allows to check the keys of the reagents object
-   * @param {Boolean} [options.checkValues] - Parameter that allows to check that the values are defined
-   * @param {Array} [options.keys] - Array of keys to check
+   * Returns a chart with the spectra of the selected wells
+   * @param {Object|String|Array} [options={}] - Selector of the wells as in getWells
+   * @param {Boolean} [options.processed=false] - Plots the processed spectra (the raw data of the wells without processed spectra)
+   * @returns {Object}
    */
-
   getSpectraChart(options = {}) {
-    const { ids } = options;
-    const wells = this.wells;
     let chart = {
       data: [],
     };
 
-    for (let well of wells) {
-      if (!ids || ids.includes(well.id)) {
-        if (well.spectrum.data.x.length && well.spectrum.data.y.length) {
-          const data = well.spectrum.data;
-          addChartStyle(data, well);
-          chart.data.push(data);
-        }
+    const { processed = false } = options;
+    for (let well of this.getWells(options)) {
+      if (well.spectrum.data.x.length && well.spectrum.data.y.length) {
+        const data =
+          (processed && well.spectrum.processed) || well.spectrum.data;
+        addChartStyle(data, well);
+        chart.data.push(data);
       }
     }
     return chart;
   }
 
   /**
-   * Checks out if the reagents contain the needed information
-   * @param {Object} [options={}]
-   * @param {Boolean} [options.checkKeys] - Parameter that allows to check the keys of the reagents object
-   * @param {Boolean} [options.checkValues] - Parameter that allows to check that the values are defined
-   * @param {Array} [options.keys] - Array of keys to check
+   * Returns a chart with the growth curves of the selected wells
+   * @param {Object|String|Array} [options={}] - Selector of the wells as in getWells
+   * @param {Boolean} [options.processed=false] - Plots the processed growth curves (the raw data of the wells without processed growth curves)
+   * @returns {Object}
    */
-
   getGrowthCurveChart(options = {}) {
-    const { ids } = options;
-    const wells = this.wells;
     let chart = {
       data: [],
     };
 
-    for (let well of wells) {
-      if (!ids || ids.includes(well.id)) {
-        if (well.growthCurve.data.x.length && well.growthCurve.data.y.length) {
-          const data = well.growthCurve.data;
-          addChartStyle(data, well);
-          chart.data.push(data);
-        }
+    const { processed = false } = options;
+    for (let well of this.getWells(options)) {
+      if (well.growthCurve.data.x.length && well.growthCurve.data.y.length) {
+        const data =
+          (processed && well.growthCurve.processed) || well.growthCurve.data;
+        addChartStyle(data, well);
+        chart.data.push(data);
       }
     }
     return chart;
   }
 
+  /**
+   * Returns a matrix with a value of each well of a plate for heatmaps
+   * @param {Object} [options={}]
+   * @param {String} [options.type='analysis'] - 'analysis' (analysis.processed[key]), 'reagent' (concentration of the reagent with the label key) or 'outlier' (status of the outlier test of key: 'pass', 'outlier', 'excluded' or null)
+   * @param {String} options.key - Analysis key or reagent label
+   * @param {String|Number} [options.plate] - Plate of the heatmap (the first plate by default)
+   * @param {String} [options.layout='physical'] - 'physical' (each well at its position) or 'design' (the randomized wells at the position of their well of the design, see randomizeLayout)
+   * @returns {Object} {plate, rows, columns, matrix, ids, labels} - rows and columns contain the axis labels, matrix, ids and labels are indexed by row and column, missing values are null
+   */
+  getHeatmap(options = {}) {
+    const {
+      type = 'analysis',
+      key,
+      plate = this.wells[0].plate,
+      layout = 'physical',
+    } = options;
+    const getValue = {
+      analysis: (well) => well.analysis.processed[key],
+      reagent: (well) => {
+        const reagent = well.reagents.find((item) => item.label === key);
+        return reagent && reagent.concentration;
+      },
+      outlier: (well) => this.getOutlierStatus(well.id, key),
+    }[type];
+    if (!getValue) {
+      throw new Error(
+        `Unknown heatmap type ${type}, expected one of: analysis, reagent, outlier`,
+      );
+    }
+    if (layout !== 'physical' && layout !== 'design') {
+      throw new Error(
+        `Unknown heatmap layout ${layout}, expected one of: physical, design`,
+      );
+    }
+    const [rows, columns] = generatePlateLabels(this.options).axis.map(
+      (entry) => entry[1],
+    );
+    const emptyMatrix = () => rows.map(() => columns.map(() => null));
+    const heatmap = {
+      plate: `${plate}`,
+      rows,
+      columns,
+      matrix: emptyMatrix(),
+      ids: emptyMatrix(),
+      labels: emptyMatrix(),
+    };
+    for (let well of this.wells) {
+      const place = (layout === 'design' && well.design) || well;
+      if (place.plate !== `${plate}`) continue;
+      const { row, column } = place.position;
+      const value = getValue(well);
+      heatmap.matrix[row][column] = value === undefined ? null : value;
+      heatmap.ids[row][column] = well.id;
+      heatmap.labels[row][column] = well.label;
+    }
+    return heatmap;
+  }
+
+  /**
+   * Returns the status of a well in the outlier test of its sample
+   * @param {String} id - Identificator of the well
+   * @param {String} key - Analysis key of the test
+   * @returns {String|null} 'pass', 'outlier', 'excluded' (not in the average of its sample) or null when the well has not been tested
+   */
+  getOutlierStatus(id, key) {
+    for (let sample of this.samples) {
+      const sampleWell = sample.wells.find((item) => item.id === id);
+      if (!sampleWell) continue;
+      const test = (sampleWell.test || []).find((item) => item.label === key);
+      if (test && test.pass === false) return 'outlier';
+      if (!sampleWell.inAverage) return 'excluded';
+      if (test && test.pass === true) return 'pass';
+      return null;
+    }
+    return null;
+  }
+
   getChartOfSpectraSamples(options) {
     let chart = {
       data: [],
@@ -293,15 +606,32 @@ export class WellPlateData {
   }
 
   /**
-   * Returns an array of objects with the corresponding labels to each well
+   * Returns the selected samples
+   * @param {Object|String|Array} [options={}] - A string or an array is a range of wells
+   * @param {Array} [options.ids] - Identificators of the samples
+   * @param {String|Array} [options.range] - Samples with at least one well selected by range, plate, reagent, metadata (of the wells) and analysis as in getWells
    * @returns {Array}
    */
   getSamples(options = {}) {
-    const { ids } = options;
+    if (typeof options === 'string' || Array.isArray(options)) {
+      options = { range: options };
+    }
+    const { ids, range, plate, reagent, metadata, analysis } = options;
+    const selector = { range, plate, reagent, metadata, analysis };
+    const wellsIds = Object.values(selector).some((item) => item !== undefined)
+      ? selectWells(this.wells, selector).map((well) => well.id)
+      : undefined;
     let samples = [];
 
     for (let sample of this.samples) {
-      if (!ids || ids.includes(sample.id)) samples.push(sample);
+      if (ids && !ids.includes(sample.id)) continue;
+      if (
+        wellsIds &&
+        !sample.wells.some((item) => wellsIds.includes(item.id))
+      ) {
+        continue;
+      }
+      samples.push(sample);
     }
     return samples;
   }
@@ -317,91 +647,400 @@ export class WellPlateData {
     }
   }
 
+  /**
+   * Sets the metadata of the plate, of some wells or of some samples, the new properties are merged with the previous ones
+   * @param {Object} [options={}]
+   * @param {Object} options.metadata - Properties to set
+   * @param {String} [options.target='plate'] - 'plate', 'wells' or 'samples'
+   * @param {Array} [options.ids] - Identificators of the wells or samples (all by default)
+   */
+  setMetadata(options = {}) {
+    return recordEdit(this, 'setMetadata', () => {
+      const { metadata = {}, target = 'plate', ids } = options;
+      const getItems = {
+        plate: () => [this],
+        wells: () => this.getWells({ ids }),
+        samples: () => this.getSamples({ ids }),
+      }[target];
+      if (!getItems) {
+        throw new Error(
+          `Unknown metadata target ${target}, expected one of: plate, wells, samples`,
+        );
+      }
+      for (let item of getItems()) {
+        item.metadata = { ...item.metadata, ...metadata };
+      }
+    });
+  }
+
+  /**
+   * Includes or excludes wells from the average of their sample and updates the samples.
+   * Wells excluded by the outlier detection are tested again at each update of the samples.
+   * @param {Object} [options={}]
+   * @param {Array} options.ids - Identificators of the wells
+   * @param {Boolean} [options.inAverage=true]
+   */
+  setInAverage(options = {}) {
+    return recordEdit(this, 'setInAverage', () => {
+      const { ids = [], inAverage = true } = options;
+      for (let sample of this.samples) {
+        for (let item of sample.wells) {
+          if (!ids.includes(item.id)) continue;
+          item.inAverage = inAverage;
+          delete item.exclusion;
+        }
+      }
+      this.updateSamples();
+    });
+  }
+
+  /**
+   * Restores the state of the plate before the last recorded edit
+   * @returns {String|null} Name of the undone edit, null when there is nothing to undo
+   */
+  undo() {
+    return moveInHistory(this, this.history.undo, this.history.redo);
+  }
+
+  /**
+   * Applies again the last undone edit
+   * @returns {String|null} Name of the redone edit, null when there is nothing to redo
+   */
+  redo() {
+    return moveInHistory(this, this.history.redo, this.history.undo);
+  }
+
+  /**
+   * Saves the current state of the plate with a name
+   * @param {String} name
+   */
+  setCheckpoint(name) {
+    this.history.checkpoints[name] = takeSnapshot(this);
+  }
+
+  /**
+   * Restores the state of the plate saved with a name, the restoration can be undone
+   * @param {String} name
+   */
+  restoreCheckpoint(name) {
+    const snapshot = this.history.checkpoints[name];
+    if (snapshot === undefined) {
+      throw new Error(`The checkpoint ${name} does not exist`);
+    }
+    recordEdit(this, `restoreCheckpoint ${name}`, () =>
+      restoreSnapshot(this, snapshot),
+    );
+  }
+
+  /**
+   * Returns the names of the edits that can be undone and redone (the most recent last) and of the checkpoints
+   * @returns {Object} {undo, redo, checkpoints}
+   */
+  getHistory() {
+    const { undo, redo, checkpoints } = this.history;
+    return {
+      undo: undo.map((entry) => entry.name),
+      redo: redo.map((entry) => entry.name),
+      checkpoints: Object.keys(checkpoints),
+    };
+  }
+
+  /**
+   * Removes the recorded edits and the checkpoints
+   */
+  clearHistory() {
+    this.history = { ...this.history, undo: [], redo: [], checkpoints: {} };
+  }
+
+  /**
+   * Returns the state of the plate as a plain object with the version of its schema (used by JSON.stringify),
+   * NaN and infinite values are written as markers ({ $number: 'NaN' }) that fromJSON restores.
+   * A grouping with a key function can not be serialized and throws.
+   * @returns {Object} {schemaVersion, typeOfPlate, options, metadata, outlierDetection, averaging, grouping, wells, samples}
+   */
+  toJSON() {
+    if (typeof this.grouping.key === 'function') {
+      throw new Error(
+        'The grouping of the samples has a key function that can not be serialized',
+      );
+    }
+    return getDocument(this);
+  }
+
+  /**
+   * Creates WellPlateData from a document generated by toJSON, documents of older schema versions are migrated
+   * @param {Object|String} document - Object or JSON string
+   * @returns {WellPlateData}
+   */
+  static fromJSON(document) {
+    const data = migrateDocument(
+      JSON.parse(
+        typeof document === 'string' ? document : JSON.stringify(document),
+      ),
+    );
+    const wellPlateData = new WellPlateData(data.options);
+    wellPlateData.typeOfPlate = data.typeOfPlate;
+    wellPlateData.metadata = restoreNumbers(data.metadata);
+    if (data.outlierDetection) {
+      wellPlateData.outlierDetection = data.outlierDetection;
+    }
+    if (data.averaging) wellPlateData.averaging = data.averaging;
+    if (data.grouping) wellPlateData.grouping = data.grouping;
+    wellPlateData.wells = data.wells.map(
+      (well) => new Well(restoreNumbers(well)),
+    );
+    wellPlateData.samples = data.samples.map(
+      (sample) => new PlateSample(restoreNumbers(sample)),
+    );
+    return wellPlateData;
+  }
+
   /**
    * Fills the plate with information coming from external array.
    * @param {Array} plate - Array containing well data as objects.
    */
   static fillPlateFromArray(wells) {
     wells = sortWells(wells);
-    const lastLabel = sortWells(wells, { path: 'label' })[wells.length - 1]
-      .label;
-    let [nbRows, nbColumns] = Number.isNaN(parseInt(lastLabel, 10))
-      ? lastLabel.match(/[^\d]+|\d+/g)
-      : [10, 10];
+    const positions = wells.map(
+      (well) => well.position || parseWellLabel(well.label),
+    );
+    let [nbRows, nbColumns] = [10, 10];
+    if (positions.every((position) => position !== null)) {
+      nbRows = Math.max(...positions.map((position) => position.row)) + 1;
+      nbColumns = Math.max(...positions.map((position) => position.column)) + 1;
+      if (Number.isNaN(parseInt(wells[0].label, 10))) {
+        nbRows = indexToLetters(nbRows - 1);
+      }
+    }
+    const zeroPad = wells.some((well) => /^[a-z]+0\d/i.test(well.label));
     const nbPlates = parseInt(wells[wells.length - 1].id.split('-')[0], 10);
-    const wellPlateData = new WellPlateData({ nbRows, nbColumns, nbPlates });
+    const wellPlateData = new WellPlateData({
+      nbRows,
+      nbColumns,
+      nbPlates,
+      zeroPad,
+    });
     for (let well of wells) {
       const wellIndex = wellPlateData.wells.findIndex(
         (item) => item.id === well.id,
       );
-      wellPlateData.wells[wellIndex] = new Well(well);
+      if (wellIndex === -1) {
+        throw new Error(
+          `The well ${well.id} is not part of a ${wellPlateData.typeOfPlate} plate`,
+        );
+      }
+      wellPlateData.wells[wellIndex] = new Well({
+        ...well,
+        position: wellPlateData.wells[wellIndex].position,
+      });
     }
-    wellPlateData.typeOfPlate = `${nbRows}x${nbColumns}`;
     wellPlateData.updateSamples();
     return wellPlateData;
   }
 
   /**
-   * Create WellPlateData from CSV and TSV files
-   * @param {string} text
-   * @param {object} [options={}]
-   * @param {object} [options.separator=',']
+   * Merges plates into plates of a larger format, the reagents, curves, analysis and metadata travel with the wells and each well keeps its source well,
+   * the wells removed from the average of their sample stay removed
+   * @param {Array} plates - WellPlateData of the same format, all their plates are merged in order
+   * @param {Object} [options={}]
+   * @param {String} [options.layout='quadrant'] - 'quadrant' (interleaved, A1 of four 96 well plates are A1, A2, B1 and B2 of the 384 well plate) or 'block'
+   * @param {Number} [options.plateFormat] - Format of the merged plates (or nbRows and nbColumns), twice the rows and columns of the merged plates by default
+   * @returns {WellPlateData}
    */
-  static readTemplate(string, options = {}) {
-    const { separator = ',' } = options;
-    const list = string
-      .split('\n')
-      .map((row) => row.split(separator))
-      .filter((item) => item !== '');
-    const wells = [];
-    let wellPlateData;
-    if (
-      Number.isInteger(parseInt(list[1][0], 10)) &&
-      Number.isInteger(parseInt(list[1][1], 10))
-    ) {
-      wellPlateData = new WellPlateData({ nbRows: 10, nbColumns: 10 });
-      for (let i = 1; i < list.length; i++) {
-        const well = {
-          id: `1-${
-            (parseInt(list[i][0], 10) - 1) * 10 + parseInt(list[i][1], 10)
-          }`,
-          reagents: [],
-        };
-        for (let j = 2; j < list[0].length; j++) {
-          well.reagents.push({
-            label: list[0][j].split('(')[0],
-            unit: /\(([^)]+)\)/.exec(list[0][j])[1],
-            concentration: parseFloat(list[i][j]),
-          });
+  static mergePlates(plates, options = {}) {
+    const { layout = 'quadrant' } = options;
+    const [first] = plates;
+    if (plates.some((plate) => plate.typeOfPlate !== first.typeOfPlate)) {
+      throw new Error('The plates to merge must have the same format');
+    }
+    const large =
+      options.plateFormat || options.nbRows
+        ? resolvePlateFormat(options)
+        : scalePlateFormat(first.options, 2);
+    const mapping = getPlateMapping(first.options, large, layout);
+    const sources = [];
+    plates.forEach((plate, index) => {
+      for (let plateLabel of getPlates(plate.wells)) {
+        sources.push({ index, plate, plateLabel });
+      }
+    });
+    const merged = new WellPlateData({
+      ...first.options,
+      ...large,
+      nbPlates: Math.ceil(sources.length / mapping.nbPlates),
+      initPlate: 0,
+    });
+    merged.outlierDetection = JSON.parse(
+      JSON.stringify(first.outlierDetection),
+    );
+    merged.metadata = { ...first.metadata };
+    merged.averaging = { ...first.averaging };
+    merged.grouping = { ...first.grouping };
+    const mergedPlates = getPlates(merged.wells);
+    const excluded = [];
+    sources.forEach(({ index, plate, plateLabel }, sourceIndex) => {
+      const mergedPlate =
+        mergedPlates[Math.floor(sourceIndex / mapping.nbPlates)];
+      for (let well of plate.wells) {
+        if (well.plate !== plateLabel || !well.position) continue;
+        const position = mapping.toLarge(
+          sourceIndex % mapping.nbPlates,
+          well.position,
+        );
+        const wellIndex = merged.wells.findIndex(
+          (item) =>
+            item.plate === mergedPlate &&
+            item.position.row === position.row &&
+            item.position.column === position.column,
+        );
+        merged.wells[wellIndex] = copyWell(well, merged.wells[wellIndex], {
+          index,
+        });
+        if (isExcluded(plate, well.id)) {
+          excluded.push(merged.wells[wellIndex].id);
         }
-        wells.push(well);
       }
-    } else {
-      wellPlateData = new WellPlateData({ nbRows: 'H', nbColumns: 12 });
-      for (let i = 1; i < list.length; i++) {
-        const well = {
-          id: `1-${list[i][0].concat(list[i][1])}`,
-          reagents: [],
-        };
-        for (let j = 2; j < list[0].length; j++) {
-          well.reagents.push({
-            label: list[0][j].split('(')[0],
-            unit: /\(([^)]+)\)/.exec(list[0][j])[1],
-            concentration: parseFloat(list[i][j]),
-          });
+    });
+    updateCopiedSamples(merged, excluded);
+    return merged;
+  }
+
+  /**
+   * Splits the plates into plates of a smaller format, the reagents, curves, analysis and metadata travel with the wells and each well keeps its source well,
+   * the wells removed from the average of their sample stay removed
+   * @param {Object} [options={}]
+   * @param {String} [options.layout='quadrant'] - 'quadrant' or 'block' as in mergePlates
+   * @param {Number} [options.plateFormat] - Format of the split plates (or nbRows and nbColumns), half the rows and columns by default
+   * @returns {Array} WellPlateData of each split plate, in the order of the plates and of their quadrants or blocks
+   */
+  splitPlates(options = {}) {
+    const { layout = 'quadrant' } = options;
+    const small =
+      options.plateFormat || options.nbRows
+        ? resolvePlateFormat(options)
+        : scalePlateFormat(this.options, 0.5);
+    const mapping = getPlateMapping(small, this.options, layout);
+    const result = [];
+    for (let plate of getPlates(this.wells)) {
+      const excluded = [];
+      const splitPlates = new Array(mapping.nbPlates).fill().map(() => {
+        const splitPlate = new WellPlateData({
+          ...this.options,
+          ...small,
+          nbPlates: 1,
+          initPlate: 0,
+        });
+        splitPlate.metadata = { ...this.metadata };
+        splitPlate.outlierDetection = JSON.parse(
+          JSON.stringify(this.outlierDetection),
+        );
+        splitPlate.averaging = { ...this.averaging };
+        splitPlate.grouping = { ...this.grouping };
+        return splitPlate;
+      });
+      for (let well of this.wells) {
+        if (well.plate !== plate || !well.position) continue;
+        const { index, position } = mapping.toSmall(well.position);
+        const splitPlate = splitPlates[index];
+        const wellIndex = splitPlate.wells.findIndex(
+          (item) =>
+            item.position.row === position.row &&
+            item.position.column === position.column,
+        );
+        splitPlate.wells[wellIndex] = copyWell(
+          well,
+          splitPlate.wells[wellIndex],
+        );
+        if (isExcluded(this, well.id)) {
+          excluded.push(splitPlate.wells[wellIndex].id);
         }
-        wells.push(well);
       }
+      for (let splitPlate of splitPlates) {
+        updateCopiedSamples(splitPlate, excluded);
+      }
+      result.push(...splitPlates);
     }
-    for (let i = 0; i < wells.length; i++) {
-      const selectedWell = wellPlateData.getWell({ id: wells[i].id });
-      selectedWell.updateReagents(wells[i].reagents);
+    return result;
+  }
+
+  /**
+   * Creates WellPlateData with the growth curves of a plate reader kinetic export
+   * @param {string} text - Content of the exported CSV or TSV file
+   * @param {object} [options={}] - Options of the plate (nbRows, nbColumns...) and of addGrowthCurvesFromKineticExport
+   * @returns {Object} {wellPlateData, report}
+   */
+  static readKineticExport(text, options = {}) {
+    const wellPlateData = new WellPlateData(options);
+    const report = wellPlateData.addGrowthCurvesFromKineticExport(
+      text,
+      options,
+    );
+    return { wellPlateData, report };
+  }
+
+  /**
+   * Creates WellPlateData from a template (CSV or TSV) with one line per well, the plate is sized to contain all its wells
+   * @param {string} text
+   * @param {object} [options={}] - Options of parseTemplate and of the plate (nbRows, nbColumns...), they override the inferred ones
+   * @returns {Object} {wellPlateData, errors} - errors contains objects with line, column and message, wellPlateData is null when the header is not valid
+   */
+  static parseTemplate(text, options = {}) {
+    const { wells, plateOptions, errors } = parseTemplate(text, options);
+    if (!plateOptions) return { wellPlateData: null, errors };
+    const wellPlateData = new WellPlateData({ ...plateOptions, ...options });
+    for (let item of wells) {
+      const well = wellPlateData.wells.find(
+        ({ plate, position }) =>
+          plate === `${item.plate}` &&
+          position.row === item.row &&
+          position.column === item.column,
+      );
+      if (!well) {
+        errors.push({
+          line: item.line,
+          column: null,
+          message: `The well is outside of the ${wellPlateData.typeOfPlate} plate`,
+        });
+        continue;
+      }
+      well.updateReagents(item.reagents);
     }
     wellPlateData.updateSamples();
+    return { wellPlateData, errors };
+  }
+
+  /**
+   * Create WellPlateData from CSV and TSV files
+   * @param {string} text
+   * @param {object} [options={}] - Options of parseTemplate
+   * @param {object} [options.separator] - Column separator, it is guessed when not defined
+   * @returns {WellPlateData} Throws an error listing every problem of the template, they are also available in its errors property
+   */
+  static readTemplate(text, options = {}) {
+    const { wellPlateData, errors } = WellPlateData.parseTemplate(
+      text,
+      options,
+    );
+    if (errors.length) {
+      const error = new Error(
+        `Invalid template:\n${errors
+          .map(
+            ({ line, column, message }) =>
+              `line ${line}${column ? ` (${column})` : ''}: ${message}`,
+          )
+          .join('\n')}`,
+      );
+      error.errors = errors;
+      throw error;
+    }
     return wellPlateData;
   }
 }
 
+/**
+ * Resurrects the wells and samples as DataObjects of the visualizer
+ * @deprecated Use WellPlateData.fromJSON to load a serialized plate
+ */
 WellPlateData.prototype.resurrect = function () {
   //eslint-disable-next-line no-undef
   const Datas = require('src/main/datas');
@@ -421,13 +1060,43 @@ WellPlateData.prototype.resurrect = function () {
   }
 };
 
-WellPlateData.prototype.updateSamples = function () {
-  if (!this.samples.length) {
-    const samplesIDs = getSamplesIDs(this.wells);
+/**
+ * Creates the samples or updates their analysis and averaged curves from the wells included in the average
+ * @param {object} [options={}]
+ * @param {object} [options.averaging] - Options of averageArrays (x, from, to, step, nbPoints, tolerance) used for the spectra and the growth curves, they are kept for the next updates
+ * @param {object} [options.grouping] - Options of getSamplesIDs (reagents, tolerance, metadata, key) used to group the wells, they are kept for the next regenerations and the samples are regenerated when it is defined
+ * @param {boolean} [options.regenerate=false] - Groups the wells again, samples with the same wells are kept and the wells keep being excluded from the average
+ */
+WellPlateData.prototype.updateSamples = function (options = {}) {
+  const { grouping, regenerate = grouping !== undefined } = options;
+  if (options.averaging !== undefined) this.averaging = options.averaging;
+  if (grouping !== undefined) this.grouping = grouping;
+  const averaging = this.averaging;
+  if (!this.samples.length || regenerate) {
+    const previousSamples = this.samples;
+    const excluded = [];
+    for (let sample of previousSamples) {
+      for (let well of sample.wells) {
+        if (!well.inAverage) excluded.push(well.id);
+      }
+    }
+    const samplesIDs = getSamplesIDs(this.wells, this.grouping);
     let samples = [];
     for (let sampleIDs of samplesIDs) {
+      const previousSample = previousSamples.find(
+        (sample) =>
+          sample.wells.length === sampleIDs.length &&
+          sample.wells.every((well) => sampleIDs.includes(well.id)),
+      );
+      if (previousSample) {
+        samples.push(previousSample);
+        continue;
+      }
       const label = sampleIDs.map((item) => item.split('-')[1]).join('-');
-      const wells = sampleIDs.map((item) => ({ id: item, inAverage: true }));
+      const wells = sampleIDs.map((item) => ({
+        id: item,
+        inAverage: !excluded.includes(item),
+      }));
       samples.push(
         new PlateSample({
           id: getRandomId(),
@@ -445,53 +1114,123 @@ WellPlateData.prototype.updateSamples = function () {
       );
     }
     this.samples = samples;
-  } else {
-    const samples = this.samples;
-    for (let sample of samples) {
-      const ids = sample.wells
-        .filter((item) => item.inAverage)
-        .map((item) => item.id);
-      const wells = this.getWells({ ids });
-      const spectra = wells.map((item) => item.spectrum.data);
-      const growthCurves = wells.map((item) => item.growthCurve.data);
-      sample.analysis = {
-        raw: rawAnalysis(wells),
-        averaged: averageAnalysis(wells),
-        wells: wells.map((well) => ({ id: well.id, analysis: well.analysis })),
-      };
-      sample.averagedSpectra = averageArrays(spectra);
-      sample.averagedGrowthCurves = averageArrays(growthCurves);
-      sample.reagents = wells[0].reagents;
-      this.test(sample);
+    if (!previousSamples.length) return;
+  }
+  const samples = this.samples;
+  for (let sample of samples) {
+    this.test(sample);
+    const ids = sample.wells
+      .filter((item) => item.inAverage)
+      .map((item) => item.id);
+    const wells = this.getWells({ ids });
+    if (!wells.length) {
+      sample.analysis = { raw: {}, averaged: [], wells: [] };
+      sample.averagedSpectra = { x: [], y: [], counts: [] };
+      sample.averagedGrowthCurves = { x: [], y: [], counts: [] };
+      delete sample.flags;
+      continue;
+    }
+    const spectra = wells.map(
+      (item) => item.spectrum.processed || item.spectrum.data,
+    );
+    const growthCurves = wells.map(
+      (item) => item.growthCurve.processed || item.growthCurve.data,
+    );
+    sample.analysis = {
+      raw: rawAnalysis(wells),
+      averaged: averageAnalysis(wells),
+      wells: wells.map((well) => ({ id: well.id, analysis: well.analysis })),
+    };
+    sample.averagedSpectra = averageArrays(spectra, averaging);
+    sample.averagedGrowthCurves = averageArrays(growthCurves, averaging);
+    sample.reagents = wells[0].reagents;
+    const flags = getSampleFlags(wells);
+    if (Object.keys(flags).length) {
+      sample.flags = flags;
+    } else {
+      delete sample.flags;
     }
   }
 };
 
+/**
+ * Sets how the replicates of each sample are tested for outliers and updates the samples
+ * @param {Object} [options={}] - Options of detectOutliers (method, alpha, k, threshold) used for all the keys of the analysis
+ * @param {Boolean} [options.exclude=false] - Removes the rejected wells from the average of their sample, the reason is kept in the exclusion property of the well of the sample
+ * @param {Object} [options.keys={}] - Options for specific keys of the analysis, e.g. { signal: { method: 'mad', exclude: true } }
+ */
+WellPlateData.prototype.setOutlierDetection = function (options = {}) {
+  return recordEdit(this, 'setOutlierDetection', () => {
+    const { keys = {}, ...defaults } = options;
+    this.outlierDetection = {
+      method: 'grubbs',
+      alpha: 0.05,
+      exclude: false,
+      ...defaults,
+      keys,
+    };
+    this.updateSamples();
+  });
+};
+
+/**
+ * Tests the replicates of the sample for outliers in each key of the processed analysis of its wells,
+ * the wells excluded by a previous test are tested again
+ * @param {PlateSample} sample
+ */
 WellPlateData.prototype.test = function (sample) {
+  const { keys: keysOptions, ...defaults } = this.outlierDetection;
   const sampleWells = sample.wells;
+  for (let item of sampleWells) {
+    if (item.exclusion) {
+      item.inAverage = true;
+      delete item.exclusion;
+    }
+  }
   const ids = sampleWells
     .filter((item) => item.inAverage)
     .map((item) => item.id);
   const wells = this.getWells({ ids });
+  if (!wells.length) return;
   const keys = Object.keys(wells[0].analysis.processed);
-  if (!wells.length || !keys.length) return;
+  if (!keys.length) return;
   sampleWells.map((item) => (item.test = []));
+  sample.criticalValues = {};
   for (const key of keys) {
+    const { exclude, ...options } = { ...defaults, ...keysOptions[key] };
     const values = wells.map((item) => item.analysis.processed[key]);
-    const { test, criticalValue } = tests.grubbs(values);
-    sample.grubbsCriticalValue = criticalValue;
+    const { test, criticalValue } = detectOutliers(values, options);
+    sample.criticalValues[key] = criticalValue;
+    if (options.method === 'grubbs') sample.grubbsCriticalValue = criticalValue;
     for (let i = 0; i < sampleWells.length; i++) {
-      if (ids.includes(sampleWells[i].id)) {
-        const index = ids.indexOf(sampleWells[i].id);
+      const index = wells.findIndex((well) => well.id === sampleWells[i].id);
+      if (index !== -1) {
         sampleWells[i].test.push({
           label: key,
+          method: options.method,
           color: test[index].pass ? '#46FF8F' : '#FF4649',
           ...test[index],
         });
+        if (
+          exclude &&
+          test[index].pass === false &&
+          !sampleWells[i].exclusion
+        ) {
+          sampleWells[i].inAverage = false;
+          sampleWells[i].exclusion = {
+            reason: 'outlier',
+            key,
+            method: options.method,
+            value: test[index].value,
+            score: test[index].score,
+            criticalValue,
+          };
+        }
       } else {
         const well = this.getWell({ id: sampleWells[i].id });
         sampleWells[i].test.push({
           label: key,
+          method: options.method,
           color: '#EAEAEA',
           value: well.analysis.processed[key],
           score: 0,
@@ -502,9 +1241,638 @@ WellPlateData.prototype.test = function (sample) {
   }
 };
 
-function getWellsPositions(label, options = {}) {
-  const { columns = 10 } = options;
-  const nbRow = Math.floor((label - 1) / columns);
-  const nbColumn = label - columns * nbRow;
-  return [nbRow + 1, nbColumn];
+/**
+ * Extracts the growth parameters of the growth curve of each well and adds them to the analysis of the wells
+ * (lagTime, maxGrowthRate, doublingTime, carryingCapacity, maxOD and auc), the parameters of the curves that can not be fitted are null (missing)
+ * @param {Object} [options={}]
+ * @param {Array} [options.ids] - Identificators of the wells to analyze (all wells with growth curve by default)
+ * @param {String} [options.model='gompertz'] - 'logistic', 'gompertz', 'richards' or 'slidingWindow' (model free)
+ * @param {Number} [options.windowSize=5] - Number of points of the window used to estimate the maximum slope of ln(OD)
+ * @param {Number} [options.initialOD] - Optical density at the beginning of the culture (first positive value by default)
+ * @returns {Array} Fitted parameters of each analyzed well
+ */
+WellPlateData.prototype.analyzeGrowthCurves = function (options = {}) {
+  return recordEdit(this, 'analyzeGrowthCurves', () => {
+    const { ids } = options;
+    const keys = [
+      'lagTime',
+      'maxGrowthRate',
+      'doublingTime',
+      'carryingCapacity',
+      'maxOD',
+      'auc',
+    ];
+    const results = [];
+    for (let well of this.getWells({ ids })) {
+      if (!well.growthCurve.data.x.length) continue;
+      const result = analyzeGrowthCurve(
+        well.growthCurve.processed || well.growthCurve.data,
+        options,
+      );
+      for (let key of keys) {
+        const value = Number.isFinite(result[key]) ? result[key] : null;
+        well.addAnalysis({ name: key, value });
+      }
+      results.push({ id: well.id, ...result });
+    }
+    this.updateSamples();
+    return results;
+  });
+};
+
+/**
+ * Processes the spectra of the wells (baseline, smoothing, cropping, normalization, derivative) and stores them in spectrum.processed,
+ * the averaged spectra of the samples are computed from the processed spectra
+ * @param {Object} [options={}]
+ * @param {Array} [options.steps=[]] - Steps of processSpectrum, e.g. [{ name: 'baseline', method: 'linear' }, { name: 'smooth', windowSize: 11 }]
+ * @param {Object|String|Array} [options.wells] - Selector of the wells as in getWells (all wells with spectrum by default)
+ * @param {Boolean} [options.fromProcessed=false] - Processes the current processed spectra (blank subtracted...) instead of the raw data
+ * @param {Object} [options.peaks] - Options of findPeaks (minHeight, minDistance), the peaks of the processed spectra are stored in spectrum.peaks
+ * @returns {Array} Identificators of the processed wells
+ */
+WellPlateData.prototype.processSpectra = function (options = {}) {
+  return recordEdit(this, 'processSpectra', () => {
+    const { steps = [], wells = {}, fromProcessed = false, peaks } = options;
+    const ids = [];
+    for (let well of this.getWells(wells)) {
+      const { spectrum } = well;
+      if (!spectrum.data.x.length) continue;
+      const data = (fromProcessed && spectrum.processed) || spectrum.data;
+      spectrum.processed = processSpectrum(data, steps);
+      if (peaks) {
+        spectrum.peaks = findPeaks(spectrum.processed, peaks);
+      } else {
+        delete spectrum.peaks;
+      }
+      ids.push(well.id);
+    }
+    this.updateSamples();
+    return ids;
+  });
+};
+
+/**
+ * Evaluates features of the spectrum of each well and adds them to the analysis of the wells, the samples are updated so that
+ * the averages and the outlier tests include them. The features of the wells without spectrum and outside of the spectra are null (missing).
+ * @param {Object} [options={}]
+ * @param {Array} options.features - Definitions of extractSpectralFeatures, e.g. [{ name: 'A260/A280', type: 'ratio', numerator: 260, denominator: 280 }]
+ * @param {Object|String|Array} [options.wells] - Selector of the wells as in getWells (all wells by default)
+ * @param {Boolean} [options.processed=false] - Uses the processed spectra (the raw data of the wells without processed spectrum)
+ * @returns {Array} Features of each well
+ */
+WellPlateData.prototype.extractSpectralFeatures = function (options = {}) {
+  return recordEdit(this, 'extractSpectralFeatures', () => {
+    const { features = [], wells = {}, processed = false } = options;
+    const results = [];
+    for (let well of this.getWells(wells)) {
+      const { spectrum } = well;
+      const values = extractSpectralFeatures(
+        (processed && spectrum.processed) || spectrum.data,
+        features,
+      );
+      for (let name in values) {
+        if (!Number.isFinite(values[name])) values[name] = null;
+        well.addAnalysis({ name, value: values[name] });
+      }
+      results.push({ id: well.id, ...values });
+    }
+    this.updateSamples();
+    return results;
+  });
+};
+
+/**
+ * Subtracts the average of the blank wells from the analysis values, growth curves and spectra of the other wells.
+ * Corrected analysis values are stored in analysis.processed and corrected curves in growthCurve.processed and spectrum.processed,
+ * the wells without blanks, and the keys without blank values, get back their raw values and curves. Nothing is changed when a well can not be corrected.
+ * @param {Object} [options={}]
+ * @param {String} [options.category='blank'] - Category (metadata.category) of the blank wells
+ * @param {String} [options.scope='plate'] - Blanks averaged for each well: 'plate', 'row', 'column' or 'neighbours'
+ * @param {Number} [options.nbNeighbours=4] - Number of closest blanks used with the 'neighbours' scope
+ * @param {Array} [options.keys] - Analysis keys to correct (all keys by default)
+ * @param {Boolean} [options.growthCurves=true] - Correct the growth curves
+ * @param {Boolean} [options.spectra=true] - Correct the spectra
+ * @returns {Object} {corrected, withoutBlanks} - Identificators of the corrected wells and of the wells without blanks
+ */
+WellPlateData.prototype.subtractBlanks = function (options = {}) {
+  return recordEdit(this, 'subtractBlanks', () => {
+    const {
+      category = 'blank',
+      keys,
+      growthCurves = true,
+      spectra = true,
+    } = options;
+    const blanks = this.wells.filter(
+      (well) => well.metadata.category === category,
+    );
+    const report = { corrected: [], withoutBlanks: [] };
+    const corrections = [];
+    for (let well of this.wells) {
+      if (well.metadata.category === category) continue;
+      const wellBlanks = findBlanks(well, blanks, options);
+      if (!wellBlanks.length) {
+        report.withoutBlanks.push(well.id);
+        continue;
+      }
+      const correction = { well, analysis: {} };
+      for (let key of keys || Object.keys(well.analysis.raw)) {
+        const values = wellBlanks
+          .map((blank) => blank.analysis.raw[key])
+          .filter((value) => Number.isFinite(value));
+        if (well.analysis.raw[key] === undefined) continue;
+        // without blank values, a correction of a previous call does not apply anymore
+        correction.analysis[key] = values.length
+          ? well.analysis.raw[key] - mean(values)
+          : well.analysis.raw[key];
+      }
+      if (growthCurves && well.growthCurve.data.x.length) {
+        correction.growthCurve = subtractArrays(
+          well.growthCurve.data,
+          averageArrays(
+            wellBlanks.map((blank) => blank.growthCurve.data),
+            { x: well.growthCurve.data.x },
+          ),
+          well.id,
+        );
+      }
+      if (spectra && well.spectrum.data.x.length) {
+        correction.spectrum = subtractArrays(
+          well.spectrum.data,
+          averageArrays(
+            wellBlanks.map((blank) => blank.spectrum.data),
+            { x: well.spectrum.data.x },
+          ),
+          well.id,
+        );
+      }
+      corrections.push(correction);
+      report.corrected.push(well.id);
+    }
+    for (let { well, analysis, growthCurve, spectrum } of corrections) {
+      Object.assign(well.analysis.processed, analysis);
+      if (growthCurve) well.growthCurve.processed = growthCurve;
+      if (spectrum) well.spectrum.processed = spectrum;
+    }
+    // corrections of a previous call do not apply anymore
+    for (let well of this.getWells({ ids: report.withoutBlanks })) {
+      for (let key of keys || Object.keys(well.analysis.raw)) {
+        well.analysis.processed[key] = well.analysis.raw[key];
+      }
+      if (growthCurves) delete well.growthCurve.processed;
+      if (spectra) delete well.spectrum.processed;
+    }
+    this.updateSamples();
+    return report;
+  });
+};
+
+/**
+ * Fits a dose-response curve of an analysis value against the concentration of a reagent using the replicates of the samples
+ * @param {Object} [options={}]
+ * @param {String} options.key - Analysis key (analysis.processed) used as response
+ * @param {String} options.reagent - Label of the reagent used as concentration
+ * @param {Array} [options.ids] - Identificators of the samples to fit (all samples by default)
+ * @param {String} [options.model='4PL'] - '4PL' or '5PL'
+ * @param {Number} [options.confidence=0.95] - Level of the confidence intervals
+ * @param {Number} [options.nbPoints=100] - Number of points of the fitted curve in the chart
+ * @returns {Object} {model, parameters, standardErrors, confidenceIntervals, goodnessOfFit, chart}
+ */
+WellPlateData.prototype.fitDoseResponse = function (options = {}) {
+  const { key, reagent, ids, nbPoints = 100 } = options;
+  const data = { x: [], y: [] };
+  for (let sample of this.getSamples({ ids })) {
+    const sampleReagent = sample.reagents.find(
+      (item) => item.label === reagent,
+    );
+    if (!sampleReagent || !Number.isFinite(sampleReagent.concentration)) {
+      continue;
+    }
+    const wellsIds = sample.wells
+      .filter((item) => item.inAverage)
+      .map((item) => item.id);
+    for (let well of this.getWells({ ids: wellsIds })) {
+      data.x.push(sampleReagent.concentration);
+      data.y.push(well.analysis.processed[key]);
+    }
+  }
+  const result = fitDoseResponse(data, options);
+
+  const positives = data.x.filter((value) => value > 0);
+  const [from, to] = [
+    Math.log10(Math.min(...positives)),
+    Math.log10(Math.max(...positives)),
+  ];
+  const { parameters, fn } = doseResponseModels[result.model];
+  const curve = fn(parameters.map((name) => result.parameters[name]));
+  const fitted = { x: [], y: [] };
+  for (let i = 0; i < nbPoints; i++) {
+    const x = Math.pow(10, from + ((to - from) * i) / (nbPoints - 1));
+    fitted.x.push(x);
+    fitted.y.push(curve(x));
+  }
+  addChartStyle(data, { id: key, metadata: { color: 'black' } });
+  addChartStyle(fitted, {
+    id: `${result.model} fit`,
+    metadata: { color: 'red' },
+  });
+  result.chart = { data: [data, fitted] };
+  return result;
+};
+
+/**
+ * Fits a standard curve on the standards of each plate and back-calculates the concentration of the other wells from an analysis key.
+ * The curves of all the plates are fitted before any well is changed. The concentrations are added to analysis.processed of the wells (they are not
+ * raw values and subtractBlanks does not correct them) and averaged in the analysis of the samples, the concentrations that can not be computed are null.
+ * The values outside of the calibrated range are flagged in the flags of the wells and the flags of the samples contain the first flag of their wells.
+ * @param {Object} [options={}]
+ * @param {String} options.key - Analysis key (analysis.processed) used as response
+ * @param {String} options.reagent - Label of the reagent whose concentration is known in the standards
+ * @param {String} [options.category='standard'] - Category (metadata.category) of the standard wells
+ * @param {String} [options.model='linear'] - 'linear', 'quadratic' or '4PL'
+ * @param {String} [options.outputKey] - Analysis key of the concentrations (key_concentration by default)
+ * @returns {Array} {plate, curve, wells} of each plate, wells contain {id, response, concentration, flag}
+ */
+WellPlateData.prototype.calibrate = function (options = {}) {
+  return recordEdit(this, 'calibrate', () => {
+    const {
+      key,
+      reagent,
+      category = 'standard',
+      model = 'linear',
+      outputKey = `${key}_concentration`,
+    } = options;
+    if (key === undefined) throw new Error('The analysis key is not defined');
+    if (reagent === undefined) throw new Error('The reagent is not defined');
+    const curves = getPlates(this.wells).map((plate) => {
+      const wells = this.wells.filter((well) => well.plate === plate);
+      const standards = { x: [], y: [] };
+      for (let well of wells) {
+        if (well.metadata.category !== category) continue;
+        const standard = well.reagents.find((item) => item.label === reagent);
+        const response = well.analysis.processed[key];
+        if (!standard || !Number.isFinite(response)) continue;
+        standards.x.push(standard.concentration);
+        standards.y.push(response);
+      }
+      if (!standards.x.length) {
+        throw new Error(`The plate ${plate} has no standards of ${reagent}`);
+      }
+      return { plate, wells, curve: fitStandardCurve(standards, { model }) };
+    });
+    const report = [];
+    for (let { plate, wells, curve } of curves) {
+      const result = { plate, curve, wells: [] };
+      for (let well of wells) {
+        if (well.metadata.category === category) continue;
+        const response = well.analysis.processed[key];
+        if (response === undefined) continue;
+        const calculated = backCalculate(curve, response);
+        const { flag } = calculated;
+        const concentration = Number.isFinite(calculated.concentration)
+          ? calculated.concentration
+          : null;
+        well.analysis.processed[outputKey] = concentration;
+        well.flags = { ...well.flags, [outputKey]: flag };
+        result.wells.push({ id: well.id, response, concentration, flag });
+      }
+      report.push(result);
+    }
+    this.updateSamples();
+    return report;
+  });
+};
+
+/**
+ * Returns the quality metrics (Z', Z, signal to background, signal window and CV of the controls) of each plate
+ * @param {Object} [options={}]
+ * @param {String} options.key - Analysis key (analysis.processed) of the measured signal
+ * @param {String} [options.positive='positive'] - Category (metadata.category) of the positive controls
+ * @param {String} [options.negative='negative'] - Category (metadata.category) of the negative controls
+ * @param {String} [options.sample=null] - Category of the sample wells used for the Z-factor
+ * @param {Object} [options.thresholds={}] - Minimum zPrime (0.5), signalWindow (2) and signalToBackground (none) and maximum cv in % (20) to pass
+ * @returns {Array} Metrics of each plate
+ */
+WellPlateData.prototype.getPlateQC = function (options = {}) {
+  return getPlates(this.wells).map((plate) => ({
+    plate,
+    ...getQualityMetrics(
+      this.wells.filter((well) => well.plate === plate),
+      options,
+    ),
+  }));
+};
+
+/**
+ * Corrects the spatial effects (rows, columns, edges) of an analysis key on each plate and adds the corrected values to analysis.processed of the wells,
+ * they are not raw values and subtractBlanks does not correct them, the wells without value get null (missing)
+ * @param {Object} [options={}] - Options of normalizePlate (method, iterations, span)
+ * @param {String} options.key - Analysis key (analysis.processed) of the corrected values
+ * @param {String} [options.method='bScore'] - 'bScore', 'rowColumn' or 'loess'
+ * @param {String} [options.outputKey] - Analysis key of the corrected values (key_method by default)
+ * @returns {String} Analysis key of the corrected values
+ */
+WellPlateData.prototype.normalizeSpatially = function (options = {}) {
+  return recordEdit(this, 'normalizeSpatially', () => {
+    const { key, method = 'bScore', outputKey = `${key}_${method}` } = options;
+    if (key === undefined) throw new Error('The analysis key is not defined');
+    for (let plate of getPlates(this.wells)) {
+      const wells = this.wells.filter((well) => well.plate === plate);
+      const values = normalizePlate(wells, { ...options, method });
+      wells.forEach((well, index) => {
+        well.analysis.processed[outputKey] = Number.isFinite(values[index])
+          ? values[index]
+          : null;
+      });
+    }
+    this.updateSamples();
+    return outputKey;
+  });
+};
+
+/**
+ * Returns the difference between the edge and the interior wells of each plate for an analysis key
+ * @param {Object} [options={}]
+ * @param {String} options.key - Analysis key (analysis.processed) of the compared values
+ * @param {Number} [options.depth=1] - Number of rows and columns from the border considered as edge
+ * @returns {Array} Diagnostic of each plate, {plate, error} for the plates without enough values
+ */
+WellPlateData.prototype.getEdgeEffects = function (options = {}) {
+  return getPlates(this.wells).map((plate) => {
+    try {
+      return {
+        plate,
+        ...getEdgeEffect(
+          this.wells.filter((well) => well.plate === plate),
+          options,
+        ),
+      };
+    } catch (error) {
+      return { plate, error: error.message };
+    }
+  });
+};
+
+/**
+ * Compares the replicates of the samples for an analysis key
+ * @param {Object} [options={}]
+ * @param {String} options.key - Analysis key (analysis.processed) compared between the samples
+ * @param {Array} [options.ids] - Identificators of the compared samples (all samples by default)
+ * @param {String} [options.test='anova'] - 'welch', 'anova', 'tukey' or 'dunnett'
+ * @param {String} [options.reference] - Identificator of the reference sample (Dunnett test and Welch tests against a reference)
+ * @param {String} [options.adjustment='none'] - Adjustment of the p-values of the Welch tests ('none', 'bonferroni' or 'bh')
+ * @param {Number} [options.alpha=0.05] - Significance level
+ * @param {Boolean} [options.attach=false] - Stores the result in the results of each sample under the key, with the comparisons involving the sample
+ * @returns {Object} {key, test, groups, anova, comparisons}, groups and comparisons refer to the samples by their identificators
+ */
+WellPlateData.prototype.compareSamples = function (options = {}) {
+  const { key, ids, attach = false } = options;
+  if (key === undefined) throw new Error('The analysis key is not defined');
+  const samples = this.getSamples({ ids });
+  const groups = samples.map((sample) => ({
+    id: sample.id,
+    values: this.getWells({
+      ids: sample.wells.filter((item) => item.inAverage).map((item) => item.id),
+    }).map((well) => well.analysis.processed[key]),
+  }));
+  const result = { key, ...compareGroups(groups, options) };
+  for (let item of result.groups) {
+    item.label = samples.find((sample) => sample.id === item.id).label;
+  }
+  if (attach) {
+    for (let sample of samples) {
+      sample.results[key] = {
+        test: result.test,
+        anova: result.anova,
+        comparisons: result.comparisons.filter((comparison) =>
+          comparison.groups.includes(sample.id),
+        ),
+      };
+    }
+  }
+  return result;
+};
+
+/**
+ * Plates running a recorded edit, the edits called by another edit are not recorded
+ */
+const editing = new WeakSet();
+
+/**
+ * Runs an edit and saves the previous state of the plate in its history.
+ * When the edit throws, the previous state is restored and nothing is saved.
+ * The oldest states are removed beyond the limit of edits and the largest size of the history.
+ * @param {WellPlateData} wellPlateData
+ * @param {String} name
+ * @param {Function} edit
+ * @returns {*} Result of the edit
+ */
+function recordEdit(wellPlateData, name, edit) {
+  const { limit, maxSize } = wellPlateData.history;
+  if (editing.has(wellPlateData) || !limit || !maxSize) return edit();
+  const snapshot = takeSnapshot(wellPlateData);
+  editing.add(wellPlateData);
+  let result;
+  try {
+    result = edit();
+  } catch (error) {
+    restoreSnapshot(wellPlateData, snapshot);
+    throw error;
+  } finally {
+    editing.delete(wellPlateData);
+  }
+  const history = wellPlateData.history;
+  history.undo.push({ name, snapshot });
+  history.redo = [];
+  trimHistory(history);
+  return result;
+}
+
+/**
+ * Removes the oldest states that can be undone, then the farthest states that can be redone, beyond the limit of edits and the largest size of the history
+ * @param {Object} history
+ */
+function trimHistory(history) {
+  const { undo, redo, limit, maxSize } = history;
+  let size = [...undo, ...redo].reduce(
+    (sum, entry) => sum + entry.snapshot.json.length,
+    0,
+  );
+  for (let stack of [undo, redo]) {
+    while (stack.length && (stack.length > limit || size > maxSize)) {
+      size -= stack.shift().snapshot.json.length;
+    }
+  }
+}
+
+/**
+ * Restores the last state of a stack of the history and saves the current state in the other one
+ * @param {WellPlateData} wellPlateData
+ * @param {Array} from
+ * @param {Array} to
+ * @returns {String|null} Name of the edit
+ */
+function moveInHistory(wellPlateData, from, to) {
+  const entry = from.pop();
+  if (!entry) return null;
+  to.push({ name: entry.name, snapshot: takeSnapshot(wellPlateData) });
+  restoreSnapshot(wellPlateData, entry.snapshot);
+  trimHistory(wellPlateData.history);
+  return entry.name;
+}
+
+/**
+ * State of the plate as serialized by toJSON, the key function of the grouping is left out
+ * @param {WellPlateData} wellPlateData
+ * @returns {Object}
+ */
+function getDocument(wellPlateData) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    typeOfPlate: wellPlateData.typeOfPlate,
+    options: wellPlateData.options,
+    metadata: encodeNumbers(wellPlateData.metadata),
+    outlierDetection: wellPlateData.outlierDetection,
+    averaging: wellPlateData.averaging,
+    grouping: wellPlateData.grouping,
+    wells: encodeNumbers(wellPlateData.wells),
+    samples: encodeNumbers(wellPlateData.samples),
+  };
+}
+
+/**
+ * Saves the state of the plate, the grouping is kept as is since its key function can not be serialized
+ * @param {WellPlateData} wellPlateData
+ * @returns {Object} {json, grouping}
+ */
+function takeSnapshot(wellPlateData) {
+  return {
+    json: JSON.stringify(getDocument(wellPlateData)),
+    grouping: { ...wellPlateData.grouping },
+  };
+}
+
+/**
+ * Replaces the state of the plate by a state saved with takeSnapshot
+ * @param {WellPlateData} wellPlateData
+ * @param {Object} snapshot
+ */
+function restoreSnapshot(wellPlateData, snapshot) {
+  const restored = WellPlateData.fromJSON(snapshot.json);
+  for (let key of [
+    'typeOfPlate',
+    'options',
+    'metadata',
+    'outlierDetection',
+    'averaging',
+    'wells',
+    'samples',
+  ]) {
+    wellPlateData[key] = restored[key];
+  }
+  wellPlateData.grouping = { ...snapshot.grouping };
+}
+
+/**
+ * Copy of a well at the place of a well of another plate
+ * @param {Well} well - Copied well
+ * @param {Well} target - Well of the other plate
+ * @param {Object} [source={}] - Properties of the source added to the copy
+ * @returns {Well}
+ */
+function copyWell(well, target, source = {}) {
+  const { id, plate, label, position } = target;
+  return new Well({
+    ...restoreNumbers(JSON.parse(JSON.stringify(encodeNumbers(well)))),
+    id,
+    plate,
+    label,
+    position,
+    source: { ...source, id: well.id, plate: well.plate, label: well.label },
+  });
+}
+
+/**
+ * First flag of the wells for each key of the analysis
+ * @param {Array} wells
+ * @returns {Object}
+ */
+function getSampleFlags(wells) {
+  const flags = {};
+  for (let well of wells) {
+    for (let key in well.flags) {
+      if (!flags[key] && well.flags[key]) flags[key] = well.flags[key];
+    }
+  }
+  return flags;
+}
+
+/**
+ * The well was removed from the average of its sample by hand (not by an outlier test)
+ * @param {WellPlateData} wellPlateData
+ * @param {String} id - Identificator of the well
+ * @returns {Boolean}
+ */
+function isExcluded(wellPlateData, id) {
+  return wellPlateData.samples.some((sample) =>
+    sample.wells.some(
+      (item) => item.id === id && !item.inAverage && !item.exclusion,
+    ),
+  );
+}
+
+/**
+ * Creates the samples of a plate with copied wells, removes the excluded wells from the averages and computes the samples
+ * @param {WellPlateData} wellPlateData
+ * @param {Array} excluded - Identificators of the wells excluded from the averages
+ */
+function updateCopiedSamples(wellPlateData, excluded) {
+  wellPlateData.updateSamples();
+  for (let sample of wellPlateData.samples) {
+    for (let item of sample.wells) {
+      if (excluded.includes(item.id)) item.inAverage = false;
+    }
+  }
+  wellPlateData.updateSamples();
+}
+
+/**
+ * Number of rows and columns of a plate multiplied by a factor, letters stay letters
+ * @param {Object} options - Options of the plate
+ * @param {Number} factor
+ * @returns {Object} {nbRows, nbColumns}
+ */
+function scalePlateFormat(options, factor) {
+  const [rows, columns] = generatePlateLabels({
+    ...options,
+    nbPlates: 1,
+  }).axis.map((entry) => entry[1]);
+  const scale = (axis) => {
+    const length = axis.length * factor;
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error(
+        `A plate with ${axis.length} rows or columns can not be scaled by ${factor}`,
+      );
+    }
+    return typeof axis[0] === 'string' ? indexToLetters(length - 1) : length;
+  };
+  return { nbRows: scale(rows), nbColumns: scale(columns) };
+}
+
+function getPlates(wells) {
+  const plates = [];
+  for (let well of wells) {
+    if (!plates.includes(well.plate)) plates.push(well.plate);
+  }
+  return plates;
+}
+
+function subtractArrays(data, blank, id) {
+  if (!blank.y.length) return { x: data.x.slice(), y: data.y.slice() };
+  if (blank.y.length !== data.y.length) {
+    throw new Error(`The data of ${id} and its blanks have different lengths`);
+  }
+  return {
+    x: data.x.slice(),
+    y: data.y.map((value, index) => value - blank.y[index]),
+  };
 }